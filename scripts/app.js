@@ -4,6 +4,10 @@
   const statusEl = document.getElementById('status');
   const fontSizeSlider = document.getElementById('font-size');
   const fontSizeValue = document.getElementById('font-size-value');
+  const fontFamilySelect = document.getElementById('font-family');
+  const fontWeightSelect = document.getElementById('font-weight');
+  const fontStyleSelect = document.getElementById('font-style');
+  const colorGlyphsCheckbox = document.getElementById('color-glyphs');
 
   // const ALLOWED_REGEX = /^[a-z0-9 \n]+$/; // lowercase letters, digits, space, newlines
   const ALLOWED_REGEX = /^[\s\S]*$/; // allow all characters
@@ -12,6 +16,7 @@
   // Animation state
   let currentImage = null;
   let isAnimating = false;
+  let animateRequest = 0; // Latest onAnimate() call; older ones still waiting for their font give way
 
   function setStatus(message){
     statusEl.textContent = message || '';
@@ -25,6 +30,24 @@
     });
   }
 
+  // Font picked in the controls
+  function getFontSettings() {
+    return normalizeFontSettings({
+      font: fontFamilySelect ? fontFamilySelect.value : FONT_DEFAULTS.font,
+      weight: fontWeightSelect ? fontWeightSelect.value : FONT_DEFAULTS.weight,
+      style: fontStyleSelect ? fontStyleSelect.value : FONT_DEFAULTS.style
+    });
+  }
+
+  // Fetch a bundled font as soon as it is picked, so the next run does not wait for it
+  if (fontFamilySelect) {
+    fontFamilySelect.addEventListener('change', function(){
+      loadFontChoice(getFontSettings()).catch(function(error){
+        showNotification(globalErrorHandler.handleError(error, { context: 'fontFamilySelect' }), 5000);
+      });
+    });
+  }
+
   function displayGrayscaleImage(width, height, pixels) {
     // Create a debug canvas to show the grayscale image
     const debugCanvas = document.createElement('canvas');
@@ -122,9 +145,9 @@
   // Start new animation function
   function startNewAnimation() {
     const text = input.value.trim();
-    if (!text) {
+    if (!text && !hasLogoInput()) {
       setStatus('Please enter some text first.');
-      return;
+      return Promise.resolve(false);
     }
     
     // Stop current animation if running
@@ -135,229 +158,146 @@
     }
     
     // Start new animation
-    onAnimate();
+    return onAnimate();
   }
   
-  // Make onAnimate globally available
+  // Make startNewAnimation globally available (used by the exports to restart the run)
+  window.startNewAnimation = startNewAnimation;
+  
+  // Make onAnimate globally available. The run starts once the font is loaded;
+  // the returned promise resolves to whether it started.
   window.onAnimate = function(){
     console.log('onAnimate called, isAnimating:', isAnimating);
     if (isAnimating) {
       console.log('onAnimate early return - already animating');
-      return;
+      return Promise.resolve(false);
     }
 
-    try {
-      console.log('onAnimate: Generating text image directly');
-      
-      // Get the text input
-      const text = input.value.trim();
-      if (!text) {
-        setStatus('Please enter some text first.');
-        return;
-      }
-
-      // First, measure the text to determine proper canvas size
-      const tempCanvas = document.createElement('canvas');
-      const tempCtx = tempCanvas.getContext('2d');
-      const fontSize = fontSizeSlider ? parseInt(fontSizeSlider.value, 10) : 20;
-      const fontModifier = 'bold';
-      // const fontFamily = 'Eutopia, Arial, sans-serif';
-      const fontFamily = 'Arial, sans-serif';
-      tempCtx.font = fontModifier ? `${fontModifier} ${fontSize}px ${fontFamily}` : `${fontSize}px ${fontFamily}`;
-      tempCtx.textAlign = 'left';
-      tempCtx.textBaseline = 'bottom';
-      
-      // Split text into lines
-      const lines = text.split('\n');
-      const SPACE_GAP = 6 * fontSize / 20;
-      const CHAR_GAP = 2 * fontSize / 20;
-      // const LINE_HEIGHT = fontSize * 0.8; // for Eutopia
-      const LINE_HEIGHT = fontSize * 1.2; // for Arial
-      
-      // Calculate dimensions for each line
-      let maxLineWidth = 0;
-      const lineWidths = [];
-      
-      for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
-        const line = lines[lineIndex];
-        const characters = line.split('');
-        
-        let lineWidth = 0;
-    let prevWasImage = false;
-        
-        for (let i = 0; i < characters.length; i++) {
-          const ch = characters[i];
-          
-          if (ch === ' ') {
-            lineWidth += SPACE_GAP;
-            prevWasImage = false;
-      } else {
-            if (prevWasImage) lineWidth += CHAR_GAP;
-            
-            // Measure character width
-            const charWidth = tempCtx.measureText(ch).width;
-            lineWidth += charWidth;
-        prevWasImage = true;
-      }
+    // An uploaded image replaces the text (and needs no font)
+    if (hasLogoInput()) {
+      ++animateRequest;
+      return Promise.resolve(startWithLogo());
     }
 
-        lineWidths.push(lineWidth);
-        maxLineWidth = Math.max(maxLineWidth, lineWidth);
-      }
-      
-      // Calculate total text dimensions
-      const textWidth = maxLineWidth;
-      const textHeight = lines.length * LINE_HEIGHT;
-      
-      // Add minimal padding around the text
-      const padding = 1;
-      const canvasWidth = textWidth + (padding * 2);
-      const canvasHeight = textHeight + (padding * 2);
-      
-      console.log('Text dimensions:', textWidth, 'x', textHeight);
-      console.log('Canvas dimensions:', canvasWidth, 'x', canvasHeight);
-      console.log('Number of lines:', lines.length);
-
-      // Create the actual canvas with proper dimensions
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-      canvas.width = canvasWidth;
-      canvas.height = canvasHeight;
-
-      console.log('onAnimate: Generating new text image');
-
-    // Fill white background
-    ctx.fillStyle = COLORS.TEXT_WHITE;
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-      // Set text properties
-      ctx.fillStyle = COLORS.TEXT_BLACK;
-      ctx.font = fontModifier ? `${fontModifier} ${fontSize}px ${fontFamily}` : `${fontSize}px ${fontFamily}`;
-      ctx.textAlign = 'left';
-      ctx.textBaseline = 'bottom';
-      
-      // Debug: Log the actual font being used
-      console.log('Canvas font set to:', ctx.font);
-      console.log('Font size:', fontSize);
-      
-      // Test if font is loaded by measuring text
-      const testText = 'Hello';
-      const metrics = ctx.measureText(testText);
-      console.log('Font metrics for "Hello":', {
-        width: metrics.width,
-        actualBoundingBoxAscent: metrics.actualBoundingBoxAscent,
-        actualBoundingBoxDescent: metrics.actualBoundingBoxDescent
-      });
-      
-      // Draw the text with proper spacing and padding for each line
-      for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
-        const line = lines[lineIndex];
-        const characters = line.split('');
-        
-        let x = padding; // Start with left padding
-        let prevWasImage = false;
-        
-        // Calculate Y position for this line (from top to bottom)
-        const y = padding + (lineIndex + 1) * LINE_HEIGHT;
-        
-        for (let i = 0; i < characters.length; i++) {
-          const ch = characters[i];
-          
-          if (ch === ' ') {
-            x += SPACE_GAP;
-        prevWasImage = false;
-      } else {
-        if (prevWasImage) x += CHAR_GAP;
-            
-            // Draw the character
-            ctx.fillText(ch, x, y);
-            
-            // Get character width
-            const charWidth = ctx.measureText(ch).width;
-            x += charWidth;
-        prevWasImage = true;
-      }
+    // Get the text input
+    const text = input.value.trim();
+    if (!text) {
+      setStatus('Please enter some text first.');
+      return Promise.resolve(false);
     }
+
+    const fontSize = fontSizeSlider ? parseInt(fontSizeSlider.value, 10) : 20;
+    const fontSettings = getFontSettings();
+    const request = ++animateRequest;
+
+    return loadFontChoice(fontSettings).catch(function(error){
+      // Carve anyway; the font's fallback family is drawn instead
+      const message = globalErrorHandler.handleError(error, { context: 'onAnimate', font: fontSettings.font });
+      showNotification(message, 5000);
+      return getFontRasterOptions(fontSettings);
+    }).then(function(fontOptions){
+      if (request !== animateRequest || isAnimating) {
+        return false;
       }
+      return startWithFont(text, fontSize, fontOptions);
+    });
+  }
 
-      // Now we can safely get image data from the clean canvas
-      const canvasImageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  // Rasterize the text in a loaded font and start the animation
+  function startWithFont(text, fontSize, fontOptions) {
+    try {
+      console.log('onAnimate: Generating text image directly');
 
-      // Create grayscale pixel array
-      const pixels = new Uint8Array(canvas.width * canvas.height);
-      for (let i = 0; i < canvasImageData.data.length; i += 4) {
-        // Use red channel as grayscale value
-        pixels[i / 4] = canvasImageData.data[i];
-      }
+      // Rasterize the text to a low-resolution grayscale image, laid out as the
+      // alignment, spacing and wrapping controls say
+      const layout = getTextLayoutFromUI();
+      const colorGlyphs = !!(colorGlyphsCheckbox && colorGlyphsCheckbox.checked);
+      const grayscaleImage = rasterizeText(text, { fontSize: fontSize, ...fontOptions, ...layout, colorGlyphs: colorGlyphs });
+      const pixels = grayscaleImage.pixels;
+
+      console.log('Canvas dimensions:', grayscaleImage.width, 'x', grayscaleImage.height);
 
       console.log('Grayscale pixels sample:', pixels.slice(0, 20));
       console.log('Grayscale pixel range:', 'Min:', Math.min(...pixels), 'Max:', Math.max(...pixels));
 
       // Debug: Display the grayscale image
-      // displayGrayscaleImage(canvas.width, canvas.height, pixels);
-
-      // Create black and white pixel array (already at low resolution)
-      const blackWhitePixels = new Uint8Array(canvas.width * canvas.height);
-      let blackCount = 0;
-      let whiteCount = 0;
-      for (let i = 0; i < pixels.length; i++) {
-        // Convert grayscale to black and white (threshold at 128)
-        let blackWhiteThreshold = 128;
-        blackWhitePixels[i] = pixels[i] < blackWhiteThreshold ? 0 : 255;
-        if (blackWhitePixels[i] === 0) blackCount++;
-        else whiteCount++;
-      }
+      // displayGrayscaleImage(grayscaleImage.width, grayscaleImage.height, pixels);
+
+      // Create black and white pixel array (already at low resolution), with the
+      // threshold, dithering and stroke controls
+      const binarized = binarizeImage(grayscaleImage, getBinarizeOptionsFromUI());
+      const blackWhitePixels = binarized.pixels;
+      const blackCount = blackWhitePixels.filter(value => value === 0).length;
 
-      console.log('Black/White conversion:', 'Black pixels:', blackCount, 'White pixels:', whiteCount);
+      console.log('Black/White conversion:', 'Threshold:', binarized.threshold, 'Black pixels:', blackCount, 'White pixels:', blackWhitePixels.length - blackCount);
       console.log('Sample pixels:', blackWhitePixels.slice(0, 10));
 
       // Debug: Display the black and white image
-      // displayBlackWhiteImage(canvas.width, canvas.height, blackWhitePixels);
+      // displayBlackWhiteImage(grayscaleImage.width, grayscaleImage.height, blackWhitePixels);
 
       // Create a simple image data object for animation
       const animationImageData = {
-        width: canvas.width,
-        height: canvas.height,
+        width: grayscaleImage.width,
+        height: grayscaleImage.height,
         pixels: blackWhitePixels,
-        text: input.value.trim()
+        text: text,
+        // Kept in replays alongside the image itself
+        font: {
+          family: fontOptions.fontFamily,
+          size: fontSize,
+          weight: fontOptions.fontWeight,
+          style: fontOptions.fontStyle
+        },
+        layout: layout
       };
-
-      // Start animation with the image data
-      if (typeof startAnimation === 'function') {
-        startAnimation(animationImageData);
-      } else {
-        setStatus('Animation system not loaded');
-      return;
+      if (binarized.colors) {
+        // Colour glyph mode: emoji squares show their own colors once revealed
+        animationImageData.colors = binarized.colors;
+      }
+      if (binarized.spanMap) {
+        // Text markup: the span each protected pixel belongs to
+        animationImageData.spans = binarized.spans;
+        animationImageData.spanMap = binarized.spanMap;
+      }
+      if (binarized.charMap) {
+        // The character, word and line each protected pixel belongs to
+        animationImageData.characters = binarized.characters;
+        animationImageData.charMap = binarized.charMap;
       }
 
-      isAnimating = true;
-      document.body.classList.add('animating');
-      setStatus('Animation started!');
+      return beginAnimation(animationImageData);
 
     } catch (error) {
       console.error('Animation error:', error);
       setStatus('Animation error: ' + error.message);
+      return false;
     }
   }
-  
 
-  // Check if Eutopia font is loaded
-  function checkFontLoaded() {
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    
-    // Test with Eutopia font
-    ctx.font = '16px Eutopia, Arial, sans-serif';
-    const eutopiaWidth = ctx.measureText('Hello').width;
-    
-    // Test with Arial fallback
-    ctx.font = '16px Arial, sans-serif';
-    const arialWidth = ctx.measureText('Hello').width;
-    
-    console.log('Font test - Eutopia width:', eutopiaWidth, 'Arial width:', arialWidth);
-    console.log('Fonts are different:', eutopiaWidth !== arialWidth);
-    
-    return eutopiaWidth !== arialWidth;
+  // Rasterize the uploaded image and start the animation
+  function startWithLogo() {
+    try {
+      return beginAnimation(rasterizeLogo());
+    } catch (error) {
+      console.error('Animation error:', error);
+      setStatus('Animation error: ' + error.message);
+      return false;
+    }
+  }
+
+  // Start the animation with black/white image data
+  function beginAnimation(animationImageData) {
+    if (typeof startAnimation === 'function') {
+      startAnimation(animationImageData);
+    } else {
+      setStatus('Animation system not loaded');
+      return false;
+    }
+
+    isAnimating = true;
+    document.body.classList.add('animating');
+    setStatus('Animation started!');
+    return true;
   }
 
 
@@ -373,7 +313,10 @@
     const urlParams = new URLSearchParams(window.location.search);
     const relevantParams = ['ballCount', 'balls', 'numBalls', 'deviationAngle', 'deviation', 
                             'angle', 'movementSpeed', 'speed', 'fontSize', 'textResolution', 
-                            'resolution', 'text', 'viewer'];
+                            'resolution', 'text', 'viewer', 'seed', 'duration', 'targetDuration',
+                            'font', 'weight', 'fontWeight', 'style', 'fontStyle',
+                            'align', 'lineSpacing', 'letterSpacing', 'wrap', 'maxChars', 'emoji', 'colorGlyphs',
+                            'threshold', 'dither', 'thicken', 'reveal', 'revealOrder'];
     for (const param of relevantParams) {
       if (urlParams.has(param)) return true;
     }
@@ -391,15 +334,6 @@
       onAnimate();
     }, 1500);
   }
-  
-  // Check font loading after a short delay
-  setTimeout(() => {
-    const fontLoaded = checkFontLoaded();
-    console.log('Eutopia font loaded:', fontLoaded);
-    if (!fontLoaded) {
-      console.warn('Eutopia font may not be loaded properly. Check the font path and file.');
-    }
-  }, 1000);
 })();
 
 
@@ -0,0 +1,108 @@
+/**
+ * Check that p5 leaves the page's globals alone. In global mode p5 copies every
+ * p5.prototype member onto window once the page has loaded, over any page
+ * function of the same name (a page loadFont() was replaced by p5's font loader
+ * this way). This loads the bundled p5 and the scripts of index.html into a
+ * stand-in window, lets p5 initialise, and fails if it replaced any of them.
+ *
+ * Usage: node scripts/check-p5-globals.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+
+/**
+ * Stand-in for DOM objects p5 and the page only touch while loading: callable,
+ * constructible, and every property is another stand-in
+ * @returns {Proxy} Stand-in
+ */
+function createStandIn() {
+    return new Proxy(function () {}, {
+        get: (target, key) => {
+            if (key === Symbol.toPrimitive) {
+                return () => 0;
+            }
+            if (!(key in target)) {
+                target[key] = createStandIn();
+            }
+            return target[key];
+        },
+        apply: () => createStandIn(),
+        construct: () => createStandIn()
+    });
+}
+
+const loadListeners = [];
+const window = {
+    console: { log() {}, info() {}, warn() {}, error() {} },
+    document: createStandIn(),
+    navigator: { userAgent: 'node' },
+    location: { search: '', href: 'http://localhost/', origin: 'http://localhost', pathname: '/' },
+    screen: {},
+    performance: { now: () => 0 },
+    setTimeout: () => 0,
+    clearTimeout() {},
+    setInterval: () => 0,
+    clearInterval() {},
+    requestAnimationFrame: () => 0,
+    cancelAnimationFrame() {},
+    addEventListener: (type, listener) => {
+        if (type === 'load') {
+            loadListeners.push(listener);
+        }
+    },
+    removeEventListener() {},
+    Event,
+    EventTarget,
+    CustomEvent: class extends Event {},
+    HTMLElement: class {},
+    customElements: { define() {}, get() {} },
+    URL,
+    URLSearchParams,
+    Promise
+};
+window.window = window;
+window.self = window;
+vm.createContext(window);
+
+/**
+ * Run a script file in the stand-in window
+ * @param {string} file - Path from the repository root
+ */
+function runScript(file) {
+    try {
+        vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), window, { filename: file });
+    } catch (error) {
+        // Scripts that need more of a browser than the stand-in still define what they got to
+        console.log(`note - ${file} did not finish loading here: ${error.message}`);
+    }
+}
+
+// The same p5 version as index.html, then the page's own scripts in page order
+runScript('src/lib/p5.min.js');
+const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+for (const [, file] of html.matchAll(/<script src="\.\/([^"]+)"/g)) {
+    runScript(file);
+}
+
+const pageGlobals = new Map(Object.getOwnPropertyNames(window)
+    .filter(name => typeof window[name] === 'function')
+    .map(name => [name, window[name]]));
+const loadFontChoice = window.loadFontChoice;
+assert.strictEqual(typeof loadFontChoice, 'function', 'font-loader.js defines loadFontChoice');
+
+// p5 starts global mode once the page has loaded (after a promise settles)
+loadListeners.slice().forEach(listener => listener({ type: 'load' }));
+setImmediate(() => {
+    assert.ok(window.p5 && window.p5.instance, 'p5 started in global mode');
+
+    const replaced = Array.from(pageGlobals.keys()).filter(name => window[name] !== pageGlobals.get(name));
+    assert.deepStrictEqual(replaced, [], `p5 replaced page functions: ${replaced.join(', ')}`);
+    assert.strictEqual(window.loadFontChoice, loadFontChoice, 'loadFontChoice is still the one from font-loader.js');
+
+    console.log(`ok - p5 replaced none of ${pageGlobals.size} page functions`);
+});
@@ -0,0 +1,84 @@
+/**
+ * Headless check that timeline seeks reproduce a run exactly, including duration
+ * runs, whose settings change every few steps: seeking to steps between snapshots
+ * must land on the same state as a straight run, and so must playing on from there.
+ *
+ * Usage: node scripts/check-timeline-seek.js
+ */
+
+const assert = require('assert');
+const { SimulationEngine, SimulationTimeline } = require('../src/js/headless');
+
+// Block letters with counters, so the run has island sweeps too
+const WIDTH = 48;
+const HEIGHT = 14;
+const pixels = [];
+for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+        const column = x % 12;
+        const inLetter = y >= 3 && y < 11 && column >= 2 && column < 9;
+        const inCounter = y >= 5 && y < 9 && column >= 4 && column < 7;
+        pixels.push(inLetter && !inCounter);
+    }
+}
+const image = { width: WIDTH, height: HEIGHT, pixels: pixels };
+
+/**
+ * State to compare: the snapshot plus the live settings
+ * @param {SimulationEngine} engine - Engine
+ * @returns {Object} Part name to JSON
+ */
+function getState(engine) {
+    const state = { ...engine.getSnapshot(), settings: { ...engine.parameters } };
+    return Object.fromEntries(Object.entries(state).map(([key, value]) => [key, JSON.stringify(value)]));
+}
+
+/**
+ * Fail with the parts of two states that differ
+ * @param {Object} actual - State from getState()
+ * @param {Object} expected - State from getState()
+ * @param {string} message - What was compared
+ */
+function assertSameState(actual, expected, message) {
+    const differing = Object.keys(expected).filter(key => actual[key] !== expected[key]);
+    assert.deepStrictEqual(differing, [], `${message}: ${differing.join(', ')} differ` +
+        (differing.length > 0 ? ` (${actual[differing[0]].slice(0, 200)} vs ${expected[differing[0]].slice(0, 200)})` : ''));
+}
+
+/**
+ * Check seeks to every step in a list against a straight run
+ * @param {string} name - Case name
+ * @param {Object} options - SimulationEngine options
+ * @param {number[]} targets - Steps to seek to
+ * @param {number} end - Step to play on to after each seek
+ */
+function checkSeeks(name, options, targets, end) {
+    const expected = new Map();
+    const straight = new SimulationEngine(image, { ...options });
+    while (straight.state.frameCount < end && !straight.isComplete()) {
+        straight.step();
+        expected.set(straight.state.frameCount, getState(straight));
+    }
+
+    const engine = new SimulationEngine(image, { ...options });
+    const timeline = new SimulationTimeline(engine, { interval: 30 });
+    while (engine.state.frameCount < end && !engine.isComplete()) {
+        engine.step();
+        timeline.record();
+    }
+
+    for (const target of targets) {
+        const frame = timeline.seek(target);
+        assertSameState(getState(engine), expected.get(frame), `${name}: seek to step ${target}`);
+        while (engine.state.frameCount < end && !engine.isComplete()) {
+            engine.step();
+            timeline.record();
+        }
+        assertSameState(getState(engine), expected.get(engine.state.frameCount), `${name}: playing on from step ${target}`);
+    }
+    console.log(`ok - ${name}: ${targets.length} seeks`);
+}
+
+const between = [107, 263, 31, 389];
+checkSeeks('fixed settings', { seed: 11, ballCount: 12 }, between, 400);
+checkSeeks('target duration', { seed: 11, ballCount: 12, targetDuration: 20 }, between, 400);
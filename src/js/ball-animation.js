@@ -3,6 +3,12 @@
  * Handles ball creation, physics, movement, and collision detection
  */
 
+// Ball speed at movementSpeed 1.0, in grid squares per second
+const BASE_BALL_SPEED = 30;
+
+// Largest random turn added to a plain reflection, either way (radians), so balls do not settle into repeating paths
+const BOUNCE_JITTER_ANGLE = 0.1;
+
 
 /**
  * Create new ball object
@@ -11,9 +17,10 @@
  * @param {number} velocityX - Initial X velocity
  * @param {number} velocityY - Initial Y velocity
  * @param {number} diameter - Ball diameter
- * @returns {Ball} Ball object with unique ID
+ * @param {string} id - Ball ID, unique within its simulation (see SimulationEngine.createBallId)
+ * @returns {Ball} Ball object
  */
-function createBall(x, y, velocityX, velocityY, diameter) {
+function createBall(x, y, velocityX, velocityY, diameter, id) {
     try {
         if (typeof x !== 'number' || !isFinite(x)) {
             throw new Error('X position must be a finite number');
@@ -30,9 +37,9 @@ function createBall(x, y, velocityX, velocityY, diameter) {
         if (typeof diameter !== 'number' || diameter <= 0) {
             throw new Error('Diameter must be a positive number');
         }
-        
-        // Generate unique ID
-        const id = 'ball_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        if (typeof id !== 'string' || id === '') {
+            throw new Error('Ball ID must be a non-empty string');
+        }
         
         return new Ball(id, x, y, velocityX, velocityY, diameter);
         
@@ -42,7 +49,8 @@ function createBall(x, y, velocityX, velocityY, diameter) {
             y: y,
             velocityX: velocityX,
             velocityY: velocityY,
-            diameter: diameter
+            diameter: diameter,
+            id: id
         });
         throw new BallError(handledError);
     }
@@ -53,9 +61,10 @@ function createBall(x, y, velocityX, velocityY, diameter) {
  * @param {Ball} ball - Ball to update
  * @param {Grid} grid - Grid for collision detection
  * @param {Object} gridRenderingParams - Grid rendering parameters
+ * @param {number} deltaTime - Simulated seconds to move the ball for (default: one fixed step)
  * @returns {Object} Collision result if any collision occurred
  */
-function updateBallPositionWithSubstepping(ball, grid, gridRenderingParams) {
+function updateBallPositionWithSubstepping(ball, grid, gridRenderingParams, deltaTime = FIXED_TIMESTEP) {
     try {
         if (!(ball instanceof Ball)) {
             throw new Error('Ball must be a Ball object');
@@ -67,14 +76,14 @@ function updateBallPositionWithSubstepping(ball, grid, gridRenderingParams) {
         const originalY = ball.y;
         
         // Calculate movement distance
-        const movementDistance = Math.sqrt(ball.velocityX * ball.velocityX + ball.velocityY * ball.velocityY);
+        const movementDistance = ball.getSpeed() * deltaTime;
         
         // Determine safe movement threshold in grid units (half square)
         let maxSafeDistance = 0.5;
         // console.log('Max safe distance: ', maxSafeDistance, 'Movement distance: ', movementDistance);
         // If movement is small enough, use simple update
         if (movementDistance <= maxSafeDistance) {
-            ball.updatePosition();
+            ball.updatePosition(deltaTime);
             
             // Check bounds in grid units and deactivate if out of bounds
             if (ball.x < 0 || ball.x > grid.width || ball.y < 0 || ball.y > grid.height) {
@@ -96,23 +105,14 @@ function updateBallPositionWithSubstepping(ball, grid, gridRenderingParams) {
         
         // Movement is too large, use sub-stepping
         const numSteps = Math.ceil(movementDistance / maxSafeDistance);
-        const stepVelocityX = ball.velocityX / numSteps;
-        const stepVelocityY = ball.velocityY / numSteps;
-        
-        // Store original velocity
-        const originalVelocityX = ball.velocityX;
-        const originalVelocityY = ball.velocityY;
-        
-        // Temporarily set step velocity
-        ball.velocityX = stepVelocityX;
-        ball.velocityY = stepVelocityY;
+        const stepDeltaTime = deltaTime / numSteps;
         
         let collisionResult = { hasCollision: false };
         
         // Perform sub-steps
         for (let step = 0; step < numSteps; step++) {
             // Update position for this step
-            ball.updatePosition();
+            ball.updatePosition(stepDeltaTime);
             
             // Check bounds in grid units
             if (ball.x < 0 || ball.x > grid.width || ball.y < 0 || ball.y > grid.height) {
@@ -128,9 +128,6 @@ function updateBallPositionWithSubstepping(ball, grid, gridRenderingParams) {
             }
         }
         
-        // Restore original velocity
-        ball.velocityX = originalVelocityX;
-        ball.velocityY = originalVelocityY;
         if (collisionResult.hasCollision) {
             // Update ball position to the collision point
             ball.x = collisionResult.collisionPoint.x + collisionResult.normal.x * eps;
@@ -172,9 +169,10 @@ function getAdjacentSquares(grid, currentX, currentY) {
  * @param {Ball} ball - Ball to update
  * @param {Grid} grid - Grid for collision detection
  * @param {Object} gridRenderingParams - Grid rendering parameters
+ * @param {number} deltaTime - Simulated seconds to move the ball for (default: one fixed step)
  * @returns {Object} Collision result if any collision occurred
  */
-function updateBallPositionWithSubsteppingAndPreCollisionCheck(ball, grid, gridRenderingParams) {
+function updateBallPositionWithSubsteppingAndPreCollisionCheck(ball, grid, gridRenderingParams, deltaTime = FIXED_TIMESTEP) {
     try {
         if (!(ball instanceof Ball)) {
             throw new Error('Ball must be a Ball object');
@@ -185,30 +183,45 @@ function updateBallPositionWithSubsteppingAndPreCollisionCheck(ball, grid, gridR
         const originalX = ball.x;
         const originalY = ball.y;
         
-        // Calculate movement distance
-        const movementDistance = Math.sqrt(ball.velocityX * ball.velocityX + ball.velocityY * ball.velocityY);
+        // Calculate movement distance (velocity is in squares per second)
+        const movementDistance = ball.getSpeed() * deltaTime;
         
         // Determine safe movement threshold in grid units (half square)
         let maxSafeDistance = 0.5;
         
         // Helper function to check if a square is collide-able
+        // (with a paddle in play the bottom wall is open: balls that miss the paddle fall out)
+        const hasBottomWall = !grid.paddle;
         function isCollideable(square) {
             if (!square) return false;
             return square.state === SquareState.BLACK_CARVEABLE || 
                    square.state === SquareState.BLACK_PROTECTED ||
                    (square.state === SquareState.WHITE_EDGE && 
                     (square.x === 0 || square.x === grid.width - 1 || 
-                     square.y === 0 || square.y === grid.height - 1));
+                     square.y === 0 || (hasBottomWall && square.y === grid.height - 1)));
+        }
+
+        // With a reveal order, carveable squares of later letters are walls for now
+        function isUnlocked(square) {
+            return !grid.revealOrder || grid.revealOrder.isUnlocked(square);
         }
         
         // If movement is small enough, use simple pre-collision check
         if (movementDistance <= maxSafeDistance) {
             // Calculate next position
-            const nextX = ball.x + ball.velocityX;
-            const nextY = ball.y + ball.velocityY;
+            const nextX = ball.x + ball.velocityX * deltaTime;
+            const nextY = ball.y + ball.velocityY * deltaTime;
+            
+            // Check for the paddle (game mode)
+            const paddleCollision = findPaddleCollision(ball, grid, nextX, nextY);
+            if (paddleCollision) {
+                ball.x = paddleCollision.collisionPoint.x;
+                ball.y = paddleCollision.collisionPoint.y - eps;
+                return paddleCollision;
+            }
             
             // Check bounds first
-            if (nextX < 0 || nextX > width || nextY < 0 || nextY > height) {
+            if (nextX < 0 || nextX > grid.width || nextY < 0 || nextY > grid.height) {
                 ball.isActive = false;
                 return { hasCollision: false };
             }
@@ -275,9 +288,10 @@ function updateBallPositionWithSubsteppingAndPreCollisionCheck(ball, grid, gridR
                                 isEdge: adjacentSquare.state === SquareState.WHITE_EDGE,
                                 collisionPoint: { x: intersection.x, y: intersection.y },
                                 normal: { x: normalX, y: normalY },
-                                shouldCarve: adjacentSquare.state === SquareState.BLACK_CARVEABLE,
+                                shouldCarve: adjacentSquare.state === SquareState.BLACK_CARVEABLE && isUnlocked(adjacentSquare),
                                 shouldBounce: adjacentSquare.state === SquareState.BLACK_PROTECTED || 
-                                            adjacentSquare.state === SquareState.WHITE_EDGE
+                                            adjacentSquare.state === SquareState.WHITE_EDGE ||
+                                            !isUnlocked(adjacentSquare)
                             };
                         }
                     }
@@ -285,33 +299,32 @@ function updateBallPositionWithSubsteppingAndPreCollisionCheck(ball, grid, gridR
             }
             
             // No collision detected, update position normally
-            ball.updatePosition();
+            ball.updatePosition(deltaTime);
             return { hasCollision: false };
         }
         
         // Movement is too large, use sub-stepping with pre-collision check
         const numSteps = Math.ceil(movementDistance / maxSafeDistance);
-        const stepVelocityX = ball.velocityX / numSteps;
-        const stepVelocityY = ball.velocityY / numSteps;
-        
-        // Store original velocity
-        const originalVelocityX = ball.velocityX;
-        const originalVelocityY = ball.velocityY;
-        
-        // Temporarily set step velocity
-        ball.velocityX = stepVelocityX;
-        ball.velocityY = stepVelocityY;
+        const stepDeltaTime = deltaTime / numSteps;
         
         let collisionResult = { hasCollision: false };
         
         // Perform sub-steps with pre-collision checking
         for (let step = 0; step < numSteps; step++) {
             // Calculate next position for this step
-            const nextX = ball.x + stepVelocityX;
-            const nextY = ball.y + stepVelocityY;
+            const nextX = ball.x + ball.velocityX * stepDeltaTime;
+            const nextY = ball.y + ball.velocityY * stepDeltaTime;
+            
+            // Check for the paddle (game mode)
+            const paddleCollision = findPaddleCollision(ball, grid, nextX, nextY);
+            if (paddleCollision) {
+                ball.x = paddleCollision.collisionPoint.x;
+                ball.y = paddleCollision.collisionPoint.y - eps;
+                return paddleCollision;
+            }
             
             // Check bounds
-            if (nextX < 0 || nextX > width || nextY < 0 || nextY > height) {
+            if (nextX < 0 || nextX > grid.width || nextY < 0 || nextY > grid.height) {
                 ball.isActive = false;
                 break;
             }
@@ -378,14 +391,12 @@ function updateBallPositionWithSubsteppingAndPreCollisionCheck(ball, grid, gridR
                                 isEdge: adjacentSquare.state === SquareState.WHITE_EDGE,
                                 collisionPoint: { x: intersection.x, y: intersection.y },
                                 normal: { x: normalX, y: normalY },
-                                shouldCarve: adjacentSquare.state === SquareState.BLACK_CARVEABLE,
+                                shouldCarve: adjacentSquare.state === SquareState.BLACK_CARVEABLE && isUnlocked(adjacentSquare),
                                 shouldBounce: adjacentSquare.state === SquareState.BLACK_PROTECTED || 
-                                            adjacentSquare.state === SquareState.WHITE_EDGE
+                                            adjacentSquare.state === SquareState.WHITE_EDGE ||
+                                            !isUnlocked(adjacentSquare)
                             };
                             
-                            // Restore original velocity and return
-                            ball.velocityX = originalVelocityX;
-                            ball.velocityY = originalVelocityY;
                             return collisionResult;
                         }
                     }
@@ -393,13 +404,9 @@ function updateBallPositionWithSubsteppingAndPreCollisionCheck(ball, grid, gridR
             }
             
             // No collision detected for this step, update position
-            ball.updatePosition();
+            ball.updatePosition(stepDeltaTime);
         }
         
-        // Restore original velocity
-        ball.velocityX = originalVelocityX;
-        ball.velocityY = originalVelocityY;
-        
         return collisionResult;
         
     } catch (error) {
@@ -409,6 +416,44 @@ function updateBallPositionWithSubsteppingAndPreCollisionCheck(ball, grid, gridR
     }
 }
 
+/**
+ * Check whether a ball moving to (nextX, nextY) lands on top of the paddle
+ * @param {Ball} ball - Ball being moved
+ * @param {Grid} grid - Grid (grid.paddle is set in game mode)
+ * @param {number} nextX - Next X position
+ * @param {number} nextY - Next Y position
+ * @returns {Object|null} Collision result, or null if the paddle is not hit
+ */
+function findPaddleCollision(ball, grid, nextX, nextY) {
+    const paddle = grid.paddle;
+    if (!paddle || ball.velocityY <= 0) {
+        return null;
+    }
+    
+    // The ball rests on the paddle when its lowest point touches the paddle top
+    const contactY = paddle.y - ball.diameter / 2;
+    if (ball.y > contactY || nextY < contactY) {
+        return null;
+    }
+    
+    const t = (contactY - ball.y) / (nextY - ball.y);
+    const hitX = ball.x + (nextX - ball.x) * t;
+    if (Math.abs(hitX - paddle.x) > paddle.width / 2 + ball.diameter / 2) {
+        return null;
+    }
+    
+    return {
+        hasCollision: true,
+        isPaddle: true,
+        square: null,
+        isEdge: false,
+        collisionPoint: { x: hitX, y: contactY },
+        normal: { x: 0, y: -1 },
+        shouldCarve: false,
+        shouldBounce: true
+    };
+}
+
 /**
  * Update ball position based on velocity (legacy function for compatibility)
  * @param {Ball} ball - Ball to update
@@ -665,7 +710,9 @@ function checkBallCollision(ball, grid, gridRenderingParams) {
         const collisionPoint = collisionData.collisionPoint;
         
         // Check collision based on square state
-        if (square.state === SquareState.BLACK_CARVEABLE) {
+        const isLocked = square.state === SquareState.BLACK_CARVEABLE &&
+            grid.revealOrder && !grid.revealOrder.isUnlocked(square);
+        if (square.state === SquareState.BLACK_CARVEABLE && !isLocked) {
             return {
                 hasCollision: true,
                 square: square,
@@ -674,7 +721,7 @@ function checkBallCollision(ball, grid, gridRenderingParams) {
                 normal: normal,
                 shouldCarve: true
             };
-        } else if (square.state === SquareState.BLACK_PROTECTED) {
+        } else if (square.state === SquareState.BLACK_PROTECTED || isLocked) {
             return {
                 hasCollision: true,
                 square: square,
@@ -732,10 +779,21 @@ function handleBallCollision(ball, collisionResult, grid, gridRenderingParams, a
         
         const { square, shouldCarve, shouldDestroy, shouldBounce } = collisionResult;
         
-        if (shouldCarve) {
+        if (collisionResult.isPaddle) {
+            // Player-controlled bounce: no smart aiming
+            bounceBallOffPaddle(ball, collisionResult, grid.paddle);
+            logBallBounced(ball, 'paddle');
+            dispatchBallBounced(ball, null, 'paddle');
+            return { success: true, action: 'paddle' };
+            
+        } else if (shouldCarve) {
             // Carve the square (turn black to white) and bounce
             updateSquareState(grid, square.x, square.y, SquareState.WHITE_CARVED);
+            logSquareCarved(square, 'ball');
+            dispatchSquareCarved(square, { source: 'ball', ball: ball });
             bounceBallOffSquareSmart(ball, collisionResult, grid, gridRenderingParams, animationParameters);
+            logBallBounced(ball, 'carveable');
+            dispatchBallBounced(ball, square, 'carveable');
             return { success: true, action: 'carved', square: square };
             
         } else if (shouldBounce) {
@@ -762,6 +820,12 @@ function handleBallCollision(ball, collisionResult, grid, gridRenderingParams, a
             } else {
                 bounceBallOffSquareSmart(ball, collisionResult, grid, gridRenderingParams, animationParameters);
             }
+            let surface = collisionResult.isEdge ? 'edge' : 'protected';
+            if (!collisionResult.isEdge && square.state === SquareState.BLACK_CARVEABLE) {
+                surface = 'locked'; // Carveable, but its letter's turn has not come (see RevealOrder)
+            }
+            logBallBounced(ball, surface);
+            dispatchBallBounced(ball, square, surface);
             return { success: true, action: 'bounce', square: square };
         }
         
@@ -794,7 +858,8 @@ function bounceBallOffEdgeSmart(ball, collisionResult, grid, gridRenderingParams
         
         // Use smart ray casting to find optimal bounce angle
         if (typeof findOptimalBounceAngle === 'function') {
-            const bounceResult = findOptimalBounceAngle(ball, grid, deviationAngle, collisionResult, gridRenderingParams);
+            const targets = grid.revealOrder ? grid.revealOrder.targets : null;
+            const bounceResult = findOptimalBounceAngle(ball, grid, deviationAngle, collisionResult, gridRenderingParams, targets);
             
             if (bounceResult && bounceResult.isOptimal) {
                 // Use the optimal angle found by ray casting
@@ -851,15 +916,47 @@ function bounceBallOffEdge(ball, collisionResult, grid) {
         ball.velocityY = ball.velocityY - 2 * dotProduct * normalY;
         
         // Add some randomness to prevent balls from getting stuck in patterns
-        const randomFactor = 0.1;
-        ball.velocityX += (Math.random() - 0.5) * randomFactor;
-        ball.velocityY += (Math.random() - 0.5) * randomFactor;
+        jitterBounce(ball);
         
     } catch (error) {
         globalErrorHandler.handleError(error, { ball: ball, collisionResult: collisionResult, grid: grid });
     }
 }
 
+/**
+ * Turn a ball by a small random angle, keeping its speed
+ * @param {Ball} ball - Ball that just bounced
+ */
+function jitterBounce(ball) {
+    const turn = (nextRandom() - 0.5) * 2 * BOUNCE_JITTER_ANGLE;
+    ball.setVelocityFromAngle(ball.getAngle() + turn, ball.getSpeed());
+}
+
+/**
+ * Bounce ball off the paddle; the exit angle depends on where it hit, as in Breakout
+ * @param {Ball} ball - Ball to bounce
+ * @param {Object} collisionResult - Collision result with collision point
+ * @param {Object} paddle - Paddle {x (center), y (top), width, height}
+ */
+function bounceBallOffPaddle(ball, collisionResult, paddle) {
+    try {
+        if (!ball || !collisionResult || !paddle) {
+            return;
+        }
+        
+        // -1 at the left end, 0 in the middle, 1 at the right end
+        const offset = (collisionResult.collisionPoint.x - paddle.x) / (paddle.width / 2);
+        const clampedOffset = Math.max(-1, Math.min(1, offset));
+        const maxAngle = (paddle.maxBounceAngle !== undefined ? paddle.maxBounceAngle : 60) * Math.PI / 180;
+        
+        ball.setVelocityFromAngle(-Math.PI / 2 + clampedOffset * maxAngle, ball.getSpeed());
+        
+    } catch (error) {
+        globalErrorHandler.handleError(error, { ball: ball, collisionResult: collisionResult, paddle: paddle });
+        ball.velocityY = -Math.abs(ball.velocityY);
+    }
+}
+
 /**
  * Bounce ball off square with smart ray casting
  * @param {Ball} ball - Ball to bounce
@@ -877,7 +974,8 @@ function bounceBallOffSquareSmart(ball, collisionResult, grid, gridRenderingPara
         
         // Use smart ray casting to find optimal bounce angle
         if (typeof findOptimalBounceAngle === 'function') {
-            const bounceResult = findOptimalBounceAngle(ball, grid, deviationAngle, collisionResult, gridRenderingParams);
+            const targets = grid.revealOrder ? grid.revealOrder.targets : null;
+            const bounceResult = findOptimalBounceAngle(ball, grid, deviationAngle, collisionResult, gridRenderingParams, targets);
             
             if (bounceResult && bounceResult.isOptimal) {
                 // Use the optimal angle found by ray casting
@@ -940,22 +1038,31 @@ function bounceBallOffSquare(ball, collisionResult) {
         ball.velocityY = ball.velocityY - 2 * dotProduct * normalY;
         
         // Add some randomness to prevent balls from getting stuck in patterns
-        const randomFactor = 0.1;
-        ball.velocityX += (Math.random() - 0.5) * randomFactor;
-        ball.velocityY += (Math.random() - 0.5) * randomFactor;
+        jitterBounce(ball);
         
     } catch (error) {
         globalErrorHandler.handleError(error, { ball: ball, collisionResult: collisionResult });
     }
 }
 
+/**
+ * Ball speed for a set of animation parameters
+ * @param {AnimationParameters} parameters - Animation parameters
+ * @returns {number} Speed in grid squares per second
+ */
+function getBallSpeed(parameters) {
+    return BASE_BALL_SPEED * parameters.movementSpeed;
+}
+
 /**
  * Spawn new ball at edge position
  * @param {Grid} grid - Grid to spawn ball on
  * @param {AnimationParameters} parameters - Animation parameters
+ * @param {Object} gridRenderingParams - Unused
+ * @param {string} id - ID for the new ball
  * @returns {Ball|null} New ball or null if spawning failed
  */
-function spawnNewBall(grid, parameters, gridRenderingParams) {
+function spawnNewBall(grid, parameters, gridRenderingParams, id) {
     try {
         if (!(grid instanceof Grid)) {
             throw new Error('Grid must be a Grid object');
@@ -973,20 +1080,22 @@ function spawnNewBall(grid, parameters, gridRenderingParams) {
             return null;
         }
         
-        const randomEdge = edgePositions[Math.floor(Math.random() * edgePositions.length)];
+        const randomEdge = edgePositions[Math.floor(nextRandom() * edgePositions.length)];
         
         // Position ball at center of edge square (grid units)
         const ballX = randomEdge.x + 0.5;
         const ballY = randomEdge.y + 0.5;
         
-        // Random initial velocity
-        // Speed in grid units per frame
-        const speed = 0.5 * parameters.movementSpeed;
-        const angle = Math.random() * Math.PI * 2;
+        // Random initial velocity in grid squares per second
+        const speed = getBallSpeed(parameters);
+        const angle = nextRandom() * Math.PI * 2;
         const velocityX = Math.cos(angle) * speed;
         const velocityY = Math.sin(angle) * speed;
         
-        return createBall(ballX, ballY, velocityX, velocityY, ballDiameter);
+        const ball = createBall(ballX, ballY, velocityX, velocityY, ballDiameter, id);
+        logBallSpawned(ball);
+        dispatchBallSpawned(ball);
+        return ball;
         
     } catch (error) {
         globalErrorHandler.handleError(error, { 
@@ -1031,9 +1140,11 @@ function getEdgePositions(grid) {
  * Spawn initial balls around the grid edges
  * @param {Grid} grid - Grid to spawn balls on
  * @param {AnimationParameters} parameters - Animation parameters
+ * @param {Object} gridRenderingParams - Unused
+ * @param {Function} getBallId - Returns the ID for each new ball
  * @returns {Array} Array of spawned balls
  */
-function spawnInitialBalls(grid, parameters, gridRenderingParams) {
+function spawnInitialBalls(grid, parameters, gridRenderingParams, getBallId) {
     try {
         if (!(grid instanceof Grid)) {
             throw new Error('Grid must be a Grid object');
@@ -1046,7 +1157,7 @@ function spawnInitialBalls(grid, parameters, gridRenderingParams) {
         const ballCount = Math.min(parameters.ballCount, 50); // Limit to 50 balls max
         
         for (let i = 0; i < ballCount; i++) {
-            const ball = spawnNewBall(grid, parameters, gridRenderingParams);
+            const ball = spawnNewBall(grid, parameters, gridRenderingParams, getBallId());
             if (ball) {
                 balls.push(ball);
             }
@@ -1082,7 +1193,8 @@ function updateAllBalls(balls, grid, gridRenderingParams, animationParameters) {
             ballsUpdated: 0,
             ballsDestroyed: 0,
             squaresCarved: 0,
-            ballsBounced: 0
+            ballsBounced: 0,
+            paddleHits: 0
         };
         
         for (let i = balls.length - 1; i >= 0; i--) {
@@ -1092,11 +1204,22 @@ function updateAllBalls(balls, grid, gridRenderingParams, animationParameters) {
                 continue;
             }
             
+            // Remember where the step started, for interpolated rendering
+            ball.previousX = ball.x;
+            ball.previousY = ball.y;
+            
             // Update ball position with sub-stepping collision detection
             // const collisionResult = updateBallPositionWithSubstepping(ball, grid, gridRenderingParams);
             const collisionResult = updateBallPositionWithSubsteppingAndPreCollisionCheck(ball, grid, gridRenderingParams);
             results.ballsUpdated++;
             
+            // The ball left the grid
+            if (!ball.isActive) {
+                results.ballsDestroyed++;
+                dispatchBallDestroyed(ball);
+                continue;
+            }
+            
             // Handle collision if one occurred during sub-stepping
             if (collisionResult.hasCollision) {
                 const handleResult = handleBallCollision(ball, collisionResult, grid, gridRenderingParams, animationParameters);
@@ -1107,6 +1230,8 @@ function updateAllBalls(balls, grid, gridRenderingParams, animationParameters) {
                     results.ballsDestroyed++;
                 } else if (handleResult.action === 'bounce') {
                     results.ballsBounced++;
+                } else if (handleResult.action === 'paddle') {
+                    results.paddleHits++;
                 }
             }
         }
@@ -1122,16 +1247,34 @@ function updateAllBalls(balls, grid, gridRenderingParams, animationParameters) {
             ballsUpdated: 0,
             ballsDestroyed: 0,
             squaresCarved: 0,
-            ballsBounced: 0
+            ballsBounced: 0,
+            paddleHits: 0
         };
     }
 }
 
+/**
+ * Ball position for rendering between two simulation steps
+ * @param {Ball} ball - Ball to place
+ * @param {number} alpha - Fraction of the next step already elapsed (0-1; 1 = the current position)
+ * @returns {Object} {x, y} in grid units
+ */
+function getInterpolatedBallPosition(ball, alpha = 1) {
+    if (alpha >= 1 || typeof ball.previousX !== 'number' || typeof ball.previousY !== 'number') {
+        return { x: ball.x, y: ball.y };
+    }
+    return {
+        x: ball.previousX + (ball.x - ball.previousX) * alpha,
+        y: ball.previousY + (ball.y - ball.previousY) * alpha
+    };
+}
+
 /**
  * Draw all balls on the canvas
  * @param {Array} balls - Array of balls to draw
+ * @param {number} alpha - Interpolation between the previous and current step (default: 1, current)
  */
-function drawBalls(balls) {
+function drawBalls(balls, alpha = 1) {
     try {
         if (!Array.isArray(balls)) {
             throw new Error('Balls must be an array');
@@ -1140,14 +1283,15 @@ function drawBalls(balls) {
         for (const ball of balls) {
             if (ball.isActive) {
                 // Convert grid coordinates to pixel coordinates for rendering
-                let pixelX = ball.x;
-                let pixelY = ball.y;
+                const position = getInterpolatedBallPosition(ball, alpha);
+                let pixelX = position.x;
+                let pixelY = position.y;
                 let pixelDiameter = ball.diameter;
                 if (typeof window !== 'undefined' && window.gridRenderingParams) {
                     const params = window.gridRenderingParams;
                     const { squareSize, offsetX, offsetY } = params;
-                    pixelX = offsetX + ball.x * squareSize;
-                    pixelY = offsetY + ball.y * squareSize;
+                    pixelX = offsetX + position.x * squareSize;
+                    pixelY = offsetY + position.y * squareSize;
                     pixelDiameter = ball.diameter * squareSize;
                 }
                 fill(COLORS.BALL_COLOR);
@@ -1205,10 +1349,14 @@ if (typeof window !== 'undefined') {
     window.updateBallPosition = updateBallPosition;
     window.checkBallCollision = checkBallCollision;
     window.handleBallCollision = handleBallCollision;
+    window.findPaddleCollision = findPaddleCollision;
+    window.bounceBallOffPaddle = bounceBallOffPaddle;
+    window.getBallSpeed = getBallSpeed;
     window.spawnNewBall = spawnNewBall;
     window.getEdgePositions = getEdgePositions;
     window.spawnInitialBalls = spawnInitialBalls;
     window.updateAllBalls = updateAllBalls;
+    window.getInterpolatedBallPosition = getInterpolatedBallPosition;
     window.drawBalls = drawBalls;
     window.getActiveBalls = getActiveBalls;
     window.cleanupInactiveBalls = cleanupInactiveBalls;
@@ -1223,10 +1371,15 @@ if (typeof module !== 'undefined' && module.exports) {
         updateBallPosition,
         checkBallCollision,
         handleBallCollision,
+        findPaddleCollision,
+        bounceBallOffPaddle,
+        BASE_BALL_SPEED,
+        getBallSpeed,
         spawnNewBall,
         getEdgePositions,
         spawnInitialBalls,
         updateAllBalls,
+        getInterpolatedBallPosition,
         drawBalls,
         getActiveBalls,
         cleanupInactiveBalls,
@@ -0,0 +1,276 @@
+/**
+ * Binarize Module
+ * Turns a grayscale image into solid (protected) and background squares:
+ * a fixed or automatic (Otsu) threshold or dithering, then optional thickening
+ * or thinning of the solid areas so small text stays legible and connected
+ */
+
+const BINARIZE_DEFAULTS = {
+    threshold: 128,         // Gray level (1-255) below which a pixel is solid
+    autoThreshold: false,   // Pick the threshold for each image with Otsu's method instead
+    dither: 'none',         // 'none', 'ordered' (4x4 Bayer matrix) or 'floyd-steinberg'
+    thicken: 0,             // Squares to grow solid areas by (dilate); negative thins them (erode)
+    invert: false           // Make the light parts solid instead
+};
+
+const BINARIZE_LIMITS = {
+    threshold: { min: 1, max: 255 },
+    thicken: { min: -2, max: 3 }
+};
+
+const DITHER_MODES = ['none', 'ordered', 'floyd-steinberg'];
+
+// 4x4 Bayer matrix: the order in which positions of a 4x4 tile turn solid as gray gets darker
+const BAYER_MATRIX = [
+    [0, 8, 2, 10],
+    [12, 4, 14, 6],
+    [3, 11, 1, 9],
+    [15, 7, 13, 5]
+];
+
+/**
+ * Fill in and clamp binarize options; anything invalid falls back to BINARIZE_DEFAULTS
+ * @param {Object} options - See BINARIZE_DEFAULTS
+ * @returns {Object} Complete options
+ */
+function normalizeBinarizeOptions(options = {}) {
+    const merged = { ...BINARIZE_DEFAULTS, ...options };
+
+    let threshold = Math.round(parseFloat(merged.threshold));
+    if (isNaN(threshold)) {
+        threshold = BINARIZE_DEFAULTS.threshold;
+    }
+    threshold = Math.max(BINARIZE_LIMITS.threshold.min, Math.min(BINARIZE_LIMITS.threshold.max, threshold));
+
+    let thicken = Math.round(parseFloat(merged.thicken));
+    if (isNaN(thicken)) {
+        thicken = BINARIZE_DEFAULTS.thicken;
+    }
+    thicken = Math.max(BINARIZE_LIMITS.thicken.min, Math.min(BINARIZE_LIMITS.thicken.max, thicken));
+
+    let dither = String(merged.dither || '').toLowerCase();
+    if (dither === 'fs' || dither === 'floyd') {
+        dither = 'floyd-steinberg';
+    }
+    if (!DITHER_MODES.includes(dither)) {
+        dither = BINARIZE_DEFAULTS.dither;
+    }
+
+    return {
+        threshold: threshold,
+        autoThreshold: !!merged.autoThreshold,
+        dither: dither,
+        thicken: thicken,
+        invert: !!merged.invert
+    };
+}
+
+/**
+ * Otsu's threshold: the gray level that best separates the image into dark and light pixels
+ * @param {ArrayLike<number>} pixels - Gray levels (0-255)
+ * @returns {number} Threshold (pixels below it are dark); BINARIZE_DEFAULTS.threshold for a flat image
+ */
+function getOtsuThreshold(pixels) {
+    const histogram = new Array(256).fill(0);
+    for (let i = 0; i < pixels.length; i++) {
+        histogram[pixels[i]]++;
+    }
+
+    const total = pixels.length;
+    let sumAll = 0;
+    for (let level = 0; level < 256; level++) {
+        sumAll += level * histogram[level];
+    }
+
+    let darkCount = 0;
+    let darkSum = 0;
+    let bestVariance = 0;
+    let bestLevel = -1;
+    for (let level = 0; level < 255; level++) {
+        darkCount += histogram[level];
+        darkSum += level * histogram[level];
+        const lightCount = total - darkCount;
+        if (darkCount === 0 || lightCount === 0) {
+            continue;
+        }
+
+        const darkMean = darkSum / darkCount;
+        const lightMean = (sumAll - darkSum) / lightCount;
+        const variance = darkCount * lightCount * (darkMean - lightMean) * (darkMean - lightMean);
+        if (variance > bestVariance) {
+            bestVariance = variance;
+            bestLevel = level;
+        }
+    }
+
+    // Levels up to bestLevel are dark
+    return bestLevel < 0 ? BINARIZE_DEFAULTS.threshold : Math.max(BINARIZE_LIMITS.threshold.min, bestLevel + 1);
+}
+
+/**
+ * Binarize a grayscale image into the black/white pixels startAnimation() takes
+ * @param {GrayscaleImage} grayscaleImage - Source image (0 = black, 255 = white)
+ * @param {Object} options - See BINARIZE_DEFAULTS
+ * @returns {Object} { width, height, pixels, threshold } with pixels 0 (solid) or 255 (background)
+ *   and the threshold that was used; a source image with colors (colour glyphs and span colors)
+ *   or a spanMap (text markup) or charMap (character labels) passes them on for the solid pixels,
+ *   with its spans and characters
+ */
+function binarizeImage(grayscaleImage, options = {}) {
+    const settings = normalizeBinarizeOptions(options);
+    const { width, height } = grayscaleImage;
+    const gray = grayscaleImage.pixels;
+    const threshold = settings.autoThreshold ? getOtsuThreshold(gray) : settings.threshold;
+
+    let solid;
+    if (settings.dither === 'ordered') {
+        solid = ditherOrdered(gray, width, height, threshold);
+    } else if (settings.dither === 'floyd-steinberg') {
+        solid = ditherFloydSteinberg(gray, width, height, threshold);
+    } else {
+        solid = new Uint8Array(width * height);
+        for (let i = 0; i < solid.length; i++) {
+            solid[i] = gray[i] < threshold ? 1 : 0;
+        }
+    }
+
+    if (settings.invert) {
+        for (let i = 0; i < solid.length; i++) {
+            solid[i] = 1 - solid[i];
+        }
+    }
+
+    // Thickening works on whatever ended up solid, inverted or not
+    for (let pass = 0; pass < Math.abs(settings.thicken); pass++) {
+        solid = morphSolid(solid, width, height, settings.thicken > 0);
+    }
+
+    const pixels = new Uint8Array(width * height);
+    for (let i = 0; i < pixels.length; i++) {
+        pixels[i] = solid[i] ? 0 : 255;
+    }
+
+    const result = { width: width, height: height, pixels: pixels, threshold: threshold };
+    if (grayscaleImage.colors) {
+        result.colors = Array.from(grayscaleImage.colors, (color, i) => solid[i] ? color : null);
+    }
+    if (grayscaleImage.spanMap) {
+        result.spans = grayscaleImage.spans;
+        result.spanMap = Int16Array.from(grayscaleImage.spanMap, (span, i) => solid[i] ? span : -1);
+    }
+    if (grayscaleImage.charMap) {
+        result.characters = grayscaleImage.characters;
+        result.charMap = Int16Array.from(grayscaleImage.charMap, (character, i) => solid[i] ? character : -1);
+    }
+    return result;
+}
+
+/**
+ * Ordered dithering: the threshold varies over a repeating 4x4 pattern, so
+ * mid-gray edges become a regular mix of solid and background squares
+ * @param {ArrayLike<number>} gray - Gray levels (0-255)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} threshold - Threshold for a mid-gray pixel
+ * @returns {Uint8Array} 1 for solid pixels
+ */
+function ditherOrdered(gray, width, height, threshold) {
+    const solid = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            // Offsets spread evenly over about +-120 around the chosen threshold,
+            // so pure black and pure white never flip
+            const offset = ((BAYER_MATRIX[y % 4][x % 4] + 0.5) / 16 - 0.5) * 255;
+            solid[y * width + x] = gray[y * width + x] < threshold + offset ? 1 : 0;
+        }
+    }
+    return solid;
+}
+
+/**
+ * Floyd-Steinberg dithering: each pixel's rounding error is passed on to the
+ * pixels right and below it, so gray areas keep their average darkness
+ * @param {ArrayLike<number>} gray - Gray levels (0-255)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} threshold - Threshold for a mid-gray pixel
+ * @returns {Uint8Array} 1 for solid pixels
+ */
+function ditherFloydSteinberg(gray, width, height, threshold) {
+    const values = Float32Array.from(gray);
+    const solid = new Uint8Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const index = y * width + x;
+            const isSolid = values[index] < threshold;
+            solid[index] = isSolid ? 1 : 0;
+
+            const error = values[index] - (isSolid ? 0 : 255);
+            if (x + 1 < width) {
+                values[index + 1] += error * 7 / 16;
+            }
+            if (y + 1 < height) {
+                if (x > 0) {
+                    values[index + width - 1] += error * 3 / 16;
+                }
+                values[index + width] += error * 5 / 16;
+                if (x + 1 < width) {
+                    values[index + width + 1] += error * 1 / 16;
+                }
+            }
+        }
+    }
+    return solid;
+}
+
+/**
+ * One dilate (grow) or erode (shrink) pass over the 8 neighbours of every pixel;
+ * outside the image counts as background
+ * @param {Uint8Array} solid - 1 for solid pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {boolean} grow - Dilate when true, erode when false
+ * @returns {Uint8Array} New solid mask
+ */
+function morphSolid(solid, width, height, grow) {
+    const result = new Uint8Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let any = false;
+            let all = true;
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    const value = nx >= 0 && nx < width && ny >= 0 && ny < height ? solid[ny * width + nx] : 0;
+                    any = any || value === 1;
+                    all = all && value === 1;
+                }
+            }
+            result[y * width + x] = (grow ? any : all) ? 1 : 0;
+        }
+    }
+    return result;
+}
+
+// Make functions available globally for browser usage
+if (typeof window !== 'undefined') {
+    window.BINARIZE_DEFAULTS = BINARIZE_DEFAULTS;
+    window.normalizeBinarizeOptions = normalizeBinarizeOptions;
+    window.getOtsuThreshold = getOtsuThreshold;
+    window.binarizeImage = binarizeImage;
+}
+
+// Export for use in other modules (Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BINARIZE_DEFAULTS,
+        BINARIZE_LIMITS,
+        DITHER_MODES,
+        normalizeBinarizeOptions,
+        getOtsuThreshold,
+        binarizeImage
+    };
+}
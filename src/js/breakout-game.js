@@ -0,0 +1,241 @@
+/**
+ * Breakout Game Module
+ * Playable mode: the player moves a paddle along the bottom of the grid,
+ * balls that miss it are lost, and every carved square scores points.
+ * The game logic is p5-free; only drawBreakoutGame() needs p5.
+ */
+
+const BREAKOUT_DEFAULTS = {
+    lives: 3,               // Balls the player can lose before the game is over
+    pointsPerSquare: 10,    // Score for each carved BLACK_CARVEABLE square
+    padding: 6,             // Grid padding in squares (room for the paddle below the text)
+    paddleWidthRatio: 0.15, // Paddle width as a fraction of the grid width
+    minPaddleWidth: 4,      // Paddle width lower bound in squares
+    maxBounceAngle: 60,     // Degrees from vertical when the ball hits a paddle end
+    launchAngle: 30         // Serves leave the paddle up to this many degrees from vertical
+};
+
+/**
+ * One game of Breakout on a text grid
+ */
+class BreakoutGame {
+    /**
+     * @param {BlackWhiteImage} blackWhiteImage - Binary image ({width, height, pixels}, true = protected)
+     * @param {Object} options - See BREAKOUT_DEFAULTS
+     * @param {AnimationParameters} options.parameters - Deviation angle, movement speed and seed to play with (copied)
+     * @param {number} options.seed - Random seed override
+     */
+    constructor(blackWhiteImage, options = {}) {
+        this.options = { ...BREAKOUT_DEFAULTS, ...options };
+
+        // The game manages its own balls, so run the engine with automatic spawning off
+        const source = options.parameters || new AnimationParameters();
+        const parameters = new AnimationParameters();
+        parameters.deviationAngle = source.deviationAngle;
+        parameters.movementSpeed = source.movementSpeed;
+        parameters.seed = source.seed;
+        parameters.ballCount = 0;
+
+        this.engine = new SimulationEngine(blackWhiteImage, {
+            parameters: parameters,
+            padding: this.options.padding,
+            seed: options.seed
+        });
+        this.grid = this.engine.grid;
+
+        // Paddle in grid units; its presence opens the bottom wall (see ball-animation.js)
+        const paddleWidth = Math.max(this.options.minPaddleWidth, Math.round(this.grid.width * this.options.paddleWidthRatio));
+        this.paddle = {
+            x: this.grid.width / 2,
+            y: this.grid.height - this.options.padding / 2,
+            width: paddleWidth,
+            height: 0.5,
+            speed: Math.max(15, this.grid.width * 2 / 3), // Keyboard speed in squares per second
+            maxBounceAngle: this.options.maxBounceAngle
+        };
+        this.grid.paddle = this.paddle;
+        this.paddleDirection = 0;
+
+        this.lives = this.options.lives;
+        this.score = 0;
+        this.status = 'serving'; // serving | playing | won | lost
+        this.servingBall = null;
+
+        this.serve();
+    }
+
+    /**
+     * Put a new ball on the paddle, waiting for launch()
+     */
+    serve() {
+        const diameter = 0.7;
+        this.servingBall = createBall(this.paddle.x, this.paddle.y - diameter / 2, 0, 0, diameter,
+            this.engine.createBallId());
+        this.status = 'serving';
+        dispatchBallSpawned(this.servingBall);
+    }
+
+    /**
+     * Launch the ball waiting on the paddle
+     * @returns {boolean} True if a ball was launched
+     */
+    launch() {
+        if (this.status !== 'serving' || !this.servingBall) {
+            return false;
+        }
+
+        const ball = this.servingBall;
+        const speed = getBallSpeed(this.engine.parameters);
+        const spread = this.options.launchAngle * Math.PI / 180;
+        const angle = -Math.PI / 2 + (this.engine.withSources(nextRandom) * 2 - 1) * spread;
+        ball.setVelocityFromAngle(angle, speed);
+
+        this.engine.state.addBall(ball);
+        this.servingBall = null;
+        this.status = 'playing';
+        return true;
+    }
+
+    /**
+     * Set keyboard movement of the paddle
+     * @param {number} direction - -1 (left), 0 (stop) or 1 (right)
+     */
+    setPaddleDirection(direction) {
+        this.paddleDirection = Math.sign(direction) || 0;
+    }
+
+    /**
+     * Move the paddle center to a grid X position (mouse and touch)
+     * @param {number} x - Grid X coordinate
+     */
+    movePaddleTo(x) {
+        if (typeof x !== 'number' || !isFinite(x)) {
+            return;
+        }
+        // Keep the paddle between the side walls
+        const halfWidth = this.paddle.width / 2;
+        this.paddle.x = Math.max(1 + halfWidth, Math.min(this.grid.width - 1 - halfWidth, x));
+        if (this.servingBall) {
+            this.servingBall.x = this.paddle.x;
+            this.servingBall.previousX = this.paddle.x;
+        }
+    }
+
+    /**
+     * Advance the game by one fixed simulation step
+     * @returns {Object} Frame results plus score, lives and status
+     */
+    step() {
+        if (this.paddleDirection !== 0) {
+            this.movePaddleTo(this.paddle.x + this.paddleDirection * this.paddle.speed * FIXED_TIMESTEP);
+        }
+
+        const results = this.engine.step();
+
+        if (this.status === 'playing' || this.status === 'serving') {
+            this.score += results.squaresCarved * this.options.pointsPerSquare;
+
+            if (results.carveableSquaresRemaining === 0) {
+                // Level cleared; the island sweeps finish without balls in play
+                this.status = 'won';
+                this.servingBall = null;
+                this.engine.state.balls = [];
+                this.engine.state.ballsActive = 0;
+            } else if (this.status === 'playing' && this.engine.state.balls.length === 0) {
+                this.lives--;
+                if (this.lives > 0) {
+                    this.serve();
+                } else {
+                    this.status = 'lost';
+                }
+            }
+        }
+
+        return {
+            ...results,
+            score: this.score,
+            lives: this.lives,
+            status: this.status
+        };
+    }
+
+    /**
+     * Check whether the game is over (lost, or won with the island sweeps finished)
+     * @returns {boolean} True if the game has ended
+     */
+    isComplete() {
+        return this.status === 'lost' || (this.status === 'won' && this.engine.isComplete());
+    }
+
+    /**
+     * Balls to draw, including the one waiting on the paddle
+     * @returns {Array} Balls
+     */
+    getBalls() {
+        return this.servingBall ? [...this.engine.state.balls, this.servingBall] : this.engine.state.balls;
+    }
+}
+
+/**
+ * Draw the paddle, the served ball and the score/lives HUD (p5)
+ * @param {BreakoutGame} game - Game to draw
+ * @param {Object} gridRenderingParams - Grid rendering parameters
+ */
+function drawBreakoutGame(game, gridRenderingParams) {
+    try {
+        if (!game || !gridRenderingParams) {
+            return;
+        }
+
+        const { squareSize } = gridRenderingParams;
+        const paddle = game.paddle;
+        const topLeft = gridToPixel(paddle.x - paddle.width / 2, paddle.y, gridRenderingParams);
+
+        noStroke();
+        fill(COLORS.PADDLE_COLOR);
+        rect(topLeft.x, topLeft.y, paddle.width * squareSize, paddle.height * squareSize, squareSize * 0.25);
+
+        if (game.servingBall) {
+            drawBalls([game.servingBall]);
+        }
+
+        // Score and lives in the top padding
+        const hudPosition = gridToPixel(1, 1, gridRenderingParams);
+        fill(COLORS.HUD_TEXT);
+        textSize(Math.max(12, Math.min(20, squareSize * 1.5)));
+        textAlign(LEFT, TOP);
+        text(`Score: ${game.score}   Lives: ${game.lives}`, hudPosition.x, hudPosition.y);
+
+        let message = null;
+        if (game.status === 'serving') {
+            message = 'Press Space, click or tap to launch';
+        } else if (game.status === 'won') {
+            message = 'You win!';
+        } else if (game.status === 'lost') {
+            message = 'Game over';
+        }
+        if (message) {
+            const messagePosition = gridToPixel(game.grid.width / 2, paddle.y - 1, gridRenderingParams);
+            textAlign(CENTER, BOTTOM);
+            text(message, messagePosition.x, messagePosition.y);
+        }
+
+    } catch (error) {
+        globalErrorHandler.handleError(error, { context: 'drawBreakoutGame' });
+    }
+}
+
+// Make classes and functions available globally for browser usage
+if (typeof window !== 'undefined') {
+    window.BreakoutGame = BreakoutGame;
+    window.drawBreakoutGame = drawBreakoutGame;
+}
+
+// Export for use in other modules (Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BREAKOUT_DEFAULTS,
+        BreakoutGame,
+        drawBreakoutGame
+    };
+}
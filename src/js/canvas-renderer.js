@@ -0,0 +1,97 @@
+/**
+ * Canvas Renderer Module
+ * Draws a grid and its balls onto a plain 2D canvas context (no p5), for
+ * animations that own their canvas instead of sharing the p5 sketch
+ */
+
+/**
+ * Convert a p5 fill value to a CSS color
+ * @param {number|string} value - Gray level (0-255) or CSS color string
+ * @returns {string} CSS color
+ */
+function toCssColor(value) {
+    if (typeof value === 'number') {
+        const level = Math.max(0, Math.min(255, Math.round(value)));
+        return `rgb(${level}, ${level}, ${level})`;
+    }
+    return value;
+}
+
+/**
+ * Draw every square of a grid
+ * @param {CanvasRenderingContext2D} context - Context to draw into
+ * @param {Grid} grid - Grid to draw
+ * @param {Object} params - Rendering parameters from getGridRenderingParams()
+ */
+function drawGridToContext(context, grid, params) {
+    try {
+        const { squareSize, offsetX, offsetY } = params;
+
+        for (let y = 0; y < grid.height; y++) {
+            for (let x = 0; x < grid.width; x++) {
+                const square = grid.getSquare(x, y);
+                if (square) {
+                    context.fillStyle = toCssColor(getSquareFillColor(square));
+                    // Overlap neighbours slightly to avoid seams between squares (as drawGrid does)
+                    context.fillRect(
+                        offsetX + x * squareSize - 0.5,
+                        offsetY + y * squareSize - 0.5,
+                        squareSize + 1,
+                        squareSize + 1
+                    );
+                }
+            }
+        }
+
+    } catch (error) {
+        globalErrorHandler.handleError(error, { context: 'drawGridToContext' });
+    }
+}
+
+/**
+ * Draw the active balls
+ * @param {CanvasRenderingContext2D} context - Context to draw into
+ * @param {Array} balls - Balls in grid coordinates
+ * @param {Object} params - Rendering parameters from getGridRenderingParams()
+ * @param {number} alpha - Interpolation between the previous and current step (default: 1, current)
+ */
+function drawBallsToContext(context, balls, params, alpha = 1) {
+    try {
+        const { squareSize, offsetX, offsetY } = params;
+
+        context.fillStyle = toCssColor(COLORS.BALL_COLOR);
+        for (const ball of balls) {
+            if (ball.isActive) {
+                const position = getInterpolatedBallPosition(ball, alpha);
+                context.beginPath();
+                context.arc(
+                    offsetX + position.x * squareSize,
+                    offsetY + position.y * squareSize,
+                    ball.diameter * squareSize / 2,
+                    0,
+                    Math.PI * 2
+                );
+                context.fill();
+            }
+        }
+
+    } catch (error) {
+        globalErrorHandler.handleError(error, { context: 'drawBallsToContext' });
+    }
+}
+
+// Make functions available globally for browser usage
+if (typeof window !== 'undefined') {
+    window.toCssColor = toCssColor;
+    window.drawGridToContext = drawGridToContext;
+    window.drawBallsToContext = drawBallsToContext;
+}
+
+// Export for use in other modules (Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        toCssColor,
+        drawGridToContext,
+        drawBallsToContext
+    };
+}
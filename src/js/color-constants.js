@@ -23,6 +23,8 @@ const COLORS = {
     PROTECTED_COLOR: '#ff8c00',  // Orange color for protected squares
     RED_COLOR: 'red',            // Red color for completed protected squares
     BALL_COLOR: 32,               // Black color for balls
+    PADDLE_COLOR: 32,             // Near-black paddle (game mode)
+    HUD_TEXT: 60,                 // Dark gray score/lives text (game mode)
     WELCOME_TEXT: 100           // Gray color for welcome text
 };
 
@@ -74,6 +74,24 @@ class BallError extends BallAnimationError {
     }
 }
 
+class ReplayError extends BallAnimationError {
+    constructor(message = 'Invalid replay file') {
+        super(message, 'REPLAY_ERROR');
+    }
+}
+
+class FontLoadError extends BallAnimationError {
+    constructor(message = 'Font could not be loaded') {
+        super(message, 'FONT_ERROR');
+    }
+}
+
+class ImageLoadError extends BallAnimationError {
+    constructor(message = 'Image could not be loaded') {
+        super(message, 'IMAGE_ERROR');
+    }
+}
+
 /**
  * Error Handler Class
  */
@@ -92,8 +110,8 @@ class ErrorHandler {
             error: error,
             context: context,
             timestamp: new Date().toISOString(),
-            userAgent: navigator.userAgent,
-            url: window.location.href
+            userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : 'node',
+            url: typeof window !== 'undefined' ? window.location.href : null
         };
         
         this.errors.push(errorInfo);
@@ -137,6 +155,12 @@ class ErrorHandler {
                 return 'Grid error occurred. Please reset and try again.';
             case BallError:
                 return 'Ball physics error. Please restart the animation.';
+            case ReplayError:
+                return `Could not load replay: ${error.message}`;
+            case FontLoadError:
+                return `Could not load font: ${error.message}`;
+            case ImageLoadError:
+                return `Could not load image: ${error.message}`;
             default:
                 return 'An unexpected error occurred. Please refresh the page and try again.';
         }
@@ -323,23 +347,25 @@ class ErrorRecovery {
 // Global error handler instance
 const globalErrorHandler = new ErrorHandler();
 
-// Global error handler for uncaught errors
-window.addEventListener('error', (event) => {
-    const error = new BallAnimationError(event.message, 'UNCAUGHT_ERROR');
-    globalErrorHandler.handleError(error, {
-        filename: event.filename,
-        lineno: event.lineno,
-        colno: event.colno
+if (typeof window !== 'undefined') {
+    // Global error handler for uncaught errors
+    window.addEventListener('error', (event) => {
+        const error = new BallAnimationError(event.message, 'UNCAUGHT_ERROR');
+        globalErrorHandler.handleError(error, {
+            filename: event.filename,
+            lineno: event.lineno,
+            colno: event.colno
+        });
     });
-});
 
-// Global error handler for unhandled promise rejections
-window.addEventListener('unhandledrejection', (event) => {
-    const error = new BallAnimationError(event.reason, 'UNHANDLED_REJECTION');
-    globalErrorHandler.handleError(error, {
-        promise: event.promise
+    // Global error handler for unhandled promise rejections
+    window.addEventListener('unhandledrejection', (event) => {
+        const error = new BallAnimationError(event.reason, 'UNHANDLED_REJECTION');
+        globalErrorHandler.handleError(error, {
+            promise: event.promise
+        });
     });
-});
+}
 
 // Make classes and objects available globally for browser usage
 if (typeof window !== 'undefined') {
@@ -352,6 +378,9 @@ if (typeof window !== 'undefined') {
     window.RayCastError = RayCastError;
     window.GridError = GridError;
     window.BallError = BallError;
+    window.ReplayError = ReplayError;
+    window.FontLoadError = FontLoadError;
+    window.ImageLoadError = ImageLoadError;
     window.ErrorHandler = ErrorHandler;
     window.ValidationHelper = ValidationHelper;
     window.ErrorRecovery = ErrorRecovery;
@@ -370,6 +399,9 @@ if (typeof module !== 'undefined' && module.exports) {
         RayCastError,
         GridError,
         BallError,
+        ReplayError,
+        FontLoadError,
+        ImageLoadError,
         ErrorHandler,
         ValidationHelper,
         ErrorRecovery,
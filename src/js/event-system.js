@@ -3,6 +3,23 @@
  * Handles custom events for animation lifecycle
  */
 
+/**
+ * Event types emitted by the animation (see TextBreakout.on)
+ */
+const EVENT_TYPES = [
+    'animationStarted',
+    'animationPaused',
+    'animationResumed',
+    'animationCompleted',
+    'ballSpawned',
+    'ballBounced',
+    'ballDestroyed',
+    'squareCarved',
+    'islandStarted',
+    'islandCompleted',
+    'revealStepCompleted'
+];
+
 /**
  * Custom event classes for animation lifecycle
  */
@@ -64,6 +81,13 @@ class EventSystem {
         }
     }
     
+    /**
+     * Check whether anyone listens for an event type (lets hot paths skip building events)
+     */
+    hasListeners(type) {
+        return this.listeners.has(type) && this.listeners.get(type).length > 0;
+    }
+    
     /**
      * Dispatch custom event
      */
@@ -73,7 +97,8 @@ class EventSystem {
         }
         
         if (this.listeners.has(event.type)) {
-            const listeners = this.listeners.get(event.type);
+            // Copy so listeners can unsubscribe while being called
+            const listeners = this.listeners.get(event.type).slice();
             listeners.forEach(({ listener, options }) => {
                 try {
                     listener(event);
@@ -95,6 +120,44 @@ class EventSystem {
 // Global event system instance
 const globalEventSystem = new EventSystem();
 
+// Event system the dispatch functions below send to (see withEventSystem)
+let activeEventSystem = globalEventSystem;
+
+/**
+ * Run a function with the dispatch functions sending to another event system,
+ * so an embedded simulation's events stay out of the page-wide TextBreakout.on listeners
+ * @param {EventSystem|null} eventSystem - Event system to dispatch to (null = globalEventSystem)
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+function withEventSystem(eventSystem, fn) {
+    const previousEventSystem = activeEventSystem;
+    activeEventSystem = eventSystem || globalEventSystem;
+    try {
+        return fn();
+    } finally {
+        activeEventSystem = previousEventSystem;
+    }
+}
+
+/**
+ * Dispatch a DOM CustomEvent from the animation container for host pages;
+ * it bubbles, so document.addEventListener(type, ...) also receives it
+ * @param {string} type - Event type
+ * @param {Object} detail - Plain event data
+ */
+function dispatchDOMEvent(type, detail = {}) {
+    try {
+        if (typeof document === 'undefined' || typeof CustomEvent !== 'function') {
+            return;
+        }
+        const target = document.getElementById('animation-container') || document;
+        target.dispatchEvent(new CustomEvent(type, { detail: detail, bubbles: true }));
+    } catch (error) {
+        globalErrorHandler.handleError(error, { context: 'dispatchDOMEvent', type: type });
+    }
+}
+
 /**
  * Dispatch animation started event
  */
@@ -104,22 +167,62 @@ function dispatchAnimationStarted(animationState) {
             animationState: animationState,
             timestamp: new Date().toISOString()
         });
-        globalEventSystem.dispatchEvent(event);
+        activeEventSystem.dispatchEvent(event);
     } catch (error) {
         globalErrorHandler.handleError(error, { context: 'dispatchAnimationStarted' });
     }
 }
 
 /**
- * Dispatch animation completed event
+ * Dispatch animation paused event (the run halted with its state intact)
+ * @param {AnimationState} animationState - Current animation state
+ * @param {Object} detail - Extra detail (e.g. reason)
+ */
+function dispatchAnimationPaused(animationState, detail = {}) {
+    try {
+        const event = new AnimationEvent('animationPaused', {
+            ...detail,
+            animationState: animationState,
+            timestamp: new Date().toISOString()
+        });
+        activeEventSystem.dispatchEvent(event);
+    } catch (error) {
+        globalErrorHandler.handleError(error, { context: 'dispatchAnimationPaused' });
+    }
+}
+
+/**
+ * Dispatch animation resumed event (a paused run continues)
+ * @param {AnimationState} animationState - Current animation state
+ * @param {Object} detail - Extra detail
+ */
+function dispatchAnimationResumed(animationState, detail = {}) {
+    try {
+        const event = new AnimationEvent('animationResumed', {
+            ...detail,
+            animationState: animationState,
+            timestamp: new Date().toISOString()
+        });
+        activeEventSystem.dispatchEvent(event);
+    } catch (error) {
+        globalErrorHandler.handleError(error, { context: 'dispatchAnimationResumed' });
+    }
+}
+
+/**
+ * Dispatch animation completed event, also as a DOM CustomEvent
+ * @param {AnimationState} animationState - Final animation state
+ * @param {Object} summary - Plain run summary (seed, frameCount, ...) for the DOM event detail
  */
-function dispatchAnimationCompleted(animationState) {
+function dispatchAnimationCompleted(animationState, summary = {}) {
     try {
         const event = new AnimationEvent('animationCompleted', {
+            ...summary,
             animationState: animationState,
             timestamp: new Date().toISOString()
         });
-        globalEventSystem.dispatchEvent(event);
+        activeEventSystem.dispatchEvent(event);
+        dispatchDOMEvent('animationCompleted', summary);
     } catch (error) {
         globalErrorHandler.handleError(error, { context: 'dispatchAnimationCompleted' });
     }
@@ -130,24 +233,53 @@ function dispatchAnimationCompleted(animationState) {
  */
 function dispatchBallSpawned(ball) {
     try {
+        if (!activeEventSystem.hasListeners('ballSpawned')) {
+            return;
+        }
         const event = new BallEvent('ballSpawned', ball, {
             timestamp: new Date().toISOString()
         });
-        globalEventSystem.dispatchEvent(event);
+        activeEventSystem.dispatchEvent(event);
     } catch (error) {
         globalErrorHandler.handleError(error, { context: 'dispatchBallSpawned' });
     }
 }
 
 /**
- * Dispatch ball destroyed event
+ * Dispatch ball bounced event
+ * @param {Ball} ball - Ball that bounced
+ * @param {Square|null} square - Square it bounced off (null for the paddle)
+ * @param {string} surface - 'carveable', 'protected', 'locked' (see RevealOrder), 'edge' or 'paddle'
+ */
+function dispatchBallBounced(ball, square, surface) {
+    try {
+        if (!activeEventSystem.hasListeners('ballBounced')) {
+            return;
+        }
+        const event = new BallEvent('ballBounced', ball, {
+            square: square,
+            surface: surface,
+            angle: ball.getAngle(),
+            timestamp: new Date().toISOString()
+        });
+        activeEventSystem.dispatchEvent(event);
+    } catch (error) {
+        globalErrorHandler.handleError(error, { context: 'dispatchBallBounced' });
+    }
+}
+
+/**
+ * Dispatch ball destroyed event (the ball left the grid)
  */
 function dispatchBallDestroyed(ball) {
     try {
+        if (!activeEventSystem.hasListeners('ballDestroyed')) {
+            return;
+        }
         const event = new BallEvent('ballDestroyed', ball, {
             timestamp: new Date().toISOString()
         });
-        globalEventSystem.dispatchEvent(event);
+        activeEventSystem.dispatchEvent(event);
     } catch (error) {
         globalErrorHandler.handleError(error, { context: 'dispatchBallDestroyed' });
     }
@@ -155,30 +287,100 @@ function dispatchBallDestroyed(ball) {
 
 /**
  * Dispatch square carved event
+ * @param {Square} square - Square that was carved
+ * @param {Object} detail - Extra detail: source ('ball', 'island' or 'skip') and the ball or island
  */
-function dispatchSquareCarved(square) {
+function dispatchSquareCarved(square, detail = {}) {
     try {
+        if (!activeEventSystem.hasListeners('squareCarved')) {
+            return;
+        }
         const event = new SquareEvent('squareCarved', square, {
+            ...detail,
             timestamp: new Date().toISOString()
         });
-        globalEventSystem.dispatchEvent(event);
+        activeEventSystem.dispatchEvent(event);
     } catch (error) {
         globalErrorHandler.handleError(error, { context: 'dispatchSquareCarved' });
     }
 }
 
+/**
+ * Dispatch island sweep started event
+ * @param {Object} island - Island whose boundary was fully carved
+ */
+function dispatchIslandStarted(island) {
+    try {
+        const event = new AnimationEvent('islandStarted', {
+            island: island,
+            squareCount: island.squares.length,
+            timestamp: new Date().toISOString()
+        });
+        activeEventSystem.dispatchEvent(event);
+    } catch (error) {
+        globalErrorHandler.handleError(error, { context: 'dispatchIslandStarted' });
+    }
+}
+
+/**
+ * Dispatch island sweep completed event
+ * @param {Object} island - Island whose sweep finished
+ */
+function dispatchIslandCompleted(island) {
+    try {
+        const event = new AnimationEvent('islandCompleted', {
+            island: island,
+            squareCount: island.squares.length,
+            timestamp: new Date().toISOString()
+        });
+        activeEventSystem.dispatchEvent(event);
+    } catch (error) {
+        globalErrorHandler.handleError(error, { context: 'dispatchIslandCompleted' });
+    }
+}
+
+/**
+ * Dispatch reveal step completed event
+ * @param {Object} step - Letter or word whose squares are all carved (see buildRevealSteps)
+ * @param {Object|null} next - Step that unlocks now, or null after the last one
+ */
+function dispatchRevealStepCompleted(step, next) {
+    try {
+        const event = new AnimationEvent('revealStepCompleted', {
+            step: step.index,
+            text: step.text,
+            characters: step.characters,
+            squareCount: step.squares.length,
+            next: next ? next.text : null,
+            timestamp: new Date().toISOString()
+        });
+        activeEventSystem.dispatchEvent(event);
+    } catch (error) {
+        globalErrorHandler.handleError(error, { context: 'dispatchRevealStepCompleted' });
+    }
+}
+
 // Make classes and functions available globally for browser usage
 if (typeof window !== 'undefined') {
     window.AnimationEvent = AnimationEvent;
     window.BallEvent = BallEvent;
     window.SquareEvent = SquareEvent;
     window.EventSystem = EventSystem;
+    window.EVENT_TYPES = EVENT_TYPES;
     window.globalEventSystem = globalEventSystem;
+    window.withEventSystem = withEventSystem;
+    window.dispatchDOMEvent = dispatchDOMEvent;
     window.dispatchAnimationStarted = dispatchAnimationStarted;
+    window.dispatchAnimationPaused = dispatchAnimationPaused;
+    window.dispatchAnimationResumed = dispatchAnimationResumed;
     window.dispatchAnimationCompleted = dispatchAnimationCompleted;
     window.dispatchBallSpawned = dispatchBallSpawned;
+    window.dispatchBallBounced = dispatchBallBounced;
     window.dispatchBallDestroyed = dispatchBallDestroyed;
     window.dispatchSquareCarved = dispatchSquareCarved;
+    window.dispatchIslandStarted = dispatchIslandStarted;
+    window.dispatchIslandCompleted = dispatchIslandCompleted;
+    window.dispatchRevealStepCompleted = dispatchRevealStepCompleted;
 }
 
 // Export for use in other modules (Node.js)
@@ -187,12 +389,21 @@ if (typeof module !== 'undefined' && module.exports) {
         AnimationEvent,
         BallEvent,
         SquareEvent,
+        EVENT_TYPES,
         EventSystem,
         globalEventSystem,
+        withEventSystem,
+        dispatchDOMEvent,
         dispatchAnimationStarted,
+        dispatchAnimationPaused,
+        dispatchAnimationResumed,
         dispatchAnimationCompleted,
         dispatchBallSpawned,
+        dispatchBallBounced,
         dispatchBallDestroyed,
-        dispatchSquareCarved
+        dispatchSquareCarved,
+        dispatchIslandStarted,
+        dispatchIslandCompleted,
+        dispatchRevealStepCompleted
     };
 }
@@ -0,0 +1,391 @@
+/**
+ * Font Loader Module
+ * The fonts text can be carved in: the bundled Eutopia font, common system
+ * fonts and font files the user uploads. Bundled and uploaded fonts are loaded
+ * through the FontFace API, so text is only rasterized once its font is ready;
+ * uploaded fonts are kept in IndexedDB so they survive reloads.
+ */
+
+const FONT_CHOICES = [
+    { id: 'arial', label: 'Arial', family: 'Arial, sans-serif' },
+    { id: 'eutopia', label: 'Eutopia', family: "'Eutopia', serif", face: 'Eutopia', url: './assets/Eutopia/Eutopia.otf' },
+    { id: 'helvetica', label: 'Helvetica', family: 'Helvetica, Arial, sans-serif' },
+    { id: 'verdana', label: 'Verdana', family: 'Verdana, Geneva, sans-serif' },
+    { id: 'trebuchet', label: 'Trebuchet MS', family: "'Trebuchet MS', sans-serif" },
+    { id: 'georgia', label: 'Georgia', family: 'Georgia, serif' },
+    { id: 'times', label: 'Times New Roman', family: "'Times New Roman', Times, serif" },
+    { id: 'courier', label: 'Courier New', family: "'Courier New', Courier, monospace" },
+    { id: 'impact', label: 'Impact', family: 'Impact, Haettenschweiler, sans-serif' },
+    { id: 'comic', label: 'Comic Sans MS', family: "'Comic Sans MS', 'Comic Sans', cursive" }
+];
+
+const FONT_WEIGHTS = ['300', 'normal', 'bold', '900'];  // Light, regular, bold, black
+const FONT_STYLES = ['normal', 'italic'];
+
+const FONT_DEFAULTS = {
+    font: 'arial',
+    weight: 'bold',
+    style: 'normal'
+};
+
+// Other spellings accepted for weights and styles (e.g. from URLs)
+const FONT_WEIGHT_ALIASES = { light: '300', regular: 'normal', '400': 'normal', '700': 'bold', black: '900' };
+const FONT_STYLE_ALIASES = { oblique: 'italic' };
+
+// Uploaded fonts: ids are 'custom:' + the font name, e.g. 'custom:BrandSans'
+const CUSTOM_FONT_PREFIX = 'custom:';
+const FONT_FILE_EXTENSIONS = ['.ttf', '.otf', '.woff2', '.woff'];
+const FONT_FILE_MAX_BYTES = 10 * 1024 * 1024;
+
+const FONT_CACHE = {
+    database: 'text-breakout',
+    version: 1,
+    store: 'fonts'      // Records: { id, name, data (ArrayBuffer), savedAt }
+};
+
+const loadedFontFaces = new Map(); // Font id -> promise of its loaded FontFace
+const uploadedFonts = new Map();   // Lower-case font id -> font choice of an uploaded font
+let cachedFontsRestore = null;     // Promise of the fonts restored from IndexedDB
+
+/**
+ * Look up a font by id
+ * @param {string} id - Font id from FONT_CHOICES (case-insensitive)
+ * @returns {Object|null} Font choice, or null if there is none with that id
+ */
+function getFontChoice(id) {
+    const key = String(id || '').trim().toLowerCase();
+    return FONT_CHOICES.find(choice => choice.id === key) || uploadedFonts.get(key) || null;
+}
+
+/**
+ * Every font that can be picked right now: the built-in ones, then uploaded ones
+ * @returns {Object[]} Font choices
+ */
+function getFontChoices() {
+    return FONT_CHOICES.concat(Array.from(uploadedFonts.values()));
+}
+
+/**
+ * Turn a file name or typed name into a font name usable as a CSS family
+ * @param {string} name - Name, e.g. 'BrandSans-Bold.woff2'
+ * @returns {string} Font name with only letters, digits, spaces, '-' and '_' (empty if none are left)
+ */
+function toCustomFontName(name) {
+    return String(name || '')
+        .replace(/\.(ttf|otf|woff2?)$/i, '')
+        .replace(/[^\w \-]/g, '')
+        .trim()
+        .slice(0, 64);
+}
+
+/**
+ * Font choice for an uploaded font, whether or not it is on this device
+ * @param {string} id - 'custom:' font id
+ * @returns {Object|null} Font choice (falls back to Arial when drawn without the font), or null for other ids
+ */
+function getCustomFontChoice(id) {
+    const text = String(id || '').trim();
+    if (!text.toLowerCase().startsWith(CUSTOM_FONT_PREFIX)) {
+        return null;
+    }
+
+    const uploaded = uploadedFonts.get(text.toLowerCase());
+    if (uploaded) {
+        return uploaded;
+    }
+
+    const name = toCustomFontName(text.slice(CUSTOM_FONT_PREFIX.length));
+    if (!name) {
+        return null;
+    }
+    return {
+        id: CUSTOM_FONT_PREFIX + name,
+        label: name,
+        family: `'${name}', Arial, sans-serif`,
+        face: name,
+        custom: true
+    };
+}
+
+/**
+ * Fill in and validate font settings; anything unknown falls back to FONT_DEFAULTS
+ * @param {Object} settings - { font, weight, style }
+ * @returns {Object} Font settings with a known font id, weight and style
+ */
+function normalizeFontSettings(settings = {}) {
+    // Uploaded fonts are kept even when missing here, so a shared link still names them
+    const choice = getFontChoice(settings.font) || getCustomFontChoice(settings.font);
+    const font = choice ? choice.id : FONT_DEFAULTS.font;
+
+    let weight = String(settings.weight || '').trim().toLowerCase();
+    weight = FONT_WEIGHT_ALIASES[weight] || weight;
+    if (!FONT_WEIGHTS.includes(weight)) {
+        weight = FONT_DEFAULTS.weight;
+    }
+
+    let style = String(settings.style || '').trim().toLowerCase();
+    style = FONT_STYLE_ALIASES[style] || style;
+    if (!FONT_STYLES.includes(style)) {
+        style = FONT_DEFAULTS.style;
+    }
+
+    return { font: font, weight: weight, style: style };
+}
+
+/**
+ * Font settings as rasterizeText() options
+ * @param {Object} settings - { font, weight, style }
+ * @returns {Object} { fontFamily, fontWeight, fontStyle }
+ */
+function getFontRasterOptions(settings) {
+    const normalized = normalizeFontSettings(settings);
+    return {
+        fontFamily: (getFontChoice(normalized.font) || getCustomFontChoice(normalized.font)).family,
+        fontWeight: normalized.weight,
+        fontStyle: normalized.style
+    };
+}
+
+/**
+ * Make sure a font can be drawn with. System fonts are ready straight away;
+ * bundled fonts are fetched once and added to document.fonts, and uploaded
+ * fonts are looked up in the IndexedDB cache. (Not called loadFont: p5 puts its
+ * own loadFont on window in global mode, over any page function of that name.)
+ * @param {Object} settings - { font, weight, style }
+ * @returns {Promise<Object>} Resolves to the rasterizeText() options for the font;
+ *   rejects with a FontLoadError if the font could not be loaded or is not on this device
+ */
+function loadFontChoice(settings) {
+    const normalized = normalizeFontSettings(settings);
+    const choice = getFontChoice(normalized.font) || getCustomFontChoice(normalized.font);
+    const options = getFontRasterOptions(normalized);
+
+    if (choice.custom) {
+        return restoreCachedFonts().then(() => {
+            if (!uploadedFonts.has(choice.id.toLowerCase())) {
+                throw new FontLoadError(`${choice.label} is not on this device; upload the font file to use it`);
+            }
+            return options;
+        });
+    }
+    if (!choice.url) {
+        return Promise.resolve(options);
+    }
+    if (typeof FontFace === 'undefined' || typeof document === 'undefined' || !document.fonts) {
+        return Promise.reject(new FontLoadError(`${choice.label} needs a browser with the FontFace API`));
+    }
+
+    if (!loadedFontFaces.has(choice.id)) {
+        const loading = new FontFace(choice.face, `url(${choice.url})`).load().then(face => {
+            document.fonts.add(face);
+            return face;
+        }).catch(error => {
+            // Let the next run try again
+            loadedFontFaces.delete(choice.id);
+            throw new FontLoadError(`${choice.label} (${error.message})`);
+        });
+        loadedFontFaces.set(choice.id, loading);
+    }
+
+    return loadedFontFaces.get(choice.id).then(() => options);
+}
+
+/**
+ * Add a font from its file contents to document.fonts (replacing an earlier upload of the same name)
+ * @param {string} name - Font name (see toCustomFontName())
+ * @param {ArrayBuffer} data - TrueType, OpenType or WOFF/WOFF2 file contents
+ * @returns {Promise<Object>} Resolves to the font choice; rejects with a FontLoadError if the data is not a usable font
+ */
+function registerUploadedFont(name, data) {
+    const fontName = toCustomFontName(name);
+    if (!fontName) {
+        return Promise.reject(new FontLoadError('The font needs a name made of letters or digits'));
+    }
+    if (typeof FontFace === 'undefined' || typeof document === 'undefined' || !document.fonts) {
+        return Promise.reject(new FontLoadError('Uploading fonts needs a browser with the FontFace API'));
+    }
+
+    const choice = {
+        id: CUSTOM_FONT_PREFIX + fontName,
+        label: fontName,
+        family: `'${fontName}', Arial, sans-serif`,
+        face: fontName,
+        custom: true
+    };
+
+    let fontFace;
+    try {
+        fontFace = new FontFace(fontName, data);
+    } catch (error) {
+        return Promise.reject(new FontLoadError(`${fontName} is not a usable font file (${error.message})`));
+    }
+
+    return fontFace.load().then(face => {
+        const key = choice.id.toLowerCase();
+        const previous = uploadedFonts.get(key);
+        if (previous && previous.fontFace) {
+            document.fonts.delete(previous.fontFace);
+        }
+        document.fonts.add(face);
+        uploadedFonts.set(key, { ...choice, fontFace: face });
+        return uploadedFonts.get(key);
+    }).catch(error => {
+        throw error instanceof FontLoadError ? error : new FontLoadError(`${fontName} is not a usable font file (${error.message})`);
+    });
+}
+
+/**
+ * Add a font file chosen or dropped by the user and keep it in IndexedDB
+ * @param {File} file - .ttf, .otf, .woff2 or .woff file
+ * @returns {Promise<Object>} Resolves to the font choice; rejects with a FontLoadError
+ */
+function uploadFontFile(file) {
+    if (!file) {
+        return Promise.reject(new FontLoadError('No font file chosen'));
+    }
+    if (!isFontFile(file)) {
+        return Promise.reject(new FontLoadError(`${file.name} is not a .ttf, .otf, .woff2 or .woff file`));
+    }
+    if (file.size > FONT_FILE_MAX_BYTES) {
+        return Promise.reject(new FontLoadError(`${file.name} is larger than ${FONT_FILE_MAX_BYTES / 1024 / 1024} MB`));
+    }
+
+    return file.arrayBuffer().then(data => {
+        return registerUploadedFont(file.name, data).then(choice => {
+            // The font works for this visit even if it cannot be kept
+            return saveCachedFont({ id: choice.id.toLowerCase(), name: choice.label, data: data, savedAt: Date.now() })
+                .catch(error => {
+                    console.warn(`Font ${choice.label} could not be cached:`, error.message);
+                })
+                .then(() => choice);
+        });
+    });
+}
+
+/**
+ * Whether a file looks like a font the rasterizer can use (by extension)
+ * @param {File} file - File
+ * @returns {boolean} True for .ttf, .otf, .woff2 and .woff files
+ */
+function isFontFile(file) {
+    const name = String(file && file.name || '').toLowerCase();
+    return FONT_FILE_EXTENSIONS.some(extension => name.endsWith(extension));
+}
+
+/**
+ * Register every font kept in IndexedDB by earlier uploads (once per page load)
+ * @returns {Promise<Object[]>} Resolves to the restored font choices (empty without IndexedDB)
+ */
+function restoreCachedFonts() {
+    if (!cachedFontsRestore) {
+        cachedFontsRestore = readCachedFonts().then(records => {
+            return Promise.all(records.map(record => {
+                return registerUploadedFont(record.name, record.data).catch(error => {
+                    console.warn(`Cached font ${record.name} could not be restored:`, error.message);
+                    return null;
+                });
+            }));
+        }).then(choices => choices.filter(Boolean)).catch(error => {
+            console.warn('Cached fonts could not be read:', error.message);
+            return [];
+        });
+    }
+    return cachedFontsRestore;
+}
+
+/**
+ * Open the IndexedDB database that keeps uploaded fonts
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openFontCache() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new FontLoadError('IndexedDB is not available'));
+            return;
+        }
+
+        const request = indexedDB.open(FONT_CACHE.database, FONT_CACHE.version);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(FONT_CACHE.store, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Keep an uploaded font in IndexedDB (replacing one with the same id)
+ * @param {Object} record - { id, name, data, savedAt }
+ * @returns {Promise<Object>} Resolves to the record once stored
+ */
+function saveCachedFont(record) {
+    return openFontCache().then(database => new Promise((resolve, reject) => {
+        const transaction = database.transaction(FONT_CACHE.store, 'readwrite');
+        transaction.objectStore(FONT_CACHE.store).put(record);
+        transaction.oncomplete = () => {
+            database.close();
+            resolve(record);
+        };
+        transaction.onerror = () => {
+            database.close();
+            reject(transaction.error);
+        };
+    }));
+}
+
+/**
+ * Every font kept in IndexedDB
+ * @returns {Promise<Object[]>} Records saved by saveCachedFont()
+ */
+function readCachedFonts() {
+    return openFontCache().then(database => new Promise((resolve, reject) => {
+        const request = database.transaction(FONT_CACHE.store, 'readonly').objectStore(FONT_CACHE.store).getAll();
+        request.onsuccess = () => {
+            database.close();
+            resolve(request.result || []);
+        };
+        request.onerror = () => {
+            database.close();
+            reject(request.error);
+        };
+    }));
+}
+
+// Make functions available globally for browser usage
+if (typeof window !== 'undefined') {
+    window.FONT_CHOICES = FONT_CHOICES;
+    window.FONT_DEFAULTS = FONT_DEFAULTS;
+    window.getFontChoice = getFontChoice;
+    window.getFontChoices = getFontChoices;
+    window.getCustomFontChoice = getCustomFontChoice;
+    window.normalizeFontSettings = normalizeFontSettings;
+    window.getFontRasterOptions = getFontRasterOptions;
+    window.loadFontChoice = loadFontChoice;
+    window.registerUploadedFont = registerUploadedFont;
+    window.uploadFontFile = uploadFontFile;
+    window.isFontFile = isFontFile;
+    window.restoreCachedFonts = restoreCachedFonts;
+}
+
+// Export for use in other modules (Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FONT_CHOICES,
+        FONT_WEIGHTS,
+        FONT_STYLES,
+        FONT_DEFAULTS,
+        CUSTOM_FONT_PREFIX,
+        FONT_CACHE,
+        getFontChoice,
+        getFontChoices,
+        toCustomFontName,
+        getCustomFontChoice,
+        normalizeFontSettings,
+        getFontRasterOptions,
+        loadFontChoice,
+        registerUploadedFont,
+        uploadFontFile,
+        isFontFile,
+        restoreCachedFonts
+    };
+}
@@ -0,0 +1,121 @@
+/**
+ * Font Upload Module
+ * "Upload font" (or dropping a font file on the page) adds the font to the font
+ * picker; fonts uploaded on earlier visits are restored from IndexedDB
+ * (see font-loader.js)
+ */
+
+/**
+ * Add a font file chosen or dropped by the user and pick it
+ * @param {File} file - .ttf, .otf, .woff2 or .woff file
+ */
+function loadFontFile(file) {
+    if (!file) {
+        return;
+    }
+
+    uploadFontFile(file).then(choice => {
+        addFontOption(choice);
+        setFontControls(normalizeFontSettings({
+            font: choice.id,
+            weight: getSelectValue('font-weight'),
+            style: getSelectValue('font-style')
+        }));
+        showNotification(`Font ${choice.label} added`);
+    }).catch(error => {
+        const message = globalErrorHandler.handleError(error, { context: 'loadFontFile', file: file.name });
+        showNotification(message, 5000);
+    });
+}
+
+/**
+ * Put the fonts uploaded on earlier visits back into the font picker
+ * @returns {Promise<Object[]>} Resolves to the restored font choices
+ */
+function restoreUploadedFonts() {
+    return restoreCachedFonts().then(choices => {
+        choices.forEach(choice => addFontOption(choice));
+        return choices;
+    });
+}
+
+/**
+ * Add a font to the font picker, or update its entry
+ * @param {Object} choice - Font choice (see FONT_CHOICES)
+ * @param {boolean} available - False for an uploaded font named by a shared link but missing here
+ */
+function addFontOption(choice, available = true) {
+    const select = document.getElementById('font-family');
+    if (!select || !choice) {
+        return;
+    }
+
+    const label = available ? choice.label : `${choice.label} (not on this device)`;
+    const existing = Array.from(select.options || []).find(option => option.value === choice.id);
+    if (existing) {
+        existing.textContent = label;
+        return;
+    }
+
+    const option = document.createElement('option');
+    option.value = choice.id;
+    option.textContent = label;
+    select.appendChild(option);
+}
+
+/**
+ * Let font files be dropped anywhere on the page
+ */
+function setupFontDrop() {
+    const hasFiles = event => event.dataTransfer && Array.from(event.dataTransfer.types || []).includes('Files');
+
+    document.addEventListener('dragover', function(event) {
+        if (hasFiles(event)) {
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+        }
+    });
+
+    document.addEventListener('drop', function(event) {
+        if (!hasFiles(event)) {
+            return;
+        }
+        event.preventDefault();
+
+        const files = Array.from(event.dataTransfer.files || []);
+        const fontFile = files.find(file => isFontFile(file));
+        if (fontFile) {
+            loadFontFile(fontFile);
+        } else if (files.length > 0) {
+            showNotification('Drop a .ttf, .otf, .woff2 or .woff file to add a font', 5000);
+        }
+    });
+}
+
+/**
+ * Current value of a select (empty if it is missing)
+ * @param {string} id - Element id
+ * @returns {string} Value
+ */
+function getSelectValue(id) {
+    const select = document.getElementById(id);
+    return select ? select.value : '';
+}
+
+// Make functions available globally for browser usage
+if (typeof window !== 'undefined') {
+    window.loadFontFile = loadFontFile;
+    window.restoreUploadedFonts = restoreUploadedFonts;
+    window.addFontOption = addFontOption;
+    window.setupFontDrop = setupFontDrop;
+}
+
+// Export for use in other modules (Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        loadFontFile,
+        restoreUploadedFonts,
+        addFontOption,
+        setupFontDrop
+    };
+}
@@ -0,0 +1,638 @@
+/**
+ * GIF Encoder Module
+ * Pure-JS animated GIF encoder (LZW + palette quantization over COLORS) and a
+ * p5-free grid renderer, so GIFs can be made in the browser or headlessly
+ */
+
+const GIF_EXPORT_DEFAULTS = {
+    width: 480,         // Output width in pixels (height follows the grid aspect ratio)
+    frameStride: 2,     // Capture every Nth simulation step
+    frameRate: SIMULATION_STEP_RATE, // Simulation steps per second, used for frame delays
+    holdSeconds: 2,     // Show the final frame for this long
+    maxFrames: 3000,    // Safety limit on captured frames
+    loop: 0             // Repeat count (0 = loop forever)
+};
+
+const GIF_MAX_CODE_SIZE = 12; // LZW codes are at most 12 bits
+const GIF_MAX_CODES = 4096;
+
+// Named colors used in the codebase (COLORS.RED_COLOR and friends)
+const NAMED_COLORS = {
+    black: [0, 0, 0],
+    white: [255, 255, 255],
+    red: [255, 0, 0],
+    orange: [255, 165, 0],
+    gold: [255, 215, 0]
+};
+
+/**
+ * Convert a p5-style color value to RGB
+ * @param {number|string|Array} color - Gray level, '#rgb'/'#rrggbb', 'rgb(r, g, b)', color name or [r, g, b]
+ * @returns {Array|null} [r, g, b], or null if the value is not understood
+ */
+function colorToRgb(color) {
+    if (typeof color === 'number') {
+        const level = Math.max(0, Math.min(255, Math.round(color)));
+        return [level, level, level];
+    }
+    if (Array.isArray(color)) {
+        return color.length === 1 ? colorToRgb(color[0]) : color.slice(0, 3).map(value => Math.round(value));
+    }
+    if (typeof color !== 'string') {
+        return null;
+    }
+
+    const text = color.trim().toLowerCase();
+    let match = /^#([0-9a-f]{3})$/.exec(text);
+    if (match) {
+        return match[1].split('').map(digit => parseInt(digit + digit, 16));
+    }
+    match = /^#([0-9a-f]{6})$/.exec(text);
+    if (match) {
+        return [0, 2, 4].map(offset => parseInt(match[1].substr(offset, 2), 16));
+    }
+    match = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/.exec(text);
+    if (match) {
+        return [Number(match[1]), Number(match[2]), Number(match[3])];
+    }
+    return NAMED_COLORS[text] ? NAMED_COLORS[text].slice() : null;
+}
+
+/**
+ * Build the GIF palette from the color constants
+ * @param {Object} colors - Color constants (default: COLORS)
+ * @param {Array} extraColors - More colors to include, such as the source colors of colour
+ *   glyphs; if they do not all fit in 256 entries they are snapped to a 6x6x6 color cube
+ * @returns {Array} Distinct [r, g, b] entries
+ */
+function buildGifPalette(colors = COLORS, extraColors = []) {
+    const palette = [];
+    const seen = new Set();
+    const add = rgb => {
+        const key = rgb.join(',');
+        if (!seen.has(key) && palette.length < 256) {
+            seen.add(key);
+            palette.push(rgb);
+        }
+    };
+
+    for (const value of Object.values(colors)) {
+        const rgb = colorToRgb(value);
+        if (rgb) add(rgb);
+    }
+
+    const extras = extraColors.map(colorToRgb).filter(Boolean);
+    const distinct = new Set(extras.map(rgb => rgb.join(',')));
+    const fits = distinct.size <= 256 - palette.length;
+    for (const rgb of extras) {
+        add(fits ? rgb : rgb.map(value => Math.round(value / 51) * 51));
+    }
+    return palette;
+}
+
+/**
+ * Source colors of the colour glyph squares of a grid
+ * @param {Grid} grid - Grid
+ * @returns {string[]} Distinct colors
+ */
+function getGridSourceColors(grid) {
+    const colors = new Set();
+    for (const row of grid.squares) {
+        for (const square of row) {
+            if (square && square.color && square.color !== COLORS.RED_COLOR) {
+                colors.add(square.color);
+            }
+        }
+    }
+    return Array.from(colors);
+}
+
+/**
+ * Create a function mapping color values to their nearest palette index
+ * @param {Array} palette - [r, g, b] entries
+ * @returns {Function} color => palette index (results are cached per color value)
+ */
+function createColorQuantizer(palette) {
+    const cache = new Map();
+    return function(color) {
+        const key = typeof color + ':' + String(color);
+        if (cache.has(key)) {
+            return cache.get(key);
+        }
+
+        const rgb = colorToRgb(color) || colorToRgb(COLORS.GRAY);
+        let bestIndex = 0;
+        let bestDistance = Infinity;
+        for (let i = 0; i < palette.length; i++) {
+            const dr = palette[i][0] - rgb[0];
+            const dg = palette[i][1] - rgb[1];
+            const db = palette[i][2] - rgb[2];
+            const distance = dr * dr + dg * dg + db * db;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestIndex = i;
+            }
+        }
+
+        cache.set(key, bestIndex);
+        return bestIndex;
+    };
+}
+
+/**
+ * Growable byte buffer
+ */
+class ByteWriter {
+    constructor(initialSize = 65536) {
+        this.bytes = new Uint8Array(initialSize);
+        this.length = 0;
+    }
+
+    ensure(extra) {
+        if (this.length + extra <= this.bytes.length) {
+            return;
+        }
+        let size = this.bytes.length * 2;
+        while (size < this.length + extra) {
+            size *= 2;
+        }
+        const bytes = new Uint8Array(size);
+        bytes.set(this.bytes.subarray(0, this.length));
+        this.bytes = bytes;
+    }
+
+    writeByte(value) {
+        this.ensure(1);
+        this.bytes[this.length++] = value & 0xFF;
+    }
+
+    writeShort(value) {
+        this.writeByte(value);
+        this.writeByte(value >> 8);
+    }
+
+    writeString(text) {
+        for (let i = 0; i < text.length; i++) {
+            this.writeByte(text.charCodeAt(i));
+        }
+    }
+
+    writeBytes(bytes) {
+        this.ensure(bytes.length);
+        this.bytes.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    toUint8Array() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+/**
+ * LZW-compress indexed pixels into GIF image data sub-blocks
+ * @param {ByteWriter} out - Destination
+ * @param {Uint8Array} pixels - Palette indices
+ * @param {number} minCodeSize - LZW minimum code size (bits per index, at least 2)
+ */
+function writeLzwImageData(out, pixels, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const dictionary = new Map();
+    let nextCode = endCode + 1;
+    let codeSize = minCodeSize + 1;
+
+    // Pack codes LSB-first into 255-byte sub-blocks
+    const block = new Uint8Array(255);
+    let blockLength = 0;
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const flushBlock = () => {
+        if (blockLength > 0) {
+            out.writeByte(blockLength);
+            out.writeBytes(block.subarray(0, blockLength));
+            blockLength = 0;
+        }
+    };
+    const writeCode = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            block[blockLength++] = bitBuffer & 0xFF;
+            if (blockLength === 255) flushBlock();
+            bitBuffer >>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    out.writeByte(minCodeSize);
+    writeCode(clearCode);
+
+    let prefix = pixels[0];
+    for (let i = 1; i < pixels.length; i++) {
+        const pixel = pixels[i];
+        const key = (prefix << 8) | pixel;
+        const code = dictionary.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        writeCode(prefix);
+        if (nextCode < GIF_MAX_CODES) {
+            // The decoder widens its codes once the table reaches the next power of two
+            if (nextCode >= (1 << codeSize) && codeSize < GIF_MAX_CODE_SIZE) {
+                codeSize++;
+            }
+            dictionary.set(key, nextCode++);
+        } else {
+            // Table full: start over
+            writeCode(clearCode);
+            dictionary.clear();
+            nextCode = endCode + 1;
+            codeSize = minCodeSize + 1;
+        }
+        prefix = pixel;
+    }
+
+    writeCode(prefix);
+    if (nextCode >= (1 << codeSize) && codeSize < GIF_MAX_CODE_SIZE) {
+        codeSize++;
+    }
+    writeCode(endCode);
+
+    if (bitCount > 0) {
+        block[blockLength++] = bitBuffer & 0xFF;
+        if (blockLength === 255) flushBlock();
+    }
+    flushBlock();
+    out.writeByte(0); // Block terminator
+}
+
+/**
+ * Animated GIF encoder. Frames are full-size palette-index arrays; only the
+ * region that changed since the previous frame is stored, and identical
+ * consecutive frames are merged into one longer frame.
+ */
+class GifEncoder {
+    /**
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {Object} options - Encoder options
+     * @param {Array} options.palette - [r, g, b] entries (at most 256)
+     * @param {number} options.loop - Repeat count (0 = forever, -1 = play once)
+     */
+    constructor(width, height, options = {}) {
+        if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1 ||
+            width > 65535 || height > 65535) {
+            throw new InvalidParameterError('GIF dimensions must be integers between 1 and 65535');
+        }
+        const palette = options.palette || buildGifPalette();
+        if (palette.length < 1 || palette.length > 256) {
+            throw new InvalidParameterError('GIF palette must have between 1 and 256 colors');
+        }
+
+        this.width = width;
+        this.height = height;
+        this.palette = palette;
+        this.loop = options.loop !== undefined ? options.loop : GIF_EXPORT_DEFAULTS.loop;
+
+        // Color table size is a power of two (2..256)
+        this.colorTableBits = Math.max(1, Math.ceil(Math.log2(palette.length)));
+        this.minCodeSize = Math.max(2, this.colorTableBits);
+
+        this.out = new ByteWriter();
+        this.previousPixels = null; // Last frame written
+        this.pendingPixels = null;  // Frame waiting for its final delay
+        this.pendingDelay = 0;
+        this.frameCount = 0;
+        this.isFinished = false;
+
+        this.writeHeader();
+    }
+
+    writeHeader() {
+        const out = this.out;
+        out.writeString('GIF89a');
+
+        // Logical screen descriptor with a global color table
+        out.writeShort(this.width);
+        out.writeShort(this.height);
+        out.writeByte(0x80 | ((this.colorTableBits - 1) << 4) | (this.colorTableBits - 1));
+        out.writeByte(0); // Background color index
+        out.writeByte(0); // Pixel aspect ratio
+
+        const tableSize = 1 << this.colorTableBits;
+        for (let i = 0; i < tableSize; i++) {
+            const rgb = this.palette[i] || [0, 0, 0];
+            out.writeByte(rgb[0]);
+            out.writeByte(rgb[1]);
+            out.writeByte(rgb[2]);
+        }
+
+        if (this.loop >= 0) {
+            // NETSCAPE2.0 application extension
+            out.writeByte(0x21);
+            out.writeByte(0xFF);
+            out.writeByte(11);
+            out.writeString('NETSCAPE2.0');
+            out.writeByte(3);
+            out.writeByte(1);
+            out.writeShort(this.loop);
+            out.writeByte(0);
+        }
+    }
+
+    /**
+     * Add a frame
+     * @param {Uint8Array} pixels - width * height palette indices, row-major
+     * @param {number} delay - Display time in hundredths of a second
+     */
+    addFrame(pixels, delay) {
+        if (this.isFinished) {
+            throw new AnimationError('GIF encoder is already finished');
+        }
+        if (!pixels || pixels.length !== this.width * this.height) {
+            throw new InvalidParameterError('GIF frame must have width * height pixels');
+        }
+
+        if (this.pendingPixels && this.findChangedRegion(this.pendingPixels, pixels) === null) {
+            // Nothing changed: just show the pending frame for longer
+            this.pendingDelay += delay;
+            return;
+        }
+
+        this.flushPendingFrame();
+        this.pendingPixels = Uint8Array.from(pixels);
+        this.pendingDelay = delay;
+    }
+
+    /**
+     * Find the bounding box of the pixels that differ between two frames
+     * @returns {Object|null} {x, y, width, height}, or null if the frames are identical
+     */
+    findChangedRegion(before, after) {
+        const width = this.width;
+        let minX = width, minY = this.height, maxX = -1, maxY = -1;
+        for (let y = 0; y < this.height; y++) {
+            const row = y * width;
+            for (let x = 0; x < width; x++) {
+                if (before[row + x] !== after[row + x]) {
+                    if (x < minX) minX = x;
+                    if (x > maxX) maxX = x;
+                    if (y < minY) minY = y;
+                    maxY = y;
+                }
+            }
+        }
+        if (maxX < 0) {
+            return null;
+        }
+        return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+    }
+
+    flushPendingFrame() {
+        if (!this.pendingPixels) {
+            return;
+        }
+
+        const pixels = this.pendingPixels;
+        const region = (this.previousPixels && this.findChangedRegion(this.previousPixels, pixels)) ||
+            { x: 0, y: 0, width: this.width, height: this.height };
+        // Delays are 16-bit; split very long frames by repeating them
+        let delay = Math.max(0, Math.round(this.pendingDelay));
+        while (delay > 65535) {
+            this.writeFrame(pixels, region, 65535);
+            delay -= 65535;
+        }
+        this.writeFrame(pixels, region, delay);
+
+        this.previousPixels = pixels;
+        this.pendingPixels = null;
+        this.pendingDelay = 0;
+    }
+
+    writeFrame(pixels, region, delay) {
+        const out = this.out;
+
+        // Graphics control extension: keep the previous frame underneath (disposal 1)
+        out.writeByte(0x21);
+        out.writeByte(0xF9);
+        out.writeByte(4);
+        out.writeByte(1 << 2);
+        out.writeShort(delay);
+        out.writeByte(0); // Transparent color index (unused)
+        out.writeByte(0);
+
+        // Image descriptor, using the global color table
+        out.writeByte(0x2C);
+        out.writeShort(region.x);
+        out.writeShort(region.y);
+        out.writeShort(region.width);
+        out.writeShort(region.height);
+        out.writeByte(0);
+
+        let regionPixels = pixels;
+        if (region.width !== this.width || region.height !== this.height) {
+            regionPixels = new Uint8Array(region.width * region.height);
+            for (let y = 0; y < region.height; y++) {
+                const start = (region.y + y) * this.width + region.x;
+                regionPixels.set(pixels.subarray(start, start + region.width), y * region.width);
+            }
+        }
+        writeLzwImageData(out, regionPixels, this.minCodeSize);
+        this.frameCount++;
+    }
+
+    /**
+     * Write the remaining frame and the trailer
+     * @returns {Uint8Array} The GIF file
+     */
+    finish() {
+        if (!this.isFinished) {
+            this.flushPendingFrame();
+            this.out.writeByte(0x3B); // Trailer
+            this.isFinished = true;
+        }
+        return this.out.toUint8Array();
+    }
+}
+
+/**
+ * Render a grid and its balls to palette indices, without p5
+ * @param {Grid} grid - Grid to render
+ * @param {Array} balls - Balls to draw on top (grid coordinates)
+ * @param {Object} target - {width, height, pixels, quantize}
+ */
+function renderGridToIndexedPixels(grid, balls, target) {
+    const { width, height, pixels, quantize } = target;
+    const scaleX = width / grid.width;
+    const scaleY = height / grid.height;
+
+    for (let y = 0; y < grid.height; y++) {
+        const y0 = Math.round(y * scaleY);
+        const y1 = Math.round((y + 1) * scaleY);
+        for (let x = 0; x < grid.width; x++) {
+            const square = grid.squares[y][x];
+            if (!square) continue;
+            const index = quantize(getSquareFillColor(square));
+            const x0 = Math.round(x * scaleX);
+            const x1 = Math.round((x + 1) * scaleX);
+            for (let py = y0; py < y1; py++) {
+                pixels.fill(index, py * width + x0, py * width + x1);
+            }
+        }
+    }
+
+    const ballIndex = quantize(COLORS.BALL_COLOR);
+    for (const ball of balls || []) {
+        if (!ball.isActive) continue;
+        const centerX = ball.x * scaleX;
+        const centerY = ball.y * scaleY;
+        const radius = ball.diameter * scaleX / 2;
+        const top = Math.max(0, Math.floor(centerY - radius));
+        const bottom = Math.min(height - 1, Math.ceil(centerY + radius));
+        const left = Math.max(0, Math.floor(centerX - radius));
+        const right = Math.min(width - 1, Math.ceil(centerX + radius));
+        for (let py = top; py <= bottom; py++) {
+            for (let px = left; px <= right; px++) {
+                const dx = px + 0.5 - centerX;
+                const dy = py + 0.5 - centerY;
+                if (dx * dx + dy * dy <= radius * radius) {
+                    pixels[py * width + px] = ballIndex;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Captures simulation frames into an animated GIF
+ */
+class GifRecorder {
+    /**
+     * @param {Grid} grid - Grid being animated (sets the aspect ratio)
+     * @param {Object} options - See GIF_EXPORT_DEFAULTS; options.scale (pixels per square) overrides width
+     */
+    constructor(grid, options = {}) {
+        this.options = { ...GIF_EXPORT_DEFAULTS, ...options };
+        const width = this.options.scale > 0 ?
+            Math.round(grid.width * this.options.scale) :
+            this.options.width;
+        this.width = Math.max(1, Math.round(width));
+        this.height = Math.max(1, Math.round(this.width * grid.height / grid.width));
+
+        this.palette = buildGifPalette(COLORS, getGridSourceColors(grid));
+        this.quantize = createColorQuantizer(this.palette);
+        this.pixels = new Uint8Array(this.width * this.height);
+        this.encoder = new GifEncoder(this.width, this.height, {
+            palette: this.palette,
+            loop: this.options.loop
+        });
+
+        this.framesCaptured = 0;
+        this.delayRemainder = 0; // Fractional centiseconds carried between frames
+        this.truncated = false; // Set when maxFrames dropped a frame, so the GIF ends before the run did
+    }
+
+    /**
+     * Whether the frame limit has been reached
+     * @returns {boolean} True if no more frames will be captured
+     */
+    isFull() {
+        return this.framesCaptured >= this.options.maxFrames;
+    }
+
+    /**
+     * Convert a duration to a whole number of centiseconds, carrying the rounding error
+     * @param {number} seconds - Duration
+     * @returns {number} Delay in centiseconds
+     */
+    takeDelay(seconds) {
+        const exact = seconds * 100 + this.delayRemainder;
+        const delay = Math.max(2, Math.round(exact)); // Browsers slow down delays under 2
+        this.delayRemainder = exact - delay;
+        return delay;
+    }
+
+    /**
+     * Capture the current grid and balls as a frame lasting one stride
+     * @param {Grid} grid - Grid to render
+     * @param {Array} balls - Balls to render
+     */
+    captureFrame(grid, balls) {
+        if (this.isFull()) {
+            this.truncated = true;
+            return;
+        }
+        renderGridToIndexedPixels(grid, balls, this);
+        this.encoder.addFrame(this.pixels, this.takeDelay(this.options.frameStride / this.options.frameRate));
+        this.framesCaptured++;
+    }
+
+    /**
+     * Capture the final frame, held for holdSeconds, and finish the file
+     * @param {Grid} grid - Grid to render
+     * @param {Array} balls - Balls to render
+     * @returns {Uint8Array} The GIF file
+     */
+    finish(grid, balls) {
+        renderGridToIndexedPixels(grid, balls, this);
+        this.encoder.addFrame(this.pixels, this.takeDelay(Math.max(this.options.holdSeconds, 0.02)));
+        return this.encoder.finish();
+    }
+}
+
+/**
+ * Run a simulation to completion and encode it as an animated GIF (headless)
+ * @param {SimulationEngine} engine - Freshly created engine
+ * @param {Object} options - GIF options (see GIF_EXPORT_DEFAULTS; scale defaults to 4 pixels per square)
+ * @param {number} options.maxSimulationFrames - Stop the run after this many frames (default: 100000)
+ * @returns {Uint8Array} The GIF file
+ */
+function renderSimulationGif(engine, options = {}) {
+    const recorder = new GifRecorder(engine.grid, {
+        scale: options.width ? 0 : 4,
+        ...options
+    });
+    const stride = Math.max(1, Math.round(recorder.options.frameStride));
+    const maxSimulationFrames = options.maxSimulationFrames !== undefined ? options.maxSimulationFrames : 100000;
+
+    recorder.captureFrame(engine.grid, engine.state.balls);
+    let frames = 0;
+    while (frames < maxSimulationFrames && !engine.isComplete()) {
+        engine.step();
+        frames++;
+        if (frames % stride === 0) {
+            recorder.captureFrame(engine.grid, engine.state.balls);
+        }
+    }
+
+    engine.state.isComplete = engine.isComplete();
+    return recorder.finish(engine.grid, engine.state.balls);
+}
+
+// Make classes and functions available globally for browser usage
+if (typeof window !== 'undefined') {
+    window.GifEncoder = GifEncoder;
+    window.GifRecorder = GifRecorder;
+    window.colorToRgb = colorToRgb;
+    window.buildGifPalette = buildGifPalette;
+    window.createColorQuantizer = createColorQuantizer;
+    window.renderGridToIndexedPixels = renderGridToIndexedPixels;
+    window.renderSimulationGif = renderSimulationGif;
+}
+
+// Export for use in other modules (Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GIF_EXPORT_DEFAULTS,
+        GifEncoder,
+        GifRecorder,
+        colorToRgb,
+        buildGifPalette,
+        createColorQuantizer,
+        renderGridToIndexedPixels,
+        renderSimulationGif
+    };
+}
@@ -0,0 +1,160 @@
+/**
+ * GIF Export Module
+ * Captures the carving animation from draw() into a downloadable animated GIF
+ */
+
+let pendingGifExport = null; // Options for the export armed by exportAnimationGif()
+let activeGifRecorder = null; // Recorder attached to the running animation
+let lastGifCaptureFrame = -1; // Simulation step captured last (draw() may see the same step twice)
+
+/**
+ * Read GIF export options from the export controls
+ * @returns {Object} GIF export options
+ */
+function getGifExportOptionsFromUI() {
+    const options = {};
+
+    const widthSelect = document.getElementById('gif-width');
+    if (widthSelect) {
+        options.width = parseInt(widthSelect.value, 10) || GIF_EXPORT_DEFAULTS.width;
+    }
+
+    const strideInput = document.getElementById('gif-frame-stride');
+    if (strideInput) {
+        const frameStride = parseInt(strideInput.value, 10);
+        if (!isNaN(frameStride) && frameStride >= 1) {
+            options.frameStride = Math.min(frameStride, 60);
+        }
+    }
+
+    const holdInput = document.getElementById('export-hold');
+    if (holdInput) {
+        const holdSeconds = parseFloat(holdInput.value);
+        if (!isNaN(holdSeconds) && holdSeconds >= 0) {
+            options.holdSeconds = Math.min(holdSeconds, 30);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Restart the animation and capture it to a GIF until it completes
+ * @param {Object} options - GIF export options (defaults to the export controls)
+ */
+function exportAnimationGif(options) {
+    try {
+        activeGifRecorder = null;
+
+        // Arm the export; startAnimation() attaches the recorder to the new run
+        pendingGifExport = options || getGifExportOptionsFromUI();
+
+        const starting = typeof window.startNewAnimation === 'function' ? window.startNewAnimation() : null;
+
+        // The animation starts once its font is loaded
+        Promise.resolve(starting).then(() => {
+            if (pendingGifExport) {
+                // The animation did not start (e.g. no text entered)
+                pendingGifExport = null;
+            }
+        });
+
+    } catch (error) {
+        pendingGifExport = null;
+        globalErrorHandler.handleError(error, { context: 'exportAnimationGif' });
+        showNotification('GIF export failed');
+    }
+}
+
+/**
+ * Attach the armed GIF export (if any) to the animation that just started
+ * @param {Grid} grid - Grid of the new animation
+ */
+function beginPendingGifExport(grid) {
+    try {
+        // A new run replaces whatever was being captured
+        if (activeGifRecorder) {
+            activeGifRecorder = null;
+            document.body.classList.remove('recording');
+        }
+
+        if (!pendingGifExport || !grid) {
+            return;
+        }
+
+        const options = pendingGifExport;
+        pendingGifExport = null;
+
+        activeGifRecorder = new GifRecorder(grid, options);
+        lastGifCaptureFrame = -1;
+        document.body.classList.add('recording');
+        showNotification('Recording GIF...');
+
+    } catch (error) {
+        activeGifRecorder = null;
+        globalErrorHandler.handleError(error, { context: 'beginPendingGifExport' });
+        showNotification('GIF export failed');
+    }
+}
+
+/**
+ * Capture the current frame every frameStride simulation steps; call after each step
+ * @param {AnimationState} state - State of the running animation
+ * @param {Grid} grid - Grid of the running animation
+ * @param {boolean} isComplete - Whether the animation has completed
+ */
+function captureGifExportFrame(state, grid, isComplete) {
+    try {
+        if (!activeGifRecorder || !state || !grid) {
+            return;
+        }
+
+        const recorder = activeGifRecorder;
+
+        if (!isComplete) {
+            if (state.frameCount % recorder.options.frameStride === 0 && state.frameCount !== lastGifCaptureFrame) {
+                recorder.captureFrame(grid, state.balls);
+                lastGifCaptureFrame = state.frameCount;
+            }
+            // Keep capturing until the run completes or the frame limit drops a frame
+            if (!recorder.truncated) {
+                return;
+            }
+        }
+
+        activeGifRecorder = null;
+        document.body.classList.remove('recording');
+
+        const bytes = recorder.finish(grid, state.balls);
+        const seed = simulationEngine ? simulationEngine.seed : Date.now();
+        downloadBlob(new Blob([bytes], { type: 'image/gif' }), `text-breakout-${seed}.gif`);
+        if (recorder.truncated) {
+            showNotification(`GIF exported, but cut short: GIFs stop after ${recorder.options.maxFrames} frames ` +
+                'and the carve had not finished', 6000);
+        } else {
+            showNotification('GIF exported!');
+        }
+
+    } catch (error) {
+        activeGifRecorder = null;
+        document.body.classList.remove('recording');
+        globalErrorHandler.handleError(error, { context: 'captureGifExportFrame' });
+        showNotification('GIF export failed');
+    }
+}
+
+// Make functions available globally for browser usage
+if (typeof window !== 'undefined') {
+    window.exportAnimationGif = exportAnimationGif;
+    window.beginPendingGifExport = beginPendingGifExport;
+    window.captureGifExportFrame = captureGifExportFrame;
+}
+
+// Export for use in other modules (Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        exportAnimationGif,
+        beginPendingGifExport,
+        captureGifExportFrame
+    };
+}
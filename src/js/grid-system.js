@@ -4,7 +4,7 @@
  */
 
 // Define SquareState values locally if not available globally
-const SquareState = window.SquareState || {
+const SquareState = (typeof window !== 'undefined' && window.SquareState) || {
     BLACK_CARVEABLE: 'BLACK_CARVEABLE',
     BLACK_PROTECTED: 'BLACK_PROTECTED', 
     WHITE_CARVED: 'WHITE_CARVED',
@@ -12,7 +12,7 @@ const SquareState = window.SquareState || {
 };
 
 // Define SquareType values locally if not available globally
-const SquareType = window.SquareType || {
+const SquareType = (typeof window !== 'undefined' && window.SquareType) || {
     CARVEABLE: 'CARVEABLE',
     PROTECTED: 'PROTECTED',
     EDGE: 'EDGE'
@@ -49,6 +49,9 @@ function createGrid(blackWhiteImage, padding = 5) {
             squares[y] = [];
             for (let x = 0; x < gridWidth; x++) {
                 let state, type;
+                let color = null;
+                let span = null;
+                let label = null;
                 
                 if (x < padding || x >= gridWidth - padding || 
                     y < padding || y >= gridHeight - padding) {
@@ -78,6 +81,18 @@ function createGrid(blackWhiteImage, padding = 5) {
                             // Black pixel = protected text area (should NOT be carved)
                             state = SquareState.BLACK_PROTECTED;
                             type = SquareType.PROTECTED;
+                            // Colour glyphs and colored spans keep their color, shown once the square is revealed
+                            if (blackWhiteImage.colors) {
+                                color = blackWhiteImage.colors[pixelIndex] || null;
+                            }
+                            // Text markup: the span the pixel was drawn by
+                            if (blackWhiteImage.spanMap && blackWhiteImage.spanMap[pixelIndex] >= 0) {
+                                span = blackWhiteImage.spans[blackWhiteImage.spanMap[pixelIndex]] || null;
+                            }
+                            // Text: the character, word and line the pixel was drawn from
+                            if (blackWhiteImage.charMap && blackWhiteImage.charMap[pixelIndex] >= 0) {
+                                label = blackWhiteImage.characters[blackWhiteImage.charMap[pixelIndex]] || null;
+                            }
                         } else {
                             // White pixel = carveable background area (should be carved)
                             state = SquareState.BLACK_CARVEABLE;
@@ -90,7 +105,7 @@ function createGrid(blackWhiteImage, padding = 5) {
                     }
                 }
                 
-                squares[y][x] = new Square(x, y, state, type);
+                squares[y][x] = new Square(x, y, state, type, color, span, label);
             }
         }
         
@@ -126,6 +141,18 @@ function createGrid(blackWhiteImage, padding = 5) {
  * @param {number} y - Square Y coordinate
  * @param {string} newState - New state for square
  */
+/**
+ * Mark a protected square as exposed: it turns red, or shows its source color
+ * if it has one (colour glyphs)
+ * @param {Square} square - Protected square
+ */
+function revealProtectedSquare(square) {
+    square.revealed = true;
+    if (!square.color) {
+        square.color = COLORS.RED_COLOR;
+    }
+}
+
 /**
  * Check adjacent squares and change BLACK_PROTECTED squares to red when a BLACK_CARVEABLE square is carved
  * @param {Grid} grid - Grid containing the squares
@@ -151,8 +178,7 @@ function checkAdjacentSquaresForProtected(grid, x, y) {
             if (pos.x >= 0 && pos.x < grid.width && pos.y >= 0 && pos.y < grid.height) {
                 const adjacentSquare = grid.getSquare(pos.x, pos.y);
                 if (adjacentSquare && adjacentSquare.state === SquareState.BLACK_PROTECTED) {
-                // Change the color to red for this protected square
-                adjacentSquare.color = COLORS.RED_COLOR;
+                    revealProtectedSquare(adjacentSquare);
                 }
             }
         }
@@ -406,16 +432,22 @@ function countSquaresByState(grid, state) {
 /**
  * Check if animation is complete
  * @param {Grid} grid - Grid to check
- * @returns {boolean} True if all carveable squares are white
+ * @param {Array} islands - Islands whose completion sweeps must also have finished (optional)
+ * @returns {boolean} True if all carveable squares are white and every island sweep is done
  */
-function isAnimationComplete(grid) {
+function isAnimationComplete(grid, islands = []) {
     try {
         if (!(grid instanceof Grid)) {
             throw new Error('Grid must be a Grid object');
         }
         
         const carveableCount = countSquaresByState(grid, SquareState.BLACK_CARVEABLE);
-        return carveableCount === 0;
+        if (carveableCount > 0) {
+            return false;
+        }
+        
+        // Sweeps started by updateIslands() keep revealing squares after the last carve
+        return islands.every(island => island.completed);
         
     } catch (error) {
         globalErrorHandler.handleError(error, { grid: grid });
@@ -568,6 +600,41 @@ function getGridRenderingParams(grid, canvasWidth, canvasHeight) {
     };
 }
 
+/**
+ * Get the fill color for a square (flashColor > color > state)
+ * @param {Square} square - Square to color
+ * @returns {number|string} p5 fill value: gray level or CSS color string
+ */
+function getSquareFillColor(square) {
+    if (square.flashColor) {
+        // Use flash color if actively flashing
+        return square.flashColor;
+    }
+    if (square.color) {
+        // Use custom color if set; 'red' marks completed protected squares
+        if (square.color === 'red') {
+            return COLORS.PROTECTED_COLOR;
+        }
+        // A colour glyph's or span's color stays hidden until the square is revealed
+        if (square.revealed || square.state !== SquareState.BLACK_PROTECTED) {
+            return square.color; // Use the color string directly
+        }
+    }
+    // Use default state-based colors
+    switch (square.state) {
+        case SquareState.BLACK_CARVEABLE:
+            return COLORS.BLACK; // Black - carveable background
+        case SquareState.BLACK_PROTECTED:
+            return COLORS.BLACK; // Black - protected text
+        case SquareState.WHITE_CARVED:
+            return COLORS.WHITE; // White - carved area
+        case SquareState.WHITE_EDGE:
+            return COLORS.WHITE; // White - edge padding
+        default:
+            return COLORS.GRAY; // Gray for unknown states
+    }
+}
+
 /**
  * Draw the grid on the canvas
  * @param {Grid} grid - Grid to draw
@@ -591,38 +658,7 @@ function drawGrid(grid, canvasWidth, canvasHeight) {
                     const pixelX = offsetX + (x * squareSize);
                     const pixelY = offsetY + (y * squareSize);
                     
-                    // Set color based on square properties (flashColor > color > state)
-                    if (square.flashColor) {
-                        // Use flash color if actively flashing
-                        fill(square.flashColor);
-                    } else if (square.color) {
-                        // Use custom color if set
-                        if (square.color === 'red') {
-                            // fill(255, 0, 0); // Red
-                            // #ff8c00
-                            fill(COLORS.PROTECTED_COLOR);
-                        } else {
-                            fill(square.color); // Use the color string directly
-                        }
-                    } else {
-                        // Use default state-based colors
-                        switch (square.state) {
-                            case SquareState.BLACK_CARVEABLE:
-                                fill(COLORS.BLACK); // Black - carveable background
-                                break;
-                            case SquareState.BLACK_PROTECTED:
-                                fill(COLORS.BLACK); // Black - protected text
-                                break;
-                            case SquareState.WHITE_CARVED:
-                                fill(COLORS.WHITE); // White - carved area
-                                break;
-                            case SquareState.WHITE_EDGE:
-                                fill(COLORS.WHITE); // White - edge padding
-                                break;
-                            default:
-                                fill(COLORS.GRAY); // Gray for unknown states
-                        }
-                    }
+                    fill(getSquareFillColor(square));
                     
                     // Draw the square a bit bigger to avoid pixel imperfection
                     noStroke();
@@ -823,6 +859,25 @@ function findIslandBoundary(grid, island) {
     }
 }
 
+/**
+ * Characters whose squares enclose an island (the counter of an 'o', say)
+ * @param {Grid} grid - Grid object
+ * @param {Array} island - Array of {x, y} squares in the island
+ * @returns {number[]} Sorted char indices (see Square.label) of the labelled squares next to the island
+ */
+function findIslandCharacters(grid, island) {
+    const characters = new Set();
+    for (const {x, y} of island) {
+        for (const [dx, dy] of [[0, -1], [0, 1], [-1, 0], [1, 0]]) {
+            const square = grid.getSquare(x + dx, y + dy);
+            if (square && square.label) {
+                characters.add(square.label.char);
+            }
+        }
+    }
+    return Array.from(characters).sort((a, b) => a - b);
+}
+
 /**
  * Initialize islands for a grid
  * @param {Grid} grid - Grid to analyze
@@ -844,6 +899,7 @@ function initializeIslands(grid) {
                 id: index,
                 squares: region,
                 boundary: boundary,
+                characters: findIslandCharacters(grid, region),
                 completed: false
             };
         });
@@ -886,6 +942,42 @@ function isIslandBoundaryCarved(grid, island) {
     }
 }
 
+/**
+ * Order in which a completion sweep visits an island's squares
+ * @param {Object} island - Island object with squares array
+ * @returns {Array} Squares from left to right, top to bottom
+ */
+function getIslandSweepOrder(island) {
+    return [...island.squares].sort((a, b) => {
+        if (a.y !== b.y) return a.y - b.y; // Top to bottom
+        return a.x - b.x; // Left to right
+    });
+}
+
+/**
+ * Steps an island's completion sweep has left: four per protected or carveable
+ * square (the flash phases), one per square already carved
+ * @param {Grid} grid - Grid object
+ * @param {Object} island - Island object (a sweep in progress counts from where it is)
+ * @returns {number} Simulation steps (0 once the island is completed)
+ */
+function getIslandSweepSteps(grid, island) {
+    if (island.completed) {
+        return 0;
+    }
+
+    const squares = island.animating ? island.sortedSquares.slice(island.animationIndex) : island.squares;
+    let steps = 0;
+    for (const {x, y} of squares) {
+        const square = grid.getSquare(x, y);
+        steps += square && square.state === SquareState.WHITE_CARVED ? 1 : 4;
+    }
+    if (island.animating && squares.length > 0) {
+        steps -= island.flashFrame || 0; // Phases of the current square already shown
+    }
+    return steps;
+}
+
 /**
  * Start the completion animation for an island
  * @param {Grid} grid - Grid object
@@ -895,25 +987,22 @@ function startIslandCompletionAnimation(grid, island) {
     try {
         console.log(`Starting completion animation for island ${island.id} with ${island.squares.length} squares`);
         
-        // Sort squares from left to right, top to bottom
-        const sortedSquares = [...island.squares].sort((a, b) => {
-            if (a.y !== b.y) return a.y - b.y; // Top to bottom
-            return a.x - b.x; // Left to right
-        });
-        
         // Initialize animation state
         island.animating = true;
         island.animationIndex = 0;
-        island.sortedSquares = sortedSquares;
+        island.sortedSquares = getIslandSweepOrder(island);
         island.flashFrame = 0; // 0 = not flashing, 1-2 = flash frames
         
+        dispatchIslandStarted(island);
+        
     } catch (error) {
         globalErrorHandler.handleError(error, { grid: grid, island: island });
     }
 }
 
 /**
- * Process one frame of island completion animation
+ * Process one fixed simulation step of island completion animation
+ * (one square or flash phase per step, so a sweep lasts the same time at any frame rate)
  * @param {Grid} grid - Grid object
  * @param {Object} island - Island object with animation state
  * @returns {boolean} True if animation is complete
@@ -929,6 +1018,7 @@ function updateIslandCompletionAnimation(grid, island) {
             island.animating = false;
             island.completed = true;
             console.log(`Island ${island.id} completion animation finished`);
+            dispatchIslandCompleted(island);
             return true;
         }
         
@@ -956,9 +1046,9 @@ function updateIslandCompletionAnimation(grid, island) {
                 island.flashFrame = 3;
                 return false;
             } else {
-                // End flash - change to red
+                // End flash - change to red (or the square's own color)
                 square.flashColor = null;
-                square.color = COLORS.RED_COLOR;
+                revealProtectedSquare(square);
                 island.flashFrame = 0;
                 island.animationIndex++;
                 return false;
@@ -984,6 +1074,8 @@ function updateIslandCompletionAnimation(grid, island) {
             } else {
                 // Frame 3 - carve the square
                 updateSquareState(grid, x, y, SquareState.WHITE_CARVED);
+                logSquareCarved(square, 'island');
+                dispatchSquareCarved(square, { source: 'island', island: island });
                 island.flashFrame = 0;
                 island.animationIndex++;
                 return false;
@@ -1016,7 +1108,7 @@ function completeIslandInstant(grid, island) {
             
             if (square.state === SquareState.BLACK_PROTECTED) {
                 // Turn protected squares red
-                square.color = COLORS.RED_COLOR;
+                revealProtectedSquare(square);
             } else if (square.state === SquareState.BLACK_CARVEABLE) {
                 // Carve carveable squares
                 updateSquareState(grid, x, y, SquareState.WHITE_CARVED);
@@ -1031,10 +1123,10 @@ function completeIslandInstant(grid, island) {
 }
 
 /**
- * Update islands each frame - check for completion and animate
+ * Update islands each simulation step - check for completion and animate
  * @param {Grid} grid - Grid object
  * @param {Array} islands - Array of island objects
- * @returns {number} Number of islands completed this frame
+ * @returns {number} Number of islands completed this step
  */
 function updateIslands(grid, islands) {
     try {
@@ -1068,6 +1160,7 @@ function updateIslands(grid, islands) {
 if (typeof window !== 'undefined') {
     window.createGrid = createGrid;
     window.updateSquareState = updateSquareState;
+    window.revealProtectedSquare = revealProtectedSquare;
     window.checkAdjacentSquaresForProtected = checkAdjacentSquaresForProtected;
     window.isValidStateTransition = isValidStateTransition;
     window.getSquareAtGrid = getSquareAtGrid;
@@ -1080,13 +1173,17 @@ if (typeof window !== 'undefined') {
     window.getCarveableSquaresAdjacentToProtected = getCarveableSquaresAdjacentToProtected;
     window.isAdjacentToSquareType = isAdjacentToSquareType;
     window.markIsolatedCarveableAsProtected = markIsolatedCarveableAsProtected;
+    window.getSquareFillColor = getSquareFillColor;
     window.drawGrid = drawGrid;
     window.getGridRenderingParams = getGridRenderingParams;
     window.findReachableSquares = findReachableSquares;
     window.findIslands = findIslands;
     window.findIslandBoundary = findIslandBoundary;
+    window.findIslandCharacters = findIslandCharacters;
     window.initializeIslands = initializeIslands;
     window.isIslandBoundaryCarved = isIslandBoundaryCarved;
+    window.getIslandSweepOrder = getIslandSweepOrder;
+    window.getIslandSweepSteps = getIslandSweepSteps;
     window.startIslandCompletionAnimation = startIslandCompletionAnimation;
     window.updateIslandCompletionAnimation = updateIslandCompletionAnimation;
     window.completeIslandInstant = completeIslandInstant;
@@ -1098,6 +1195,7 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         createGrid,
         updateSquareState,
+        revealProtectedSquare,
         checkAdjacentSquaresForProtected,
         isValidStateTransition,
         getSquareAtGrid,
@@ -1110,13 +1208,17 @@ if (typeof module !== 'undefined' && module.exports) {
         getCarveableSquaresAdjacentToProtected,
         isAdjacentToSquareType,
         markIsolatedCarveableAsProtected,
+        getSquareFillColor,
         drawGrid,
         getGridRenderingParams,
         findReachableSquares,
         findIslands,
         findIslandBoundary,
+        findIslandCharacters,
         initializeIslands,
         isIslandBoundaryCarved,
+        getIslandSweepOrder,
+        getIslandSweepSteps,
         startIslandCompletionAnimation,
         updateIslandCompletionAnimation,
         completeIslandInstant,
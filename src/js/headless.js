@@ -0,0 +1,104 @@
+/**
+ * Headless Loader (Node.js)
+ * Loads the p5-free simulation modules into the current Node context so the
+ * carve can be run, scripted and tested without a browser.
+ *
+ * Usage:
+ *   const { SimulationEngine } = require('./src/js/headless');
+ *   const engine = new SimulationEngine({ width, height, pixels }, { ballCount: 20 });
+ *   const snapshots = engine.run({ snapshotInterval: 60 });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// The p5-free files of index.html, in dependency order. data-models.js is
+// skipped as in the browser (it does not parse as a classic script); the
+// fallback classes in simulation-engine.js are used instead.
+const CORE_MODULES = [
+    'color-constants.js',
+    'random.js',
+    'error-handling.js',
+    'event-system.js',
+    'binarize.js',
+    'text-layout.js',
+    'text-markup.js',
+    'grid-system.js',
+    'reveal-order.js',
+    'ball-animation.js',
+    'ray-casting.js',
+    'simulation-engine.js',
+    'simulation-timeline.js',
+    'replay.js',
+    'breakout-game.js',
+    'gif-encoder.js',
+    'public-api.js'
+];
+
+let core = null;
+
+/**
+ * Evaluate the core modules as classic scripts sharing one global scope,
+ * mirroring how the browser loads them
+ * @returns {Object} Core classes and functions
+ */
+function loadCore() {
+    if (core) {
+        return core;
+    }
+
+    for (const file of CORE_MODULES) {
+        const filename = path.join(__dirname, file);
+        vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+    }
+
+    // Top-level const/class bindings are not properties of the global object,
+    // so read them back through a script evaluated in the same scope
+    core = vm.runInThisContext(`({
+        COLORS,
+        SquareState,
+        SquareType,
+        AnimationParameters,
+        AnimationState,
+        Grid,
+        Square,
+        Ball,
+        SimulationEngine,
+        SimulationTimeline,
+        ReplayRecorder,
+        ReplayPlayer,
+        parseReplay,
+        createReplayEngine,
+        FixedTimestepClock,
+        SIMULATION_STEP_RATE,
+        BreakoutGame,
+        globalErrorHandler,
+        globalEventSystem,
+        TextBreakout,
+        createSeededRandom,
+        withRandomSource,
+        createGrid,
+        countSquaresByState,
+        initializeIslands,
+        updateIslands,
+        updateAllBalls,
+        spawnNewBall,
+        findOptimalBounceAngle,
+        GifEncoder,
+        GifRecorder,
+        renderSimulationGif,
+        binarizeImage,
+        getOtsuThreshold,
+        splitGraphemes,
+        wrapText,
+        layoutText,
+        parseTextMarkup,
+        RevealOrder,
+        buildRevealSteps
+    })`);
+
+    return core;
+}
+
+module.exports = loadCore();
@@ -0,0 +1,140 @@
+/**
+ * Image Raster Module
+ * Turns a picture (PNG, JPG or SVG logo) into the same low-resolution grayscale
+ * image typed text becomes; binarizeImage() then makes it black/white, so balls
+ * can carve out a logo
+ */
+
+const IMAGE_RASTER_DEFAULTS = {
+    resolution: 60      // Width in grid squares the image is scaled down to
+};
+
+const IMAGE_RESOLUTION_LIMITS = { min: 8, max: 200 };
+const IMAGE_FILE_TYPES = ['image/png', 'image/jpeg', 'image/svg+xml'];
+const IMAGE_FILE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.svg'];
+const IMAGE_FALLBACK_SIZE = 512; // Drawing size for SVGs without an intrinsic size
+
+/**
+ * Whether a file is an image the rasterizer takes
+ * @param {File} file - File
+ * @returns {boolean} True for PNG, JPG and SVG files
+ */
+function isImageFile(file) {
+    if (!file) {
+        return false;
+    }
+    const name = String(file.name || '').toLowerCase();
+    return IMAGE_FILE_TYPES.includes(file.type) || IMAGE_FILE_EXTENSIONS.some(extension => name.endsWith(extension));
+}
+
+/**
+ * Decode an image file
+ * @param {File} file - PNG, JPG or SVG file
+ * @returns {Promise<HTMLImageElement>} Resolves to the decoded image; rejects with an ImageLoadError
+ */
+function loadImageFile(file) {
+    return new Promise((resolve, reject) => {
+        if (!isImageFile(file)) {
+            reject(new ImageLoadError(`${file ? file.name : 'The file'} is not a PNG, JPG or SVG image`));
+            return;
+        }
+
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new ImageLoadError(`${file.name} could not be decoded`));
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * Scale an image down to a grid resolution and convert it to grayscale.
+ * Transparent areas count as white background.
+ * @param {CanvasImageSource} image - Image, canvas or bitmap to draw
+ * @param {Object} options - See IMAGE_RASTER_DEFAULTS
+ * @returns {GrayscaleImage} Grayscale image (0 = black, 255 = white), resolution squares wide
+ */
+function rasterizeImage(image, options = {}) {
+    try {
+        const { resolution } = { ...IMAGE_RASTER_DEFAULTS, ...options };
+        const sourceWidth = image.naturalWidth || image.width || IMAGE_FALLBACK_SIZE;
+        const sourceHeight = image.naturalHeight || image.height || sourceWidth;
+
+        const width = Math.round(Math.max(IMAGE_RESOLUTION_LIMITS.min, Math.min(IMAGE_RESOLUTION_LIMITS.max, Number(resolution) || IMAGE_RASTER_DEFAULTS.resolution)));
+        const height = Math.max(1, Math.round(width * sourceHeight / sourceWidth));
+
+        // Halve in steps: one large downscale skips most source pixels and breaks thin strokes
+        let source = image;
+        let sourceW = sourceWidth;
+        let sourceH = sourceHeight;
+        while (sourceW > width * 2) {
+            const stepW = Math.max(width, Math.round(sourceW / 2));
+            const stepH = Math.max(height, Math.round(sourceH / 2));
+            source = drawOnWhite(source, sourceW, sourceH, stepW, stepH).canvas;
+            sourceW = stepW;
+            sourceH = stepH;
+        }
+
+        const ctx = drawOnWhite(source, sourceW, sourceH, width, height);
+        const data = ctx.getImageData(0, 0, width, height).data;
+
+        const pixels = new Uint8Array(width * height);
+        for (let i = 0; i < pixels.length; i++) {
+            // Perceived brightness
+            pixels[i] = Math.round(0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]);
+        }
+
+        return new GrayscaleImage(width, height, pixels, '');
+
+    } catch (error) {
+        const handledError = globalErrorHandler.handleError(error, { context: 'rasterizeImage', options: options });
+        throw new ImageLoadError(handledError);
+    }
+}
+
+/**
+ * Draw an image scaled onto a new white canvas
+ * @param {CanvasImageSource} source - Image to draw
+ * @param {number} sourceWidth - Source width
+ * @param {number} sourceHeight - Source height
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {CanvasRenderingContext2D} Context of the new canvas
+ */
+function drawOnWhite(source, sourceWidth, sourceHeight, width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = COLORS.TEXT_WHITE;
+    ctx.fillRect(0, 0, width, height);
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(source, 0, 0, sourceWidth, sourceHeight, 0, 0, width, height);
+    return ctx;
+}
+
+// Make functions available globally for browser usage
+if (typeof window !== 'undefined') {
+    window.IMAGE_RASTER_DEFAULTS = IMAGE_RASTER_DEFAULTS;
+    window.isImageFile = isImageFile;
+    window.loadImageFile = loadImageFile;
+    window.rasterizeImage = rasterizeImage;
+}
+
+// Export for use in other modules (Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        IMAGE_RASTER_DEFAULTS,
+        IMAGE_RESOLUTION_LIMITS,
+        isImageFile,
+        loadImageFile,
+        rasterizeImage
+    };
+}
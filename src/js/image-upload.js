@@ -0,0 +1,140 @@
+/**
+ * Image Upload Module
+ * "Upload image" swaps the typed text for a PNG, JPG or SVG logo; the image
+ * resolution and invert controls, with the threshold controls shared with text,
+ * decide how it is turned into squares (see image-raster.js and binarize.js)
+ */
+
+let logoInput = null; // { image, name } of the uploaded image, or null to carve the text
+
+/**
+ * Decode an image file chosen by the user and carve it
+ * @param {File} file - PNG, JPG or SVG file
+ */
+function loadLogoFile(file) {
+    if (!file) {
+        return;
+    }
+
+    loadImageFile(file).then(image => {
+        logoInput = { image: image, name: file.name };
+        updateImageControls();
+        restartWithLogo();
+    }).catch(error => {
+        const message = globalErrorHandler.handleError(error, { context: 'loadLogoFile', file: file.name });
+        showNotification(message, 5000);
+    });
+}
+
+/**
+ * Go back to carving the typed text
+ */
+function clearLogo() {
+    logoInput = null;
+    updateImageControls();
+}
+
+/**
+ * Whether an uploaded image replaces the text
+ * @returns {boolean} True while an image is loaded
+ */
+function hasLogoInput() {
+    return logoInput !== null;
+}
+
+/**
+ * Image settings from the controls
+ * @returns {Object} { resolution, invert } (see IMAGE_RASTER_DEFAULTS and BINARIZE_DEFAULTS)
+ */
+function getImageRasterOptions() {
+    const resolutionSlider = document.getElementById('image-resolution');
+    const invertCheckbox = document.getElementById('image-invert');
+
+    return {
+        resolution: resolutionSlider ? parseInt(resolutionSlider.value, 10) : IMAGE_RASTER_DEFAULTS.resolution,
+        invert: invertCheckbox ? invertCheckbox.checked : BINARIZE_DEFAULTS.invert
+    };
+}
+
+/**
+ * The uploaded image as black/white pixels for startAnimation()
+ * @returns {Object|null} { width, height, pixels, text }, or null without an image
+ */
+function rasterizeLogo() {
+    if (!logoInput) {
+        return null;
+    }
+
+    const options = getImageRasterOptions();
+    const blackWhite = binarizeImage(rasterizeImage(logoInput.image, options), {
+        ...getBinarizeOptionsFromUI(),
+        invert: options.invert
+    });
+    blackWhite.text = '';
+    return blackWhite;
+}
+
+/**
+ * Restart the carve so changed image settings show straight away
+ */
+function restartWithLogo() {
+    if (logoInput && typeof window.startNewAnimation === 'function') {
+        window.startNewAnimation();
+    }
+}
+
+/**
+ * Show or hide the image settings and the loaded file name
+ */
+function updateImageControls() {
+    const loaded = logoInput !== null;
+
+    document.querySelectorAll('.image-option').forEach(element => {
+        element.hidden = !loaded;
+    });
+
+    const nameLabel = document.getElementById('image-name');
+    if (nameLabel) {
+        nameLabel.textContent = loaded ? logoInput.name : '';
+    }
+
+    const clearImageBtn = document.getElementById('clear-image-btn');
+    if (clearImageBtn) {
+        clearImageBtn.hidden = !loaded;
+    }
+
+    const textInput = document.getElementById('text-input');
+    if (textInput) {
+        textInput.disabled = loaded;
+    }
+
+    const resolutionSlider = document.getElementById('image-resolution');
+    const resolutionValue = document.getElementById('image-resolution-value');
+    if (resolutionSlider && resolutionValue) {
+        resolutionValue.textContent = resolutionSlider.value;
+    }
+}
+
+// Make functions available globally for browser usage
+if (typeof window !== 'undefined') {
+    window.loadLogoFile = loadLogoFile;
+    window.clearLogo = clearLogo;
+    window.hasLogoInput = hasLogoInput;
+    window.getImageRasterOptions = getImageRasterOptions;
+    window.rasterizeLogo = rasterizeLogo;
+    window.restartWithLogo = restartWithLogo;
+    window.updateImageControls = updateImageControls;
+}
+
+// Export for use in other modules (Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        loadLogoFile,
+        clearLogo,
+        hasLogoInput,
+        getImageRasterOptions,
+        rasterizeLogo,
+        restartWithLogo,
+        updateImageControls
+    };
+}
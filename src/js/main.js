@@ -3,124 +3,23 @@
  * Integrates p5.js animation loop with core systems
  */
 
-// Define classes locally if not available globally
-const AnimationParameters = window.AnimationParameters || class {
-    constructor() {
-        this.ballCount = 30;
-        this.deviationAngle = 15;
-        this.movementSpeed = 1.0;
-    }
-};
-
-const AnimationState = window.AnimationState || class {
-    constructor(isRunning, frameCount, balls, ballsActive, grid, parameters) {
-        this.isRunning = isRunning;
-        this.frameCount = frameCount;
-        this.balls = balls;
-        this.ballsActive = ballsActive;
-        this.grid = grid;
-        this.parameters = parameters;
-    }
-    
-    addBall(ball) {
-        this.balls.push(ball);
-        this.ballsActive++;
-    }
-    
-    removeBall(ballId) {
-        const index = this.balls.findIndex(ball => ball.id === ballId);
-        if (index !== -1) {
-            this.balls.splice(index, 1);
-            this.ballsActive--;
-        }
-    }
-    
-    getActiveBalls() {
-        return this.balls.filter(ball => ball.isActive);
-    }
-    
-    updateFrameCount() {
-        this.frameCount++;
-    }
-};
-
-const Grid = window.Grid || class {
-    constructor(width, height, squares, padding, originalWidth, originalHeight) {
-        this.width = width;
-        this.height = height;
-        this.squares = squares;
-        this.padding = padding;
-        this.originalWidth = originalWidth;
-        this.originalHeight = originalHeight;
-    }
-    
-    getSquare(x, y) {
-        if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
-            return this.squares[y][x];
-        }
-        return null;
-    }
-};
-
-const Square = window.Square || class {
-    constructor(x, y, state, type) {
-        this.x = x;
-        this.y = y;
-        this.state = state;
-        this.type = type;
-    }
-    
-    isCarveable() {
-        return this.state === 'BLACK_CARVEABLE';
-    }
-    
-    isProtected() {
-        return this.state === 'BLACK_PROTECTED';
-    }
-    
-    isWhite() {
-        return this.state === 'WHITE_CARVED' || this.state === 'WHITE_EDGE';
-    }
-};
-
-const Ball = window.Ball || class {
-    constructor(id, x, y, velocityX, velocityY, diameter) {
-        this.id = id;
-        this.x = x;
-        this.y = y;
-        this.velocityX = velocityX;
-        this.velocityY = velocityY;
-        this.diameter = diameter;
-        this.isActive = true;
-    }
-    
-    getSpeed() {
-        return Math.sqrt(this.velocityX * this.velocityX + this.velocityY * this.velocityY);
-    }
-    
-    getAngle() {
-        return Math.atan2(this.velocityY, this.velocityX);
-    }
-    
-    setVelocityFromAngle(angle, speed) {
-        this.velocityX = Math.cos(angle) * speed;
-        this.velocityY = Math.sin(angle) * speed;
-    }
-    
-    updatePosition(deltaTime = 1) {
-        this.x += this.velocityX * deltaTime;
-        this.y += this.velocityY * deltaTime;
-    }
-};
-
 // Global variables
 let animationState = null;
 let grid = null;
 let animationParameters = null;
 let canvasWidth = 800;
 let canvasHeight = 600;
+let canvasElement = null; // Underlying <canvas> of the p5 sketch (used for exports)
 let gridRenderingParams = null; // Will store current grid rendering parameters
 let islands = []; // Store detected islands for completion checking
+let simulationEngine = null; // Headless simulation driving the current carve
+let breakoutGame = null; // Game wrapping simulationEngine when playing Breakout
+let pendingGameMode = false; // Set by startBreakoutGame() so the next run is a game
+let simulationClock = null; // Turns real elapsed time into fixed simulation steps
+let simulationTimeline = null; // Snapshots of the run for the scrub bar (not kept in game mode)
+let isPaused = false; // A paused run keeps its state; draw() keeps rendering without stepping
+let completionReported = false; // animationCompleted was dispatched for this run (seeking back to the end does not repeat it)
+let playbackSpeed = 1; // Playback rate multiplier (separate from the movementSpeed physics parameter)
 
 /**
  * Get responsive canvas dimensions based on container size
@@ -152,6 +51,7 @@ function setup() {
         // Create canvas
         const canvas = createCanvas(canvasWidth, canvasHeight);
         canvas.parent('animation-container');
+        canvasElement = canvas.elt;
         
         // Set frame rate
         frameRate(60);
@@ -190,8 +90,8 @@ function draw() {
         }
         
         if (animationState && animationState.isRunning) {
-            // Update animation
-            updateAnimation();
+            // Update animation by the real time since the last frame (p5 deltaTime is in ms)
+            updateAnimation(deltaTime / 1000);
             
             // Draw grid
             if (grid) {
@@ -220,15 +120,23 @@ function draw() {
                 drawGrid(grid, canvasWidth, canvasHeight);
             }
             
-            // Draw balls
+            // Draw balls between the last two simulation steps
             if (animationState.balls) {
-                drawBalls(animationState.balls);
+                drawBalls(animationState.balls, simulationClock && !isPaused ? simulationClock.getAlpha() : 1);
+            }
+            
+            // Draw the paddle and HUD, and end the game once it is won or lost
+            if (breakoutGame) {
+                drawBreakoutGame(breakoutGame, gridRenderingParams);
+                if (breakoutGame.isComplete()) {
+                    finishBreakoutGame();
+                }
             }
             
-            // // Check for completion
-            // if (isAnimationComplete(grid)) {
-            //     completeAnimation();
-            // }
+            // Check for completion (games end in finishBreakoutGame() instead)
+            if (!breakoutGame && isAnimationComplete(grid, islands)) {
+                completeAnimation();
+            }
             
         } else if (grid) {
             // Draw static grid when not animating
@@ -251,11 +159,23 @@ function draw() {
             }
             if (typeof window !== 'undefined') window.gridRenderingParams = gridRenderingParams;
             drawGrid(grid, canvasWidth, canvasHeight);
+            if (breakoutGame) {
+                drawBreakoutGame(breakoutGame, gridRenderingParams);
+            }
         } else {
             // Show welcome message
             drawWelcomeMessage();
         }
         
+        // Feed the finished frame to a running video or GIF export
+        const isComplete = !!animationState && (animationState.isComplete || simulationEngine.isComplete());
+        if (typeof captureVideoExportFrame === 'function') {
+            captureVideoExportFrame(isComplete);
+        }
+        if (typeof captureGifExportFrame === 'function') {
+            captureGifExportFrame(animationState, grid, isComplete);
+        }
+        
     } catch (error) {
         globalErrorHandler.handleError(error, { context: 'draw' });
         updateStatus('Animation error occurred', 'error');
@@ -263,55 +183,298 @@ function draw() {
 }
 
 /**
- * Update animation state for one frame
+ * Advance the animation by real elapsed time, in fixed simulation steps
+ * @param {number} elapsedSeconds - Real time since the last frame
  */
-function updateAnimation() {
+function updateAnimation(elapsedSeconds) {
     try {
-        if (!animationState || !animationState.isRunning) {
+        if (!animationState || !animationState.isRunning || isPaused) {
             return;
         }
         
-        // Update frame count
-        animationState.frameCount++;
+        const steps = simulationClock.advance(elapsedSeconds);
+        for (let i = 0; i < steps; i++) {
+            if (runSimulationStep()) {
+                simulationClock.reset();
+                break;
+            }
+        }
         
-        // Update all balls
-        const updateResults = updateAllBalls(animationState.balls, grid, gridRenderingParams, animationParameters);
+        // Update status
+        if (breakoutGame) {
+            updateGameStatus();
+        } else {
+            updateAnimationStatus();
+        }
+        updateTimelineControls();
+        updateProgressDisplay();
         
-        // Check and complete islands
-        if (islands && islands.length > 0) {
-            if (typeof updateIslands === 'function') {
-                updateIslands(grid, islands);
-            } else if (typeof window.updateIslands === 'function') {
-                window.updateIslands(grid, islands);
-            }
+    } catch (error) {
+        globalErrorHandler.handleError(error, { context: 'updateAnimation' });
+    }
+}
+
+/**
+ * Advance the running game or simulation by one fixed step
+ * @returns {boolean} True if the run is complete after the step
+ */
+function runSimulationStep() {
+    if (breakoutGame) {
+        // Advance the game (paddle, balls, lives, score) by one step
+        breakoutGame.step();
+    } else {
+        // Advance the simulation (balls, islands, respawns) by one step
+        simulationEngine.step();
+        if (simulationTimeline) {
+            simulationTimeline.record();
+        }
+    }
+    
+    // GIF frames are captured in simulation time so the export matches live playback
+    const isComplete = breakoutGame ? breakoutGame.isComplete() : simulationEngine.isComplete();
+    if (typeof captureGifExportFrame === 'function') {
+        captureGifExportFrame(animationState, grid, isComplete);
+    }
+    return isComplete;
+}
+
+/**
+ * Pause the running animation, keeping balls and island sweeps where they are
+ */
+function pauseAnimation() {
+    try {
+        if (!animationState || !animationState.isRunning || isPaused) {
+            return;
         }
         
-        // Update animation state
-        animationState.ballsActive = getActiveBalls(animationState.balls).length;
-        animationState.carveableSquaresRemaining = countSquaresByState(grid, SquareState.BLACK_CARVEABLE);
+        isPaused = true;
+        document.body.classList.add('paused');
+        dispatchAnimationPaused(animationState, { reason: 'paused' });
+        updateStatus(`Paused at frame ${animationState.frameCount}`);
+        updatePlaybackControls();
         
-        // Clean up inactive balls
-        animationState.balls = cleanupInactiveBalls(animationState.balls);
+    } catch (error) {
+        globalErrorHandler.handleError(error, { context: 'pauseAnimation' });
+    }
+}
+
+/**
+ * Resume a paused animation from where it stopped
+ */
+function resumeAnimation() {
+    try {
+        if (!isPaused) {
+            return;
+        }
         
-        // Spawn new balls if needed
-        if (animationParameters && animationState.ballsActive < animationParameters.ballCount) {
-            const ballsNeeded = animationParameters.ballCount - animationState.ballsActive;
-            for (let i = 0; i < ballsNeeded; i++) {
-                const newBall = spawnNewBall(grid, animationParameters, gridRenderingParams);
-                if (newBall) {
-                    animationState.addBall(newBall);
-                }
-            }
+        isPaused = false;
+        document.body.classList.remove('paused');
+        // Don't catch up on the time spent paused
+        if (simulationClock) {
+            simulationClock.reset();
+        }
+        if (animationState) {
+            dispatchAnimationResumed(animationState);
         }
+        updatePlaybackControls();
         
-        // Update status
-        updateAnimationStatus();
+    } catch (error) {
+        globalErrorHandler.handleError(error, { context: 'resumeAnimation' });
+    }
+}
+
+/**
+ * Pause the running animation, or resume it if it is paused
+ */
+function togglePause() {
+    if (isPaused) {
+        resumeAnimation();
+    } else {
+        pauseAnimation();
+    }
+}
+
+/**
+ * Pause (if needed) and advance exactly one simulation step, to inspect a single bounce
+ */
+function stepAnimationFrame() {
+    try {
+        if (!animationState || !animationState.isRunning) {
+            return;
+        }
+        
+        pauseAnimation();
+        runSimulationStep();
+        
+        if (breakoutGame) {
+            updateGameStatus();
+        } else {
+            updatePausedStatus();
+        }
+        updateTimelineControls();
+        updateProgressDisplay();
         
     } catch (error) {
-        globalErrorHandler.handleError(error, { context: 'updateAnimation' });
+        globalErrorHandler.handleError(error, { context: 'stepAnimationFrame' });
+    }
+}
+
+/**
+ * Rewind or fast-forward to a simulation step recorded earlier in this run, leaving it paused.
+ * A finished or stopped run is reopened, so it can be scrubbed and resumed from any point.
+ * @param {number} frame - Target simulation step
+ */
+function seekAnimation(frame) {
+    try {
+        if (!simulationTimeline || !animationState) {
+            return;
+        }
+        
+        if (animationState.isRunning) {
+            pauseAnimation();
+        } else {
+            animationState.isRunning = true;
+            isPaused = true;
+            document.body.classList.remove('completed');
+            document.body.classList.add('animating', 'paused');
+        }
+        
+        simulationTimeline.seek(frame);
+        if (simulationClock) {
+            simulationClock.reset();
+        }
+        // Rewinding also rewinds settings changed during the run
+        if (typeof updateParameterDisplays === 'function') {
+            updateParameterDisplays();
+        }
+        
+        updatePausedStatus();
+        updatePlaybackControls();
+        updateTimelineControls();
+        updateProgressDisplay();
+        
+    } catch (error) {
+        globalErrorHandler.handleError(error, { context: 'seekAnimation' });
     }
 }
 
+/**
+ * Set the playback speed (how fast simulated time passes, not the ball speed)
+ * @param {number} speed - Multiplier, clamped to PLAYBACK_SPEED_LIMITS (0.25x-8x)
+ */
+function setPlaybackSpeed(speed) {
+    const value = parseFloat(speed);
+    if (isNaN(value)) {
+        return;
+    }
+    playbackSpeed = Math.max(PLAYBACK_SPEED_LIMITS.min, Math.min(PLAYBACK_SPEED_LIMITS.max, value));
+    if (simulationClock) {
+        simulationClock.setTimeScale(playbackSpeed);
+    }
+}
+
+/**
+ * Sync the pause/step buttons with the animation state
+ */
+function updatePlaybackControls() {
+    const isActive = !!animationState && animationState.isRunning;
+    
+    const pauseBtn = document.getElementById('pause-btn');
+    if (pauseBtn) {
+        pauseBtn.disabled = !isActive;
+        pauseBtn.textContent = isPaused ? 'Resume' : 'Pause';
+        pauseBtn.setAttribute('aria-pressed', isPaused ? 'true' : 'false');
+    }
+    
+    const stepBtn = document.getElementById('step-btn');
+    if (stepBtn) {
+        stepBtn.disabled = !isActive;
+    }
+}
+
+/**
+ * Sync the scrub bar with the timeline: its range grows as the run reaches new steps
+ */
+function updateTimelineControls() {
+    const scrub = document.getElementById('timeline-scrub');
+    if (!scrub) {
+        return;
+    }
+    
+    const frame = animationState ? animationState.frameCount : 0;
+    const latestFrame = simulationTimeline ? simulationTimeline.getLatestFrame() : 0;
+    scrub.disabled = !simulationTimeline;
+    scrub.max = String(latestFrame);
+    scrub.value = String(frame);
+    
+    const label = document.getElementById('timeline-position');
+    if (label) {
+        const toSeconds = (steps) => (steps / SIMULATION_STEP_RATE).toFixed(1);
+        label.textContent = simulationTimeline ? `${toSeconds(frame)} s / ${toSeconds(latestFrame)} s` : '';
+    }
+}
+
+/**
+ * Show how far the carve has got under the canvas: percent carved, island sweeps
+ * left and the estimated time to completion
+ */
+function updateProgressDisplay() {
+    const container = document.getElementById('carve-progress');
+    if (!container) {
+        return;
+    }
+    
+    const progress = TextBreakout.getProgress();
+    container.hidden = !progress;
+    if (!progress) {
+        return;
+    }
+    
+    const fill = document.getElementById('carve-progress-fill');
+    if (fill) {
+        fill.style.width = `${progress.percentCarved.toFixed(1)}%`;
+    }
+    const bar = document.getElementById('carve-progress-bar');
+    if (bar) {
+        bar.setAttribute('aria-valuenow', String(Math.floor(progress.percentCarved)));
+    }
+    
+    const label = document.getElementById('carve-progress-label');
+    if (label) {
+        const parts = [`${Math.floor(progress.percentCarved)}% carved`];
+        if (progress.sweepsRemaining > 0) {
+            parts.push(`${progress.sweepsRemaining} island sweep${progress.sweepsRemaining === 1 ? '' : 's'} left`);
+        }
+        if (progress.targetReachable === false && !progress.isComplete) {
+            parts.push(`${progress.targetDuration} s target out of reach`);
+        }
+        if (progress.isComplete) {
+            parts.push('done');
+        } else if (progress.eta !== null) {
+            const seconds = Math.ceil(progress.eta);
+            parts.push(`about ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')} left`);
+        }
+        label.textContent = parts.join(' · ');
+    }
+}
+
+/**
+ * Show the paused frame, balls and remaining squares in the status bar
+ */
+function updatePausedStatus() {
+    updateStatus(`Paused at frame ${animationState.frameCount} | ` +
+                 `Balls: ${animationState.ballsActive} | ` +
+                 `Remaining: ${animationState.carveableSquaresRemaining}`);
+}
+
+/**
+ * Leave the paused state without resuming (the run was stopped, finished or replaced)
+ */
+function clearPausedState() {
+    isPaused = false;
+    document.body.classList.remove('paused');
+}
+
 /**
  * Start the ball carving animation
  */
@@ -319,9 +482,14 @@ function startAnimation(imageData) {
     try {
         console.log('startAnimation called with imageData:', imageData);
         
+        // A replay armed by loadReplay() brings its own image, settings and event log
+        const replay = typeof takePendingReplay === 'function' ? takePendingReplay() : null;
+        
         let blackWhiteImage;
         
-        if (imageData) {
+        if (replay) {
+            blackWhiteImage = decodeReplayImage(replay.image);
+        } else if (imageData) {
             console.log('imageData properties:', {
                 width: imageData.width,
                 height: imageData.height,
@@ -349,6 +517,20 @@ function startAnimation(imageData) {
                 pixels: binaryPixels,
                 text: imageData.text
             };
+            if (imageData.colors) {
+                // Colour glyph mode: source colors of the protected pixels
+                blackWhiteImage.colors = imageData.colors;
+            }
+            if (imageData.spanMap) {
+                // Text markup: the span each protected pixel belongs to
+                blackWhiteImage.spans = imageData.spans;
+                blackWhiteImage.spanMap = imageData.spanMap;
+            }
+            if (imageData.charMap) {
+                // The character, word and line each protected pixel belongs to
+                blackWhiteImage.characters = imageData.characters;
+                blackWhiteImage.charMap = imageData.charMap;
+            }
             
             console.log('Black/White Image Resolution:', imageData.width, 'x', imageData.height);
             console.log('Total pixels:', imageData.width * imageData.height);
@@ -365,10 +547,52 @@ function startAnimation(imageData) {
             // Convert text to image
             const grayscaleImage = convertTextToImageOptimized(text);
             blackWhiteImage = convertToBlackWhite(grayscaleImage);
+            blackWhiteImage.text = text;
         }
         
-        // Create grid
-        grid = createGrid(blackWhiteImage, 3);
+        // Create the simulation (grid, islands and initial balls)
+        if (!animationParameters) {
+            animationParameters = new AnimationParameters();
+        }
+        breakoutGame = null;
+        if (replay) {
+            // Spawns and bounces take their recorded outcome, so the run plays back exactly.
+            // The replay sets and steers settings of its own; the controls keep the user's
+            simulationEngine = createReplayEngine(replay, {
+                parameters: new AnimationParameters(),
+                onDiverge: reportReplayDivergence
+            });
+        } else if (pendingGameMode) {
+            // Game mode: the player's paddle replaces automatic ball spawning
+            pendingGameMode = false;
+            breakoutGame = new BreakoutGame(blackWhiteImage, { parameters: animationParameters });
+            simulationEngine = breakoutGame.engine;
+        } else {
+            // With a target duration the engine steers ball count and speed itself;
+            // it gets a copy so the sliders keep the user's own settings
+            const parameters = animationParameters.targetDuration > 0
+                ? Object.assign(new AnimationParameters(), animationParameters)
+                : animationParameters;
+            simulationEngine = new SimulationEngine(blackWhiteImage, {
+                parameters: parameters,
+                padding: 3,
+                // Record the run so it can be downloaded as a replay
+                runLog: new ReplayRecorder({
+                    text: blackWhiteImage.text || '',
+                    font: (imageData && imageData.font) || {},
+                    layout: (imageData && imageData.layout) || null,
+                    image: blackWhiteImage
+                })
+            });
+        }
+        grid = simulationEngine.grid;
+        islands = simulationEngine.islands;
+        animationState = simulationEngine.state;
+        simulationClock = new FixedTimestepClock({ timeScale: playbackSpeed });
+        // Games depend on live paddle input, so only plain carves can be rewound
+        simulationTimeline = breakoutGame ? null : new SimulationTimeline(simulationEngine);
+        completionReported = false;
+        clearPausedState();
         
         console.log('Grid Dimensions:', grid.width, 'x', grid.height);
         console.log('Grid total squares:', grid.width * grid.height);
@@ -398,40 +622,7 @@ function startAnimation(imageData) {
             }
         }
 
-        // Mark isolated carveable squares as protected
-        markIsolatedCarveableAsProtected(grid);
-        
-        // Initialize islands for loop detection and completion
-        if (typeof initializeIslands === 'function') {
-            islands = initializeIslands(grid);
-        } else if (typeof window.initializeIslands === 'function') {
-            islands = window.initializeIslands(grid);
-        } else {
-            console.warn('initializeIslands function not available');
-            islands = [];
-        }
-        
-        // Initialize animation state
-        animationState = new AnimationState(
-            true,  // isRunning
-            false, // isComplete
-            0,     // frameCount
-            countSquaresByState(grid, SquareState.BLACK_CARVEABLE), // carveableSquaresRemaining
-            0,     // ballsActive
-            0      // totalBallsSpawned
-        );
-        
-        // Spawn initial balls
-        if (!animationParameters) {
-            animationParameters = new AnimationParameters();
-        }
-        
-        console.log('About to spawn initial balls, gridRenderingParams:', gridRenderingParams);
-        const initialBalls = spawnInitialBalls(grid, animationParameters, gridRenderingParams);
-        
-        animationState.balls = initialBalls;
-        animationState.ballsActive = initialBalls.length;
-        animationState.totalBallsSpawned = initialBalls.length;
+        console.log('Animation state initialized, gridRenderingParams:', gridRenderingParams);
         
         // Update UI
         // Text input remains enabled so users can edit text while animation runs
@@ -439,9 +630,26 @@ function startAnimation(imageData) {
         // Add animating class to body
         document.body.classList.add('animating');
         
-        updateStatus('Animation started - ' + animationState.carveableSquaresRemaining + ' squares to carve');
+        // Start recording if a video or GIF export is waiting for this run
+        if (typeof beginPendingVideoExport === 'function') {
+            beginPendingVideoExport(canvasElement);
+        }
+        if (typeof beginPendingGifExport === 'function') {
+            beginPendingGifExport(grid);
+        }
+        
+        dispatchAnimationStarted(animationState);
+        updatePlaybackControls();
+        updateTimelineControls();
+        updateProgressDisplay();
+        
+        if (breakoutGame) {
+            updateStatus('Game started - press Space, click or tap to launch the ball');
+        } else {
+            updateStatus('Animation started - ' + animationState.carveableSquaresRemaining + ' squares to carve');
+        }
         
-        console.log('Animation started with', initialBalls.length, 'balls');
+        console.log('Animation started with', animationState.balls.length, 'balls');
         
     } catch (error) {
         const handledError = globalErrorHandler.handleError(error, { context: 'startAnimation' });
@@ -456,7 +664,10 @@ function stopAnimation() {
     try {
         if (animationState) {
             animationState.isRunning = false;
+            dispatchAnimationPaused(animationState, { reason: 'stopped' });
         }
+        clearPausedState();
+        updatePlaybackControls();
         
         // Update UI
         document.getElementById('text-input').disabled = false;
@@ -482,6 +693,8 @@ function completeAnimation() {
             animationState.isRunning = false;
             animationState.isComplete = true;
         }
+        clearPausedState();
+        updatePlaybackControls();
         
         // Update UI
         document.getElementById('text-input').disabled = false;
@@ -492,7 +705,19 @@ function completeAnimation() {
         
         updateStatus('Animation completed! Text pattern revealed.', 'completed');
         
-        console.log('Animation completed in', animationState.frameCount, 'frames');
+        // A seek reopens a completed run; reaching the end again does not complete it twice
+        if (animationState && !completionReported) {
+            completionReported = true;
+            console.log('Animation completed in', animationState.frameCount, 'frames');
+            
+            // Notify listeners (globalEventSystem and a DOM event for host pages)
+            dispatchAnimationCompleted(animationState, {
+                seed: simulationEngine ? simulationEngine.seed : null,
+                frameCount: animationState.frameCount,
+                totalBallsSpawned: animationState.totalBallsSpawned,
+                score: breakoutGame ? breakoutGame.score : null
+            });
+        }
         
     } catch (error) {
         globalErrorHandler.handleError(error, { context: 'completeAnimation' });
@@ -511,6 +736,7 @@ function skipAnimation() {
                     const square = grid.getSquare(x, y);
                     if (square && square.state === SquareState.BLACK_CARVEABLE) {
                         updateSquareState(grid, x, y, SquareState.WHITE_CARVED);
+                        dispatchSquareCarved(square, { source: 'skip' });
                     }
                 }
             }
@@ -523,6 +749,52 @@ function skipAnimation() {
     }
 }
 
+/**
+ * Restart with the current text as a game of Breakout
+ */
+function startBreakoutGame() {
+    try {
+        // Arm game mode; startAnimation() picks it up for the new run
+        pendingGameMode = true;
+        
+        const starting = typeof window.startNewAnimation === 'function' ? window.startNewAnimation() : null;
+        
+        // The run starts once its font is loaded
+        Promise.resolve(starting).then(() => {
+            // The run did not start (e.g. no text entered)
+            pendingGameMode = false;
+        });
+        
+    } catch (error) {
+        pendingGameMode = false;
+        globalErrorHandler.handleError(error, { context: 'startBreakoutGame' });
+    }
+}
+
+/**
+ * End the game once it is won or lost
+ */
+function finishBreakoutGame() {
+    try {
+        if (!breakoutGame) {
+            return;
+        }
+        
+        if (breakoutGame.status === 'won') {
+            completeAnimation();
+            updateStatus('You win! Final score: ' + breakoutGame.score, 'completed');
+        } else {
+            animationState.isRunning = false;
+            animationState.isComplete = true;
+            document.body.classList.remove('animating');
+            updateStatus('Game over - final score: ' + breakoutGame.score);
+        }
+        
+    } catch (error) {
+        globalErrorHandler.handleError(error, { context: 'finishBreakoutGame' });
+    }
+}
+
 /**
  * Reset the animation
  */
@@ -534,9 +806,17 @@ function resetAnimation() {
         }
         
         // Clear state
+        simulationEngine = null;
+        breakoutGame = null;
+        simulationClock = null;
+        simulationTimeline = null;
+        completionReported = false;
         animationState = null;
         grid = null;
         islands = [];
+        updatePlaybackControls();
+        updateTimelineControls();
+        updateProgressDisplay();
         
         // Reset UI - use correct element IDs from existing HTML
         const textInput = document.getElementById('text-input');
@@ -551,6 +831,9 @@ function resetAnimation() {
             animationParameters.ballCount = 30;
             animationParameters.deviationAngle = 15;
             animationParameters.movementSpeed = 1.0;
+            animationParameters.seed = null;
+            animationParameters.targetDuration = null;
+            animationParameters.spawnRate = 0;
             if (typeof updateParameterDisplays === 'function') {
                 updateParameterDisplays();
             }
@@ -585,6 +868,26 @@ function updateAnimationStatus() {
     }
 }
 
+/**
+ * Update game status display
+ */
+function updateGameStatus() {
+    try {
+        if (!breakoutGame || !animationState) {
+            return;
+        }
+        
+        const statusText = `Score: ${breakoutGame.score} | ` +
+                          `Lives: ${breakoutGame.lives} | ` +
+                          `Remaining: ${animationState.carveableSquaresRemaining}`;
+        
+        updateStatus(statusText);
+        
+    } catch (error) {
+        globalErrorHandler.handleError(error, { context: 'updateGameStatus' });
+    }
+}
+
 /**
  * Update status message
  */
@@ -646,9 +949,162 @@ function windowResized() {
 }
 
 /**
- * Handle key presses
+ * Check whether the game is accepting input (playing, and not typing in a form field)
+ */
+function isGameInputActive() {
+    if (!breakoutGame || !animationState || !animationState.isRunning || isPaused) {
+        return false;
+    }
+    return !isTypingInField();
+}
+
+/**
+ * Check whether keyboard focus is in a text field or select (keys belong to it)
+ */
+function isTypingInField() {
+    const active = document.activeElement;
+    return !!(active && (/^(INPUT|TEXTAREA|SELECT)$/.test(active.tagName) || active.isContentEditable));
+}
+
+/**
+ * Check whether the pointer (mouse or first touch) is over the canvas
+ */
+function isPointerOverCanvas() {
+    return mouseX >= 0 && mouseX <= canvasWidth && mouseY >= 0 && mouseY <= canvasHeight;
+}
+
+/**
+ * Set paddle movement from the arrow keys (or A/D) currently held down
+ */
+function updatePaddleDirectionFromKeys() {
+    const left = keyIsDown(LEFT_ARROW) || keyIsDown(65); // A
+    const right = keyIsDown(RIGHT_ARROW) || keyIsDown(68); // D
+    breakoutGame.setPaddleDirection((right ? 1 : 0) - (left ? 1 : 0));
+}
+
+/**
+ * Move the paddle under the pointer
+ */
+function movePaddleToPointer() {
+    if (gridRenderingParams) {
+        breakoutGame.movePaddleTo(pixelToGrid(mouseX, mouseY, gridRenderingParams).x);
+    }
+}
+
+/**
+ * Handle key presses (game mode: arrows or A/D move the paddle, Space launches)
+ */
+function keyPressed() {
+    try {
+        // Playback keys: P pauses/resumes, . steps one frame
+        if (animationState && animationState.isRunning && !isTypingInField()) {
+            if (key === 'p' || key === 'P') {
+                togglePause();
+                return false;
+            }
+            if (key === '.') {
+                stepAnimationFrame();
+                return false;
+            }
+        }
+        
+        if (!isGameInputActive()) {
+            return;
+        }
+        
+        if (key === ' ') {
+            breakoutGame.launch();
+            return false; // Don't scroll the page
+        }
+        if (keyCode === LEFT_ARROW || keyCode === RIGHT_ARROW || keyCode === 65 || keyCode === 68) {
+            updatePaddleDirectionFromKeys();
+            return false;
+        }
+        
+    } catch (error) {
+        globalErrorHandler.handleError(error, { context: 'keyPressed' });
+    }
+}
+
+/**
+ * Handle key releases
  */
-function keyPressed() {}
+function keyReleased() {
+    try {
+        if (breakoutGame) {
+            updatePaddleDirectionFromKeys();
+        }
+        
+    } catch (error) {
+        globalErrorHandler.handleError(error, { context: 'keyReleased' });
+    }
+}
+
+/**
+ * Handle mouse movement (game mode: the paddle follows the mouse)
+ */
+function mouseMoved() {
+    try {
+        if (isGameInputActive() && isPointerOverCanvas()) {
+            movePaddleToPointer();
+        }
+        
+    } catch (error) {
+        globalErrorHandler.handleError(error, { context: 'mouseMoved' });
+    }
+}
+
+/**
+ * Handle mouse drags
+ */
+function mouseDragged() {
+    mouseMoved();
+}
+
+/**
+ * Handle mouse clicks (game mode: launch the ball)
+ */
+function mousePressed() {
+    try {
+        if (isGameInputActive() && isPointerOverCanvas()) {
+            breakoutGame.launch();
+        }
+        
+    } catch (error) {
+        globalErrorHandler.handleError(error, { context: 'mousePressed' });
+    }
+}
+
+/**
+ * Handle touch start (game mode: move the paddle and launch the ball)
+ */
+function touchStarted() {
+    try {
+        if (isGameInputActive() && isPointerOverCanvas()) {
+            movePaddleToPointer();
+            breakoutGame.launch();
+            return false; // Don't scroll or emit mouse events
+        }
+        
+    } catch (error) {
+        globalErrorHandler.handleError(error, { context: 'touchStarted' });
+    }
+}
+
+/**
+ * Handle touch movement (game mode: the paddle follows the finger)
+ */
+function touchMoved() {
+    try {
+        if (isGameInputActive() && isPointerOverCanvas()) {
+            movePaddleToPointer();
+            return false; // Don't scroll the page
+        }
+        
+    } catch (error) {
+        globalErrorHandler.handleError(error, { context: 'touchMoved' });
+    }
+}
 
 // Initialize when page loads
 document.addEventListener('DOMContentLoaded', function() {
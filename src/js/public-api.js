@@ -0,0 +1,69 @@
+/**
+ * Public API Module
+ * The TextBreakout object host pages use to follow the animation
+ */
+
+const TextBreakout = {
+    /**
+     * Event types that can be subscribed to
+     */
+    events: EVENT_TYPES.slice(),
+
+    /**
+     * Subscribe to an animation event
+     * @param {string} type - One of TextBreakout.events
+     * @param {Function} handler - Called with the event; data is in event.detail
+     * @returns {Function} Call to unsubscribe
+     */
+    on(type, handler) {
+        if (!EVENT_TYPES.includes(type)) {
+            throw new InvalidParameterError(`Unknown event type "${type}". Expected one of: ${EVENT_TYPES.join(', ')}`);
+        }
+        if (typeof handler !== 'function') {
+            throw new InvalidParameterError('Event handler must be a function');
+        }
+
+        globalEventSystem.addEventListener(type, handler);
+        return () => TextBreakout.off(type, handler);
+    },
+
+    /**
+     * Unsubscribe a handler added with on()
+     * @param {string} type - Event type
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(type, handler) {
+        globalEventSystem.removeEventListener(type, handler);
+    },
+
+    /**
+     * How far the page's current run has got (see SimulationEngine.getProgress()),
+     * with the ETA in real seconds at the current playback speed
+     * @returns {Object|null} Progress, or null when nothing has been started
+     */
+    getProgress() {
+        const engine = typeof simulationEngine !== 'undefined' ? simulationEngine : null;
+        if (!engine) {
+            return null;
+        }
+
+        const progress = engine.getProgress();
+        const speed = typeof playbackSpeed === 'number' ? playbackSpeed : 1;
+        if (progress.eta !== null) {
+            progress.eta /= speed;
+        }
+        return progress;
+    }
+};
+
+// Make the API available globally for browser usage
+if (typeof window !== 'undefined') {
+    window.TextBreakout = TextBreakout;
+}
+
+// Export for use in other modules (Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TextBreakout
+    };
+}
@@ -0,0 +1,102 @@
+/**
+ * Random Module
+ * Seeded pseudo-random number generation so a carve replays identically
+ */
+
+const MAX_SEED = 4294967295; // Seeds are unsigned 32-bit integers
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - Unsigned 32-bit integer seed
+ * @returns {Function} Function returning floats in [0, 1), like Math.random, with
+ *     getState()/setState() so a snapshot can rewind the sequence
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    const next = function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    next.getState = () => state;
+    next.setState = (value) => {
+        state = value >>> 0;
+    };
+    return next;
+}
+
+/**
+ * Pick a fresh seed for runs that were not given one
+ * @returns {number} Unsigned 32-bit integer seed
+ */
+function generateSeed() {
+    return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+/**
+ * Parse a seed from user input (URL parameter, text field or number)
+ * @param {string|number} value - Raw seed value
+ * @returns {number|null} Seed, or null if the value is empty or not a valid seed
+ */
+function parseSeed(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    const text = String(value).trim();
+    if (!/^\d+$/.test(text)) {
+        return null;
+    }
+    const seed = Number(text);
+    return seed <= MAX_SEED ? seed : null;
+}
+
+// Source used by nextRandom(); the simulation swaps in its seeded generator while it runs.
+// (Not named random() so it does not collide with the p5.js global of that name.)
+let randomSource = Math.random;
+
+/**
+ * Random float in [0, 1) from the active source
+ * @returns {number} Random value
+ */
+function nextRandom() {
+    return randomSource();
+}
+
+/**
+ * Run a function with nextRandom() drawing from the given source, then restore the previous one
+ * @param {Function} source - Random source (e.g. from createSeededRandom)
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+function withRandomSource(source, fn) {
+    const previousSource = randomSource;
+    randomSource = source || Math.random;
+    try {
+        return fn();
+    } finally {
+        randomSource = previousSource;
+    }
+}
+
+// Make functions available globally for browser usage
+if (typeof window !== 'undefined') {
+    window.createSeededRandom = createSeededRandom;
+    window.generateSeed = generateSeed;
+    window.parseSeed = parseSeed;
+    window.nextRandom = nextRandom;
+    window.withRandomSource = withRandomSource;
+}
+
+// Export for use in other modules (Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MAX_SEED,
+        createSeededRandom,
+        generateSeed,
+        parseSeed,
+        nextRandom,
+        withRandomSource
+    };
+}
@@ -4,7 +4,7 @@
  */
 
 // Define classes locally if not available globally
-const BounceAngle = window.BounceAngle || class {
+const BounceAngle = (typeof window !== 'undefined' && window.BounceAngle) || class {
     constructor(angle, isOptimal, deviation, intersection) {
         this.angle = angle;
         this.isOptimal = isOptimal;
@@ -13,7 +13,7 @@ const BounceAngle = window.BounceAngle || class {
     }
 };
 
-const RayCast = window.RayCast || class {
+const RayCast = (typeof window !== 'undefined' && window.RayCast) || class {
     constructor(startX, startY, angle, maxDistance, intersections) {
         this.startX = startX;
         this.startY = startY;
@@ -104,9 +104,11 @@ function castRay(startX, startY, angle, grid, maxDistance, gridRenderingParams)
  * @param {Grid} grid - Current grid state
  * @param {number} deviationRange - Maximum deviation in degrees
  * @param {Object} collisionResult - Collision result with square and collision info
+ * @param {Object} gridRenderingParams - Grid rendering parameters
+ * @param {Set<Square>} targetSquares - Carveable squares worth aiming for (default: any; see RevealOrder)
  * @returns {BounceAngle} BounceAngle object with calculated angle
  */
-function findOptimalBounceAngle(ball, grid, deviationRange, collisionResult, gridRenderingParams) {
+function findOptimalBounceAngle(ball, grid, deviationRange, collisionResult, gridRenderingParams, targetSquares = null) {
     try {
         if (!(ball instanceof Ball)) {
             throw new Error('Ball must be a Ball object');
@@ -170,7 +172,8 @@ function findOptimalBounceAngle(ball, grid, deviationRange, collisionResult, gri
                 // Check if this ray hits a carveable square
                 if (rayResult.intersections && rayResult.intersections.length > 0) {
                     for (const intersection of rayResult.intersections) {
-                        if (intersection.square && intersection.square.state === 'BLACK_CARVEABLE') {
+                        if (intersection.square && intersection.square.state === 'BLACK_CARVEABLE' &&
+                            (!targetSquares || targetSquares.has(intersection.square))) {
                             // console.log('ray square', rayResult.intersections[0].square, 'distance:', rayResult.intersections[0].distance);
                             // Found a good angle that hits a carveable square
                             const deviationDegrees = (deviation * 180) / Math.PI;
@@ -183,7 +186,7 @@ function findOptimalBounceAngle(ball, grid, deviationRange, collisionResult, gri
         }
         
         // If no optimal angle found, use random within deviation range
-        const randomDeviation = (Math.random() - 0.5) * 2 * deviationRange;
+        const randomDeviation = (nextRandom() - 0.5) * 2 * deviationRange;
         const randomAngle = perfectReflection + (randomDeviation * Math.PI / 180);
         
         // console.log('no optimal angle found. random angle:', randomAngle, 'perfect angle:', perfectReflection, 'deviation:', randomDeviation);
@@ -0,0 +1,151 @@
+/**
+ * Replay Export Module
+ * "Download replay" saves the current run as a replay file; "Load replay" plays
+ * one back in the page (see replay.js for the format)
+ */
+
+let pendingReplay = null; // Replay armed by loadReplay() for the next startAnimation()
+
+/**
+ * Download the current run (recorded so far) as a replay file
+ */
+function downloadReplay() {
+    try {
+        const runLog = simulationEngine ? simulationEngine.runLog : null;
+        if (!runLog) {
+            showNotification(breakoutGame ? 'Games cannot be saved as replays' : 'Start an animation first');
+            return;
+        }
+
+        const replay = runLog.getReplay();
+        const json = JSON.stringify(replay);
+        downloadBlob(new Blob([json], { type: 'application/json' }), `text-breakout-${replay.seed}.replay.json`);
+        showNotification('Replay saved!');
+
+    } catch (error) {
+        globalErrorHandler.handleError(error, { context: 'downloadReplay' });
+        showNotification('Replay could not be saved');
+    }
+}
+
+/**
+ * Read a replay file chosen by the user and play it
+ * @param {File} file - Replay file
+ */
+function loadReplayFile(file) {
+    if (!file) {
+        return;
+    }
+
+    file.text().then(text => {
+        loadReplay(parseReplay(text));
+    }).catch(error => {
+        const message = globalErrorHandler.handleError(error, { context: 'loadReplayFile', file: file.name });
+        // A damaged event names itself; say which rather than the generic settings message
+        showNotification(error instanceof InvalidParameterError ? `Could not load replay: ${error.message}` : message, 5000);
+    });
+}
+
+/**
+ * Play a replay in the page, showing its text and settings in the controls
+ * @param {Object} replay - Replay from parseReplay()
+ */
+function loadReplay(replay) {
+    try {
+        const textInput = document.getElementById('text-input');
+        if (textInput) {
+            textInput.value = replay.text;
+        }
+
+        const fontSizeSlider = document.getElementById('font-size');
+        if (fontSizeSlider && replay.font && replay.font.size) {
+            fontSizeSlider.value = replay.font.size;
+            const fontSizeValue = document.getElementById('font-size-value');
+            if (fontSizeValue) {
+                fontSizeValue.textContent = fontSizeSlider.value;
+            }
+        }
+
+        if (replay.font) {
+            // The replay carries its own bitmap; this only shows which font it was made in
+            const choice = getFontChoices().find(font => font.family === replay.font.family);
+            setFontControls(normalizeFontSettings({
+                font: choice ? choice.id : null,
+                weight: replay.font.weight,
+                style: replay.font.style
+            }));
+        }
+
+        if (replay.layout) {
+            setTextLayoutControls(normalizeTextLayout(replay.layout));
+        }
+
+        // Show the settings the run started with (playback itself runs on settings of its own)
+        if (!animationParameters) {
+            animationParameters = new AnimationParameters();
+        }
+        animationParameters.ballCount = replay.parameters.ballCount;
+        animationParameters.deviationAngle = replay.parameters.deviationAngle;
+        animationParameters.movementSpeed = replay.parameters.movementSpeed;
+        animationParameters.seed = replay.seed;
+        animationParameters.revealOrder = normalizeRevealOrder(replay.revealOrder);
+
+        // Arm the replay; startAnimation() builds the run from it instead of the text
+        pendingReplay = replay;
+        if (animationState && animationState.isRunning) {
+            stopAnimation();
+        }
+        startAnimation();
+        pendingReplay = null;
+
+        if (typeof updateParameterDisplays === 'function') {
+            updateParameterDisplays();
+        }
+        showNotification('Playing replay');
+
+    } catch (error) {
+        pendingReplay = null;
+        globalErrorHandler.handleError(error, { context: 'loadReplay' });
+        showNotification('Replay could not be played');
+    }
+}
+
+/**
+ * Tell the user a replay stopped matching its recording (e.g. made with a version whose physics differ)
+ * @param {number} frame - Step where playback diverged
+ * @param {string} reason - What did not match
+ */
+function reportReplayDivergence(frame, reason) {
+    console.warn(`Replay diverged from its recording at frame ${frame}: ${reason}`);
+    showNotification(`Replay no longer matches its recording (frame ${frame})`, 5000);
+}
+
+/**
+ * Take the replay armed by loadReplay(), if any (called by startAnimation())
+ * @returns {Object|null} Replay
+ */
+function takePendingReplay() {
+    const replay = pendingReplay;
+    pendingReplay = null;
+    return replay;
+}
+
+// Make functions available globally for browser usage
+if (typeof window !== 'undefined') {
+    window.downloadReplay = downloadReplay;
+    window.loadReplayFile = loadReplayFile;
+    window.loadReplay = loadReplay;
+    window.reportReplayDivergence = reportReplayDivergence;
+    window.takePendingReplay = takePendingReplay;
+}
+
+// Export for use in other modules (Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        downloadReplay,
+        loadReplayFile,
+        loadReplay,
+        reportReplayDivergence,
+        takePendingReplay
+    };
+}
@@ -0,0 +1,588 @@
+/**
+ * Replay Module
+ * Records a run as a versioned JSON replay and plays one back.
+ *
+ * A replay stores the input bitmap and every outcome the random source decided
+ * (each spawn's position and velocity, each bounce's new velocity), so playback
+ * reproduces the run exactly without depending on the seed: a later change to
+ * the random generator or to how many values the bounce code draws does not
+ * change an old replay. Carves are logged too, to detect a playback diverging,
+ * and so are settings changed mid-run (the ball count decides how many balls spawn).
+ */
+
+const REPLAY_FORMAT = 'text-breakout-replay';
+const REPLAY_VERSION = 1;
+const REPLAY_EVENT_TYPES = ['parameters', 'spawn', 'bounce', 'carve'];
+
+// Numeric fields each event type must have (parameters events may also have spawnRate)
+const REPLAY_EVENT_NUMBERS = {
+    parameters: ['ballCount', 'deviationAngle', 'movementSpeed'],
+    spawn: ['x', 'y', 'velocityX', 'velocityY', 'diameter'],
+    bounce: ['angle', 'velocityX', 'velocityY'],
+    carve: ['x', 'y']
+};
+
+// Run log receiving spawns, bounces and carves while an engine steps (see withRunLog)
+let activeRunLog = null;
+
+/**
+ * Run a function with the log hooks below reporting to a run log
+ * @param {ReplayRecorder|ReplayPlayer|null} runLog - Run log (null = none)
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+function withRunLog(runLog, fn) {
+    const previousRunLog = activeRunLog;
+    activeRunLog = runLog || null;
+    try {
+        return fn();
+    } finally {
+        activeRunLog = previousRunLog;
+    }
+}
+
+/**
+ * Report a newly spawned ball (a player may replace its position and velocity)
+ * @param {Ball} ball - Ball that was spawned
+ */
+function logBallSpawned(ball) {
+    if (activeRunLog) {
+        activeRunLog.onSpawn(ball);
+    }
+}
+
+/**
+ * Report a bounce after its new velocity is set (a player may replace the velocity)
+ * @param {Ball} ball - Ball that bounced
+ * @param {string} surface - 'carveable', 'protected', 'locked' (see RevealOrder), 'edge' or 'paddle'
+ */
+function logBallBounced(ball, surface) {
+    if (activeRunLog) {
+        activeRunLog.onBounce(ball, surface);
+    }
+}
+
+/**
+ * Report a carved square
+ * @param {Square} square - Square that was carved
+ * @param {string} source - 'ball' or 'island'
+ */
+function logSquareCarved(square, source) {
+    if (activeRunLog) {
+        activeRunLog.onCarve(square, source);
+    }
+}
+
+/**
+ * Encode a black/white image as rows of '#' (protected) and '.' (carveable)
+ * @param {BlackWhiteImage} image - Binary image ({width, height, pixels}, true = protected)
+ * @param {Object} options - Encoding options
+ * @param {boolean} options.labels - Keep the character labels (characters and charMap), for a reveal order
+ * @returns {Object} {width, height, rows}, plus colors for an image with colour glyphs and
+ *   characters and labels if asked for
+ */
+function encodeReplayImage(image, options = {}) {
+    const rows = [];
+    for (let y = 0; y < image.height; y++) {
+        let row = '';
+        for (let x = 0; x < image.width; x++) {
+            row += image.pixels[y * image.width + x] ? '#' : '.';
+        }
+        rows.push(row);
+    }
+
+    const encoded = { width: image.width, height: image.height, rows: rows };
+    if (image.colors) {
+        // Colour glyphs: [x, y, color] of every pixel with a color of its own
+        encoded.colors = [];
+        image.colors.forEach((color, index) => {
+            if (color) {
+                encoded.colors.push([index % image.width, Math.floor(index / image.width), color]);
+            }
+        });
+    }
+    if (options.labels && image.charMap) {
+        // Character labels: [x, y, char] of every labelled pixel
+        encoded.characters = image.characters.map(character => ({ ...character }));
+        encoded.labels = [];
+        image.charMap.forEach((character, index) => {
+            if (character >= 0) {
+                encoded.labels.push([index % image.width, Math.floor(index / image.width), character]);
+            }
+        });
+    }
+    return encoded;
+}
+
+/**
+ * Decode the image of a replay
+ * @param {Object} encoded - {width, height, rows} from encodeReplayImage()
+ * @returns {BlackWhiteImage} Binary image ({width, height, pixels}, true = protected)
+ */
+function decodeReplayImage(encoded) {
+    const pixels = [];
+    for (const row of encoded.rows) {
+        for (const cell of row) {
+            pixels.push(cell === '#');
+        }
+    }
+    const image = { width: encoded.width, height: encoded.height, pixels: pixels };
+    if (encoded.colors) {
+        image.colors = new Array(pixels.length).fill(null);
+        for (const [x, y, color] of encoded.colors) {
+            image.colors[y * encoded.width + x] = color;
+        }
+    }
+    if (encoded.labels) {
+        image.characters = encoded.characters;
+        image.charMap = new Int16Array(pixels.length).fill(-1);
+        for (const [x, y, character] of encoded.labels) {
+            image.charMap[y * encoded.width + x] = character;
+        }
+    }
+    return image;
+}
+
+/**
+ * Records a run as it is simulated; pass as the engine's runLog option
+ */
+class ReplayRecorder {
+    /**
+     * @param {Object} metadata - Run input kept in the replay
+     * @param {string} metadata.text - Text that was carved
+     * @param {Object} metadata.font - Font settings ({family, size, weight, style})
+     * @param {Object} metadata.layout - Text layout ({align, lineSpacing, letterSpacing, maxChars}), if any
+     * @param {BlackWhiteImage} metadata.image - Black/white image the grid was built from
+     */
+    constructor(metadata = {}) {
+        this.metadata = metadata;
+        this.engine = null;
+        this.events = [];
+        this.initialParameters = null;
+        this.lastFrame = -1;
+        this.recording = true;
+        this.complete = false;
+    }
+
+    /**
+     * Called by the engine it is passed to, before the initial balls spawn
+     * @param {SimulationEngine} engine - Engine being recorded
+     */
+    attach(engine) {
+        this.engine = engine;
+        this.initialParameters = getRunSettings(engine.parameters);
+    }
+
+    /**
+     * Settings in effect at a recorded step
+     * @param {number} frame - Step
+     * @returns {Object} Settings from getRunSettings()
+     */
+    getSettingsAt(frame) {
+        for (let i = this.events.length - 1; i >= 0; i--) {
+            const event = this.events[i];
+            if (event.type === 'parameters' && event.frame <= frame) {
+                return getRunSettings(event);
+            }
+        }
+        return this.initialParameters;
+    }
+
+    /**
+     * Called by the engine at the start of every step
+     * @param {number} frame - Step about to run
+     */
+    beginStep(frame) {
+        const settings = getRunSettings(this.engine.parameters);
+
+        // Steps re-simulated after a timeline seek were recorded the first time round,
+        // unless a setting was changed after rewinding: then the recorded future is dropped
+        if (frame <= this.lastFrame) {
+            if (isSameRunSettings(settings, this.getSettingsAt(frame))) {
+                this.recording = false;
+                return;
+            }
+            this.events = this.events.filter(event => event.frame < frame);
+            this.complete = false;
+        }
+        this.recording = true;
+        this.lastFrame = frame;
+
+        if (!isSameRunSettings(settings, this.getSettingsAt(frame - 1))) {
+            this.events.push({ type: 'parameters', frame: frame, ...settings });
+        }
+    }
+
+    /**
+     * Called by the engine at the end of every step
+     * @param {boolean} isComplete - Whether the carve finished with this step
+     */
+    endStep(isComplete) {
+        if (this.recording && isComplete) {
+            this.complete = true;
+        }
+    }
+
+    get frame() {
+        return this.engine && this.engine.state ? this.engine.state.frameCount : 0;
+    }
+
+    onSpawn(ball) {
+        if (!this.recording) {
+            return;
+        }
+        this.events.push({
+            type: 'spawn',
+            frame: this.frame,
+            ball: ball.id,
+            x: ball.x,
+            y: ball.y,
+            velocityX: ball.velocityX,
+            velocityY: ball.velocityY,
+            diameter: ball.diameter
+        });
+    }
+
+    onBounce(ball, surface) {
+        if (!this.recording) {
+            return;
+        }
+        this.events.push({
+            type: 'bounce',
+            frame: this.frame,
+            ball: ball.id,
+            surface: surface,
+            angle: ball.getAngle(),
+            velocityX: ball.velocityX,
+            velocityY: ball.velocityY
+        });
+    }
+
+    onCarve(square, source) {
+        if (!this.recording) {
+            return;
+        }
+        this.events.push({ type: 'carve', frame: this.frame, x: square.x, y: square.y, source: source });
+    }
+
+    /**
+     * Build the replay of everything recorded so far
+     * @returns {Object} Replay, ready for JSON.stringify
+     */
+    getReplay() {
+        const engine = this.engine;
+        if (!engine || !this.metadata.image) {
+            throw new ReplayError('Nothing has been recorded');
+        }
+
+        // Events are only recorded once per step, so the furthest step is the end of the recording
+        const frameCount = Math.max(0, this.lastFrame);
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            createdAt: new Date().toISOString(),
+            text: this.metadata.text || '',
+            font: { ...(this.metadata.font || {}) },
+            layout: this.metadata.layout ? { ...this.metadata.layout } : null,
+            parameters: { ...this.initialParameters },
+            revealOrder: engine.revealOrder ? engine.revealOrder.mode : 'all',
+            padding: engine.grid.padding,
+            seed: engine.seed,
+            frameCount: frameCount,
+            complete: this.complete,
+            image: encodeReplayImage(this.metadata.image, { labels: !!engine.revealOrder }),
+            events: this.events.slice()
+        };
+    }
+}
+
+/**
+ * Plays a replay back: spawns and bounces take their recorded outcome instead of
+ * the random one; pass as the engine's runLog option
+ */
+class ReplayPlayer {
+    /**
+     * @param {Object} replay - Replay from parseReplay()
+     * @param {Object} options - Player options
+     * @param {Function} options.onDiverge - Called with (frame, reason) the first time playback
+     *     stops matching the recording (e.g. the physics changed since it was made)
+     */
+    constructor(replay, options = {}) {
+        this.replay = replay;
+        this.onDiverge = options.onDiverge || null;
+        this.engine = null;
+        this.divergedAt = null;
+
+        // Index the log by step so a timeline seek can re-enter it anywhere
+        this.eventsByFrame = new Map();
+        for (const event of replay.events) {
+            if (!this.eventsByFrame.has(event.frame)) {
+                this.eventsByFrame.set(event.frame, { parameters: [], spawn: [], bounce: [], carve: [] });
+            }
+            this.eventsByFrame.get(event.frame)[event.type].push(event);
+        }
+        this.beginStep(0);
+    }
+
+    /**
+     * Called by the engine it is passed to, before the initial balls spawn
+     * @param {SimulationEngine} engine - Engine playing the replay
+     */
+    attach(engine) {
+        this.engine = engine;
+    }
+
+    /**
+     * Called by the engine at the start of every step
+     * @param {number} frame - Step about to run
+     */
+    beginStep(frame) {
+        this.frame = frame;
+        this.stepEvents = this.eventsByFrame.get(frame) || { parameters: [], spawn: [], bounce: [], carve: [] };
+        this.cursors = { spawn: 0, bounce: 0, carve: 0 };
+
+        // Settings changed at this point of the recorded run
+        if (this.engine) {
+            for (const event of this.stepEvents.parameters) {
+                Object.assign(this.engine.parameters, getRunSettings(event));
+            }
+        }
+    }
+
+    /**
+     * Called by the engine at the end of every step
+     */
+    endStep() {
+        // Nothing to check: a step's events are matched as they happen
+    }
+
+    /**
+     * Whether the current step is covered by the recording (a partial recording plays on live)
+     * @returns {boolean} True while within the recorded steps
+     */
+    isRecordedStep() {
+        return this.frame <= this.replay.frameCount;
+    }
+
+    /**
+     * Next recorded event of a type in the current step
+     * @param {string} type - 'spawn', 'bounce' or 'carve'
+     * @returns {Object|null} Event, or null if the step has no more of that type
+     */
+    nextEvent(type) {
+        const event = this.stepEvents[type][this.cursors[type]] || null;
+        this.cursors[type]++;
+        return event;
+    }
+
+    /**
+     * Note the first point where playback stopped matching the recording
+     * @param {string} reason - What did not match
+     */
+    diverge(reason) {
+        if (this.divergedAt !== null) {
+            return;
+        }
+        this.divergedAt = this.frame;
+        if (typeof this.onDiverge === 'function') {
+            this.onDiverge(this.frame, reason);
+        }
+    }
+
+    onSpawn(ball) {
+        if (!this.isRecordedStep()) {
+            return;
+        }
+        const event = this.nextEvent('spawn');
+        if (!event) {
+            this.diverge('unrecorded spawn');
+            return;
+        }
+        ball.id = event.ball;
+        ball.x = ball.previousX = event.x;
+        ball.y = ball.previousY = event.y;
+        ball.velocityX = event.velocityX;
+        ball.velocityY = event.velocityY;
+        ball.diameter = event.diameter;
+    }
+
+    onBounce(ball, surface) {
+        if (!this.isRecordedStep()) {
+            return;
+        }
+        const event = this.nextEvent('bounce');
+        if (!event || event.ball !== ball.id) {
+            this.diverge(`unrecorded bounce of ${ball.id}`);
+            return;
+        }
+        ball.velocityX = event.velocityX;
+        ball.velocityY = event.velocityY;
+    }
+
+    onCarve(square, source) {
+        if (!this.isRecordedStep()) {
+            return;
+        }
+        const event = this.nextEvent('carve');
+        if (!event || event.x !== square.x || event.y !== square.y) {
+            this.diverge(`unrecorded carve at ${square.x},${square.y}`);
+        }
+    }
+
+    /**
+     * The replay being played (so it can be saved again)
+     * @returns {Object} Replay
+     */
+    getReplay() {
+        return this.replay;
+    }
+}
+
+/**
+ * Parse and validate a replay file
+ * @param {string|Object} source - Replay JSON text, or an already parsed object
+ * @returns {Object} Replay
+ * @throws {ReplayError} If it is not a replay this page can read
+ * @throws {InvalidParameterError} If an event is damaged (see validateReplayEvent)
+ */
+function parseReplay(source) {
+    let replay = source;
+    if (typeof source === 'string') {
+        try {
+            replay = JSON.parse(source);
+        } catch (error) {
+            throw new ReplayError('The file is not valid JSON');
+        }
+    }
+
+    if (!replay || typeof replay !== 'object' || replay.format !== REPLAY_FORMAT) {
+        throw new ReplayError('The file is not a Text Breakout replay');
+    }
+    if (!Number.isInteger(replay.version) || replay.version < 1) {
+        throw new ReplayError('The replay has no valid version');
+    }
+    if (replay.version > REPLAY_VERSION) {
+        throw new ReplayError(`The replay is version ${replay.version}; this page reads up to version ${REPLAY_VERSION}`);
+    }
+
+    const image = replay.image;
+    if (!image || !Number.isInteger(image.width) || !Number.isInteger(image.height) || !Array.isArray(image.rows) ||
+        image.rows.length !== image.height || image.rows.some(row => typeof row !== 'string' || row.length !== image.width)) {
+        throw new ReplayError('The replay image is missing or malformed');
+    }
+    if (image.colors !== undefined && (!Array.isArray(image.colors) || image.colors.some(entry => !Array.isArray(entry) ||
+        !Number.isInteger(entry[0]) || entry[0] < 0 || entry[0] >= image.width ||
+        !Number.isInteger(entry[1]) || entry[1] < 0 || entry[1] >= image.height || typeof entry[2] !== 'string'))) {
+        throw new ReplayError('The replay image colors are malformed');
+    }
+    if (image.labels !== undefined && (!Array.isArray(image.labels) || !Array.isArray(image.characters) ||
+        image.characters.some(entry => !entry || typeof entry.text !== 'string' ||
+            !Number.isInteger(entry.char) || !Number.isInteger(entry.word) || !Number.isInteger(entry.line)) ||
+        image.labels.some(entry => !Array.isArray(entry) ||
+            !Number.isInteger(entry[0]) || entry[0] < 0 || entry[0] >= image.width ||
+            !Number.isInteger(entry[1]) || entry[1] < 0 || entry[1] >= image.height ||
+            !Number.isInteger(entry[2]) || entry[2] < 0 || entry[2] >= image.characters.length))) {
+        throw new ReplayError('The replay image labels are malformed');
+    }
+
+    const parameters = replay.parameters || {};
+    for (const name of ['ballCount', 'deviationAngle', 'movementSpeed']) {
+        if (typeof parameters[name] !== 'number' || !isFinite(parameters[name])) {
+            throw new ReplayError(`The replay parameter ${name} is missing`);
+        }
+    }
+
+    if (!Array.isArray(replay.events) ||
+        replay.events.some(event => !event || !REPLAY_EVENT_TYPES.includes(event.type) || !Number.isInteger(event.frame))) {
+        throw new ReplayError('The replay event log is malformed');
+    }
+    replay.events.forEach(validateReplayEvent);
+    if (!Number.isInteger(replay.frameCount) || replay.frameCount < 0) {
+        throw new ReplayError('The replay has no valid frame count');
+    }
+
+    return replay;
+}
+
+/**
+ * Check the fields playback reads from a replay event, so a damaged file fails to load
+ * instead of partway through playback
+ * @param {Object} event - Event with a known type and an integer frame
+ * @param {number} index - Position in the event log
+ * @throws {InvalidParameterError} If a numeric field is missing or not a finite number, or a ball id is missing
+ */
+function validateReplayEvent(event, index) {
+    const name = `event ${index} (${event.type} at step ${event.frame})`;
+    if (event.frame < 0) {
+        throw new InvalidParameterError(`Replay ${name} has a negative step`);
+    }
+    const numbers = event.type === 'parameters' && event.spawnRate !== undefined ?
+        [...REPLAY_EVENT_NUMBERS.parameters, 'spawnRate'] :
+        REPLAY_EVENT_NUMBERS[event.type];
+    for (const field of numbers) {
+        if (typeof event[field] !== 'number' || !isFinite(event[field])) {
+            throw new InvalidParameterError(`Replay ${name} has no valid ${field}`);
+        }
+    }
+    if ((event.type === 'spawn' || event.type === 'bounce') && (typeof event.ball !== 'string' || event.ball === '')) {
+        throw new InvalidParameterError(`Replay ${name} has no ball id`);
+    }
+}
+
+/**
+ * Build an engine that plays a replay back
+ * @param {Object} replay - Replay from parseReplay()
+ * @param {Object} options - Extra SimulationEngine options (e.g. parameters, eventSystem)
+ * @param {Function} options.onDiverge - See ReplayPlayer
+ * @returns {SimulationEngine} Engine whose runLog is the ReplayPlayer
+ */
+function createReplayEngine(replay, options = {}) {
+    const { onDiverge, ...engineOptions } = options;
+    const parameters = engineOptions.parameters || new AnimationParameters();
+    parameters.ballCount = replay.parameters.ballCount;
+    parameters.deviationAngle = replay.parameters.deviationAngle;
+    parameters.movementSpeed = replay.parameters.movementSpeed;
+    parameters.spawnRate = replay.parameters.spawnRate || 0;
+    parameters.revealOrder = normalizeRevealOrder(replay.revealOrder);
+    parameters.seed = replay.seed;
+
+    // A run steered to a target duration recorded every setting its controller chose
+    return new SimulationEngine(decodeReplayImage(replay.image), {
+        ...engineOptions,
+        parameters: parameters,
+        targetDuration: null,
+        revealOrder: parameters.revealOrder,
+        padding: replay.padding,
+        seed: replay.seed,
+        runLog: new ReplayPlayer(replay, { onDiverge: onDiverge })
+    });
+}
+
+// Make classes and functions available globally for browser usage
+if (typeof window !== 'undefined') {
+    window.ReplayRecorder = ReplayRecorder;
+    window.ReplayPlayer = ReplayPlayer;
+    window.parseReplay = parseReplay;
+    window.createReplayEngine = createReplayEngine;
+    window.encodeReplayImage = encodeReplayImage;
+    window.decodeReplayImage = decodeReplayImage;
+}
+
+// Export for use in other modules (Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        REPLAY_FORMAT,
+        REPLAY_VERSION,
+        REPLAY_EVENT_TYPES,
+        withRunLog,
+        logBallSpawned,
+        logBallBounced,
+        logSquareCarved,
+        encodeReplayImage,
+        decodeReplayImage,
+        ReplayRecorder,
+        ReplayPlayer,
+        parseReplay,
+        createReplayEngine
+    };
+}
@@ -0,0 +1,233 @@
+/**
+ * Reveal Order Module
+ * Letter-by-letter (or word-by-word) carving. Every carveable square belongs to
+ * the character or word nearest it (see Square.label); balls carve and aim for
+ * the squares of the current one only and bounce off the rest, and the next
+ * one unlocks once they are all carved, so the message writes itself in
+ * reading order.
+ */
+
+const REVEAL_ORDERS = ['all', 'letter', 'word'];
+
+// Other spellings accepted for reveal orders (e.g. from URLs)
+const REVEAL_ORDER_ALIASES = { none: 'all', char: 'letter', character: 'letter', letters: 'letter', words: 'word' };
+
+/**
+ * Normalize a reveal order setting
+ * @param {string} value - 'all', 'letter' or 'word' (or an alias)
+ * @returns {string} Reveal order; 'all' for anything unknown
+ */
+function normalizeRevealOrder(value) {
+    let order = String(value || '').trim().toLowerCase();
+    order = REVEAL_ORDER_ALIASES[order] || order;
+    return REVEAL_ORDERS.includes(order) ? order : 'all';
+}
+
+/**
+ * The order in which the carveable squares of a grid unlock. Grids without
+ * labelled squares (logos, replays without labels) have no steps, so nothing is locked.
+ */
+class RevealOrder {
+    /**
+     * @param {Grid} grid - Grid with labelled protected squares
+     * @param {string} mode - 'letter' or 'word'
+     * @param {Array} islands - Islands of the grid (their squares are swept, not carved, so never locked)
+     */
+    constructor(grid, mode, islands = []) {
+        this.mode = mode;
+        this.steps = buildRevealSteps(grid, mode, islands);
+        this.stepOf = new Map();
+        this.steps.forEach(step => step.squares.forEach(square => this.stepOf.set(square, step.index)));
+        this.current = 0;
+        this.targets = new Set();
+        this.refresh();
+    }
+
+    /**
+     * Whether balls may carve a square
+     * @param {Square} square - Carveable square
+     * @returns {boolean} True for squares of the current step or an earlier one, and squares of no step
+     */
+    isUnlocked(square) {
+        const step = this.stepOf.get(square);
+        return step === undefined || step <= this.current;
+    }
+
+    /**
+     * Whether every step is done
+     * @returns {boolean} True once the last step is carved
+     */
+    isFinished() {
+        return this.current >= this.steps.length;
+    }
+
+    /**
+     * Move past the steps that are fully carved, dispatching revealStepCompleted for each.
+     * Called by the engine after every step.
+     */
+    update() {
+        while (!this.isFinished() && this.isStepCarved(this.steps[this.current])) {
+            const step = this.steps[this.current];
+            this.current++;
+            this.updateTargets();
+            dispatchRevealStepCompleted(step, this.isFinished() ? null : this.steps[this.current]);
+        }
+    }
+
+    /**
+     * Find the current step from the grid alone (after a snapshot is restored); no events
+     */
+    refresh() {
+        this.current = this.steps.findIndex(step => !this.isStepCarved(step));
+        if (this.current < 0) {
+            this.current = this.steps.length;
+        }
+        this.updateTargets();
+    }
+
+    /**
+     * @param {Object} step - Step
+     * @returns {boolean} True if none of its squares is left to carve
+     */
+    isStepCarved(step) {
+        return step.squares.every(square => square.state !== SquareState.BLACK_CARVEABLE);
+    }
+
+    /**
+     * Aim balls at the squares of the current step (none once finished)
+     */
+    updateTargets() {
+        this.targets = new Set(this.isFinished() ? [] : this.steps[this.current].squares);
+    }
+}
+
+/**
+ * Split the carveable squares of a grid into reveal steps. Each square goes to the
+ * character (or word) of the nearest labelled protected square, and the steps follow
+ * the text. A square balls could only reach through a later step's squares moves to
+ * that later step, so every step can be carved once the ones before it are.
+ * @param {Grid} grid - Grid with labelled protected squares
+ * @param {string} mode - 'letter' or 'word'
+ * @param {Array} islands - Islands of the grid; their squares belong to no step
+ * @returns {Object[]} Steps in order: { index, characters, text, squares } with characters
+ *   the char indices of the letter or word (see Square.label)
+ */
+function buildRevealSteps(grid, mode, islands = []) {
+    const keyOf = label => mode === 'word' ? label.word : label.char;
+    const neighbors = square => [[0, -1], [0, 1], [-1, 0], [1, 0]]
+        .map(([dx, dy]) => grid.getSquare(square.x + dx, square.y + dy))
+        .filter(Boolean);
+
+    // Nearest letter or word of every square: a breadth-first search from all labelled squares at once
+    const owner = new Map();
+    const labels = new Map();
+    let queue = [];
+    for (const row of grid.squares) {
+        for (const square of row) {
+            if (square.label && keyOf(square.label) >= 0) {
+                owner.set(square, keyOf(square.label));
+                labels.set(square.label.char, square.label);
+                queue.push(square);
+            }
+        }
+    }
+    for (let i = 0; i < queue.length; i++) {
+        for (const neighbor of neighbors(queue[i])) {
+            if (!owner.has(neighbor)) {
+                owner.set(neighbor, owner.get(queue[i]));
+                queue.push(neighbor);
+            }
+        }
+    }
+
+    const islandSquares = new Set();
+    for (const island of islands) {
+        for (const {x, y} of island.squares) {
+            islandSquares.add(grid.getSquare(x, y));
+        }
+    }
+    const isGated = square => square.state === SquareState.BLACK_CARVEABLE && !islandSquares.has(square) && owner.has(square);
+    const keys = Array.from(new Set(grid.squares.flat().filter(isGated).map(square => owner.get(square)))).sort((a, b) => a - b);
+    const rank = new Map(keys.map((key, index) => [key, index]));
+
+    // Flood in from the open squares, letting in one more letter or word per step
+    const stepSquares = keys.map(() => []);
+    const reached = new Set();
+    queue = [];
+    for (const row of grid.squares) {
+        for (const square of row) {
+            if (square.state === SquareState.WHITE_EDGE || square.state === SquareState.WHITE_CARVED) {
+                reached.add(square);
+                queue.push(square);
+            }
+        }
+    }
+    let waiting = [];
+    let head = 0;
+    for (let step = 0; step < keys.length; step++) {
+        const enter = square => {
+            reached.add(square);
+            stepSquares[step].push(square);
+            queue.push(square);
+        };
+        const stillWaiting = [];
+        for (const square of waiting) {
+            if (reached.has(square)) {
+                continue;
+            }
+            if (rank.get(owner.get(square)) <= step) {
+                enter(square);
+            } else {
+                stillWaiting.push(square);
+            }
+        }
+        waiting = stillWaiting;
+
+        while (head < queue.length) {
+            const square = queue[head++];
+            for (const neighbor of neighbors(square)) {
+                if (reached.has(neighbor) || !isGated(neighbor)) {
+                    continue;
+                }
+                if (rank.get(owner.get(neighbor)) <= step) {
+                    enter(neighbor);
+                } else {
+                    waiting.push(neighbor);
+                }
+            }
+        }
+    }
+
+    return stepSquares
+        .map((squares, step) => {
+            const characters = Array.from(labels.values())
+                .filter(label => keyOf(label) === keys[step])
+                .map(label => label.char)
+                .sort((a, b) => a - b);
+            return {
+                characters: characters,
+                text: characters.map(char => labels.get(char).text).join(''),
+                squares: squares
+            };
+        })
+        .filter(step => step.squares.length > 0)
+        .map((step, index) => ({ index: index, ...step }));
+}
+
+// Make functions available globally for browser usage
+if (typeof window !== 'undefined') {
+    window.REVEAL_ORDERS = REVEAL_ORDERS;
+    window.normalizeRevealOrder = normalizeRevealOrder;
+    window.RevealOrder = RevealOrder;
+    window.buildRevealSteps = buildRevealSteps;
+}
+
+// Export for use in other modules (Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        REVEAL_ORDERS,
+        normalizeRevealOrder,
+        RevealOrder,
+        buildRevealSteps
+    };
+}
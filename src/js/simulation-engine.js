@@ -0,0 +1,899 @@
+/**
+ * Simulation Engine Module
+ * Headless carving simulation (grid + balls + islands + parameters) with no
+ * dependency on p5.js, window or the DOM, so it can run in the browser loop
+ * or under plain Node (see headless.js)
+ */
+
+// The simulation advances in fixed steps of simulated time, independent of the
+// display frame rate; velocities are in grid squares per second
+const SIMULATION_STEP_RATE = 60;                    // Simulation steps per second
+const FIXED_TIMESTEP = 1 / SIMULATION_STEP_RATE;    // Seconds per step
+const MAX_FRAME_TIME = 0.25;                        // Longest real time caught up in one update (s)
+const PLAYBACK_SPEED_LIMITS = { min: 0.25, max: 8 }; // Playback rate range (separate from movementSpeed)
+const CARVE_RATE_WINDOW = { interval: 30, samples: 6 }; // ETA carve rate: sampled every half second over three seconds
+
+// Define classes locally if not available globally
+const AnimationParameters = (typeof window !== 'undefined' && window.AnimationParameters) || class {
+    constructor() {
+        this.ballCount = 30;
+        this.deviationAngle = 15;
+        this.movementSpeed = 1.0; // Multiplier of BASE_BALL_SPEED (squares per second)
+        this.spawnRate = 0; // Most balls spawned per second (0 = missing balls are replaced at once)
+        this.targetDuration = null; // Seconds the carve should take (null = as long as the settings make it)
+        this.revealOrder = 'all'; // 'all', or carve 'letter' by letter or 'word' by word (see RevealOrder)
+        this.seed = null; // null = pick a new seed for every run
+    }
+};
+
+const AnimationState = (typeof window !== 'undefined' && window.AnimationState) || class {
+    constructor(isRunning, isComplete, frameCount, carveableSquaresRemaining, ballsActive, totalBallsSpawned) {
+        this.isRunning = isRunning;
+        this.isComplete = isComplete;
+        this.frameCount = frameCount;
+        this.carveableSquaresRemaining = carveableSquaresRemaining;
+        this.ballsActive = ballsActive;
+        this.totalBallsSpawned = totalBallsSpawned;
+        this.balls = [];
+    }
+
+    addBall(ball) {
+        this.balls.push(ball);
+        this.ballsActive++;
+        this.totalBallsSpawned++;
+    }
+
+    removeBall(ballId) {
+        const index = this.balls.findIndex(ball => ball.id === ballId);
+        if (index !== -1) {
+            this.balls.splice(index, 1);
+            this.ballsActive--;
+        }
+    }
+
+    getActiveBalls() {
+        return this.balls.filter(ball => ball.isActive);
+    }
+
+    updateFrameCount() {
+        this.frameCount++;
+    }
+};
+
+const Grid = (typeof window !== 'undefined' && window.Grid) || class {
+    constructor(width, height, squares, padding, originalWidth, originalHeight) {
+        this.width = width;
+        this.height = height;
+        this.squares = squares;
+        this.padding = padding;
+        this.originalWidth = originalWidth;
+        this.originalHeight = originalHeight;
+    }
+
+    getSquare(x, y) {
+        if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
+            return this.squares[y][x];
+        }
+        return null;
+    }
+};
+
+const Square = (typeof window !== 'undefined' && window.Square) || class {
+    constructor(x, y, state, type, color = null, span = null, label = null) {
+        this.x = x;
+        this.y = y;
+        this.state = state;
+        this.type = type;
+        this.color = color; // Custom color: 'red' once exposed, or the source color of a colour glyph
+        this.revealed = false; // Protected square exposed by carving
+        this.span = span; // Markup span the square's text belongs to (see parseTextMarkup), or null
+        this.label = label; // { char, word, line, text } of the character the square was drawn from, or null
+    }
+
+    isCarveable() {
+        return this.state === 'BLACK_CARVEABLE';
+    }
+
+    isProtected() {
+        return this.state === 'BLACK_PROTECTED';
+    }
+
+    isWhite() {
+        return this.state === 'WHITE_CARVED' || this.state === 'WHITE_EDGE';
+    }
+};
+
+const Ball = (typeof window !== 'undefined' && window.Ball) || class {
+    constructor(id, x, y, velocityX, velocityY, diameter) {
+        this.id = id;
+        this.x = x;
+        this.y = y;
+        this.velocityX = velocityX;
+        this.velocityY = velocityY;
+        this.diameter = diameter;
+        this.isActive = true;
+        this.previousX = x; // Position at the start of the last step (for interpolated rendering)
+        this.previousY = y;
+    }
+
+    getSpeed() {
+        return Math.sqrt(this.velocityX * this.velocityX + this.velocityY * this.velocityY);
+    }
+
+    getAngle() {
+        return Math.atan2(this.velocityY, this.velocityX);
+    }
+
+    setVelocityFromAngle(angle, speed) {
+        this.velocityX = Math.cos(angle) * speed;
+        this.velocityY = Math.sin(angle) * speed;
+    }
+
+    updatePosition(deltaTime = FIXED_TIMESTEP) {
+        this.x += this.velocityX * deltaTime;
+        this.y += this.velocityY * deltaTime;
+    }
+};
+
+/**
+ * Fixed-timestep accumulator: turns real elapsed time into a whole number of
+ * simulation steps, carrying the remainder so the carve runs at the same pace
+ * at any frame rate
+ */
+class FixedTimestepClock {
+    /**
+     * @param {Object} options - Clock options
+     * @param {number} options.timestep - Seconds per step (default: FIXED_TIMESTEP)
+     * @param {number} options.maxFrameTime - Longest elapsed time accepted per advance(), so a
+     *     backgrounded tab or a breakpoint does not trigger a burst of catch-up steps (default: MAX_FRAME_TIME)
+     * @param {number} options.timeScale - Playback rate: simulated seconds per real second (default: 1)
+     */
+    constructor(options = {}) {
+        this.timestep = options.timestep || FIXED_TIMESTEP;
+        this.maxFrameTime = options.maxFrameTime || MAX_FRAME_TIME;
+        this.timeScale = 1;
+        this.accumulator = 0;
+        if (options.timeScale !== undefined) {
+            this.setTimeScale(options.timeScale);
+        }
+    }
+
+    /**
+     * Set the playback rate (clamped to PLAYBACK_SPEED_LIMITS); the physics are unchanged,
+     * only how much simulated time passes per real second
+     * @param {number} timeScale - Playback rate multiplier
+     * @returns {number} The rate in effect
+     */
+    setTimeScale(timeScale) {
+        if (typeof timeScale === 'number' && isFinite(timeScale)) {
+            this.timeScale = Math.max(PLAYBACK_SPEED_LIMITS.min, Math.min(PLAYBACK_SPEED_LIMITS.max, timeScale));
+        }
+        return this.timeScale;
+    }
+
+    /**
+     * Add real elapsed time
+     * @param {number} elapsedSeconds - Time since the last advance()
+     * @returns {number} Number of simulation steps to run now
+     */
+    advance(elapsedSeconds) {
+        if (typeof elapsedSeconds !== 'number' || !isFinite(elapsedSeconds) || elapsedSeconds < 0) {
+            return 0;
+        }
+        this.accumulator += Math.min(elapsedSeconds, this.maxFrameTime) * this.timeScale;
+
+        const steps = Math.floor(this.accumulator / this.timestep);
+        this.accumulator -= steps * this.timestep;
+        return steps;
+    }
+
+    /**
+     * Fraction of a step accumulated but not yet simulated, for interpolating the render
+     * @returns {number} Value in [0, 1)
+     */
+    getAlpha() {
+        return Math.min(1, this.accumulator / this.timestep);
+    }
+
+    /**
+     * Drop any accumulated time
+     */
+    reset() {
+        this.accumulator = 0;
+    }
+}
+
+/**
+ * The settings of a parameters object that change how a run plays out; they are
+ * live in the page, so snapshots, the timeline and replays keep them per step
+ * (the seed is kept separately)
+ * @param {AnimationParameters} parameters - Animation parameters
+ * @returns {Object} {ballCount, deviationAngle, movementSpeed, spawnRate}
+ */
+function getRunSettings(parameters) {
+    return {
+        ballCount: parameters.ballCount,
+        deviationAngle: parameters.deviationAngle,
+        movementSpeed: parameters.movementSpeed,
+        spawnRate: parameters.spawnRate || 0
+    };
+}
+
+/**
+ * Check whether two sets of run settings are the same
+ * @param {Object} a - Settings from getRunSettings()
+ * @param {Object} b - Settings from getRunSettings()
+ * @returns {boolean} True if every setting matches
+ */
+function isSameRunSettings(a, b) {
+    return a.ballCount === b.ballCount && a.deviationAngle === b.deviationAngle &&
+        a.movementSpeed === b.movementSpeed && (a.spawnRate || 0) === (b.spawnRate || 0);
+}
+
+/**
+ * Balls a spawn rate allows on one step. Derived from the step number alone, so
+ * it needs no state of its own (and so nothing extra in snapshots)
+ * @param {number} frame - Step number
+ * @param {number} spawnRate - Balls per second (0 = no limit)
+ * @returns {number} Balls that may spawn on this step
+ */
+function getSpawnAllowance(frame, spawnRate) {
+    if (!(spawnRate > 0)) {
+        return Infinity;
+    }
+    const perStep = spawnRate / SIMULATION_STEP_RATE;
+    return Math.floor(frame * perStep) - Math.floor((frame - 1) * perStep);
+}
+
+const TARGET_DURATION_LIMITS = { min: 1, max: 3600 }; // Seconds
+
+/**
+ * Read a target duration from user input
+ * @param {*} value - Seconds, as a number or string; blank turns the target off
+ * @returns {number|null} Seconds within TARGET_DURATION_LIMITS, or null for none
+ */
+function parseTargetDuration(value) {
+    if (value === null || value === undefined || String(value).trim() === '') {
+        return null;
+    }
+    const seconds = Number(value);
+    if (!isFinite(seconds) || seconds <= 0) {
+        return null;
+    }
+    return Math.max(TARGET_DURATION_LIMITS.min, Math.min(TARGET_DURATION_LIMITS.max, seconds));
+}
+
+const DURATION_CONTROL = {
+    squaresPerBallSecond: 0.7,  // First guess at squares carved per second by one ball at movementSpeed 1
+    replanInterval: 15,         // Steps between adjustments
+    rateWindow: 8,              // Adjustments the carve rate is measured over (two seconds)
+    maxEffortChange: 1.5,       // Largest factor the total ball speed changes by per adjustment
+    lead: 0.8,                  // Plan to carve in this share of the time left (the last squares are slow to find)
+    maxSweepShare: 0.25,        // Most of the duration set aside for island sweeps after the carve
+    maxBalls: 50,
+    minSpeed: 0.1,
+    maxSpeed: 5,
+    preferredSpeed: { min: 0.25, max: 3 } // Speed range kept before the ball count is changed
+};
+
+/**
+ * Steers a run towards a target duration (parameters.targetDuration). The pace
+ * needed is first estimated from the carveable squares in the grid, then
+ * re-planned every few steps from the carve rate actually measured, by changing
+ * ballCount, movementSpeed and spawnRate on the engine's parameters.
+ * Decisions depend only on the simulation, so reruns (timeline seeks) repeat them,
+ * and the settings it picks are recorded like any other setting change.
+ */
+class DurationController {
+    /**
+     * @param {SimulationEngine} engine - Engine to steer (its grid and islands must be set up)
+     * @param {number} duration - Seconds of simulated time the carve should take, island sweeps included
+     */
+    constructor(engine, duration) {
+        this.engine = engine;
+        this.duration = duration;
+        this.baseBallCount = Math.max(1, Math.min(DURATION_CONTROL.maxBalls, engine.parameters.ballCount));
+        this.ballSeconds = 0; // Active balls x movementSpeed, summed over simulated time
+        this.samples = [];    // [ballSeconds, squares remaining] at recent adjustments
+        this.effort = null;   // Sum of movementSpeed over the balls in play, as last planned
+        this.reachable = true; // Whether the settings' limits allow finishing on time, as last planned
+
+        this.plan();
+    }
+
+    /**
+     * Account for the step being taken and re-plan when due; call at the start of every step
+     */
+    update() {
+        const engine = this.engine;
+        // The speed the balls last moved at: parameters may already hold this step's settings
+        // (a timeline seek re-applies recorded settings before the step is re-simulated)
+        this.ballSeconds += engine.state.ballsActive * engine.appliedMovementSpeed * FIXED_TIMESTEP;
+        if (engine.state.frameCount % DURATION_CONTROL.replanInterval === 0) {
+            this.plan();
+        }
+    }
+
+    /**
+     * Choose settings that carve the remaining squares by the time the island sweeps need to start
+     */
+    plan() {
+        const state = this.engine.state;
+        const remaining = state.carveableSquaresRemaining;
+        if (remaining === 0) {
+            return;
+        }
+
+        const elapsed = state.frameCount / SIMULATION_STEP_RATE;
+        const sweepTime = Math.min(this.getSweepTime(), this.duration * DURATION_CONTROL.maxSweepShare);
+        const carveTimeLeft = this.duration - sweepTime - elapsed;
+
+        // Squares per second for one ball at movementSpeed 1, measured over the last
+        // few adjustments (the rate falls as the squares left get scattered)
+        this.samples.push([this.ballSeconds, remaining]);
+        if (this.samples.length > DURATION_CONTROL.rateWindow + 1) {
+            this.samples.shift();
+        }
+        const [firstBallSeconds, firstRemaining] = this.samples[0];
+        const rate = this.samples.length > DURATION_CONTROL.rateWindow && firstRemaining > remaining
+            ? (firstRemaining - remaining) / (this.ballSeconds - firstBallSeconds)
+            : DURATION_CONTROL.squaresPerBallSecond;
+
+        // Out of reach when even the fastest settings (50 balls at speed 5) are too slow for the
+        // squares left, or the slowest (the balls in play at speed 0.1) too fast
+        const neededEffort = carveTimeLeft > FIXED_TIMESTEP ? remaining / (carveTimeLeft * rate) : Infinity;
+        this.reachable = neededEffort <= DURATION_CONTROL.maxBalls * DURATION_CONTROL.maxSpeed &&
+            neededEffort >= Math.max(1, state.ballsActive) * DURATION_CONTROL.minSpeed;
+
+        const plannedTime = carveTimeLeft * DURATION_CONTROL.lead;
+        let effort = plannedTime > FIXED_TIMESTEP ? remaining / (plannedTime * rate) : Infinity;
+        if (this.effort !== null) {
+            const change = DURATION_CONTROL.maxEffortChange;
+            effort = Math.max(this.effort / change, Math.min(this.effort * change, effort));
+        }
+        this.applyEffort(effort);
+    }
+
+    /**
+     * Turn a ball-speed total into settings: speed first (around the ball count
+     * the run started with), then more or fewer balls when speed alone is not enough
+     * @param {number} effort - Wanted sum of movementSpeed over the balls in play
+     */
+    applyEffort(effort) {
+        const limits = DURATION_CONTROL;
+        this.effort = Math.max(limits.minSpeed, Math.min(limits.maxBalls * limits.maxSpeed, effort));
+        effort = this.effort;
+        const parameters = this.engine.parameters;
+        const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+        const preferredSpeed = clamp(effort / this.baseBallCount, limits.preferredSpeed.min, limits.preferredSpeed.max);
+        const ballCount = clamp(Math.round(effort / preferredSpeed), 1, limits.maxBalls);
+
+        // Surplus balls are not removed, so share the effort among all of them
+        const balls = Math.max(ballCount, this.engine.state.ballsActive);
+        const speed = clamp(effort / balls, limits.minSpeed, limits.maxSpeed);
+
+        parameters.ballCount = ballCount;
+        parameters.movementSpeed = Math.round(speed * 100) / 100;
+        parameters.spawnRate = ballCount; // New balls join over about a second rather than all at once
+    }
+
+    /**
+     * Seconds the island sweeps could take after the last square is carved: the
+     * longest sweep of an island not yet enclosed (sweeps already under way run
+     * alongside the rest of the carve)
+     * @returns {number} Seconds
+     */
+    getSweepTime() {
+        let longest = 0;
+        for (const island of this.engine.islands) {
+            if (!island.animating) {
+                longest = Math.max(longest, getIslandSweepSteps(this.engine.grid, island));
+            }
+        }
+        return longest / SIMULATION_STEP_RATE;
+    }
+
+    /**
+     * Controller state for snapshots
+     * @returns {Object} Plain data
+     */
+    getState() {
+        return {
+            ballSeconds: this.ballSeconds,
+            samples: this.samples.map(sample => sample.slice()),
+            effort: this.effort,
+            reachable: this.reachable
+        };
+    }
+
+    /**
+     * Resume from getState() data
+     * @param {Object} data - Controller state
+     */
+    setState(data) {
+        this.ballSeconds = data.ballSeconds;
+        this.samples = data.samples.map(sample => sample.slice());
+        this.effort = data.effort;
+        this.reachable = data.reachable;
+    }
+}
+
+/**
+ * Simulation engine - owns one carve: its grid, balls, islands and parameters.
+ * All coordinates are in grid units; rendering is left to the caller.
+ */
+class SimulationEngine {
+    /**
+     * @param {BlackWhiteImage} blackWhiteImage - Binary image ({width, height, pixels}, true = protected)
+     * @param {Object} options - Optional settings
+     * @param {AnimationParameters} options.parameters - Parameters object to use (shared, not copied)
+     * @param {number} options.ballCount - Ball count override
+     * @param {number} options.deviationAngle - Deviation angle override (degrees)
+     * @param {number} options.movementSpeed - Movement speed override
+     * @param {number} options.targetDuration - Target duration override (seconds, null = none; see DurationController)
+     * @param {string} options.revealOrder - Reveal order override ('all', 'letter' or 'word'; see RevealOrder)
+     * @param {number} options.padding - Grid padding in squares (default: 3)
+     * @param {number} options.seed - Random seed; falls back to parameters.seed, then a fresh seed
+     * @param {EventSystem} options.eventSystem - Event system for this engine's events (default: the global one)
+     * @param {ReplayRecorder|ReplayPlayer} options.runLog - Records the run, or plays a replay back (see replay.js)
+     */
+    constructor(blackWhiteImage, options = {}) {
+        this.parameters = options.parameters || new AnimationParameters();
+        if (options.ballCount !== undefined) this.parameters.ballCount = options.ballCount;
+        if (options.deviationAngle !== undefined) this.parameters.deviationAngle = options.deviationAngle;
+        if (options.movementSpeed !== undefined) this.parameters.movementSpeed = options.movementSpeed;
+
+        // Every run is seeded (even unseeded ones get a generated seed) so it can be replayed
+        let seed = parseSeed(options.seed);
+        if (seed === null) seed = parseSeed(this.parameters.seed);
+        if (seed === null) seed = generateSeed();
+        this.seed = seed;
+        this.random = createSeededRandom(seed);
+        this.eventSystem = options.eventSystem || null;
+        this.runLog = options.runLog || null;
+
+        this.grid = createGrid(blackWhiteImage, options.padding !== undefined ? options.padding : 3);
+
+        // Mark isolated carveable squares as protected
+        markIsolatedCarveableAsProtected(this.grid);
+
+        // Initialize islands for loop detection and completion
+        this.islands = initializeIslands(this.grid);
+
+        // Letter by letter or word by word: balls only carve around the current one. Images
+        // without labelled squares have nothing to order, so they carve all at once
+        const revealOrder = normalizeRevealOrder(options.revealOrder !== undefined ? options.revealOrder : this.parameters.revealOrder);
+        this.revealOrder = revealOrder !== 'all' ? new RevealOrder(this.grid, revealOrder, this.islands) : null;
+        if (this.revealOrder && this.revealOrder.steps.length === 0) {
+            this.revealOrder = null;
+        }
+        this.grid.revealOrder = this.revealOrder;
+
+        this.state = new AnimationState(
+            true,  // isRunning
+            false, // isComplete
+            0,     // frameCount
+            countSquaresByState(this.grid, SquareState.BLACK_CARVEABLE), // carveableSquaresRemaining
+            0,     // ballsActive
+            0      // totalBallsSpawned
+        );
+        this.totalCarveableSquares = this.state.carveableSquaresRemaining;
+        this.carveSamples = [[0, this.totalCarveableSquares]]; // [frameCount, squares remaining], for the ETA
+
+        // The first plan sets the starting ball count and speed, so it comes before the first balls
+        const targetDuration = options.targetDuration !== undefined ? options.targetDuration : this.parameters.targetDuration;
+        this.durationController = targetDuration > 0 ? new DurationController(this, targetDuration) : null;
+        this.appliedMovementSpeed = this.parameters.movementSpeed;
+
+        if (this.runLog) {
+            this.runLog.attach(this);
+        }
+        // Balls are numbered in spawn order, so ids are unique within the run and replay exactly
+        this.nextBallId = 0;
+        const initialBalls = this.withSources(() => spawnInitialBalls(this.grid, this.parameters, null, () => this.createBallId()));
+        this.state.balls = initialBalls;
+        this.state.ballsActive = initialBalls.length;
+        this.state.totalBallsSpawned = initialBalls.length;
+    }
+
+    /**
+     * Run a function with this engine's seeded random source, event system and run log
+     * @param {Function} fn - Function to run
+     * @returns {*} Return value of fn
+     */
+    withSources(fn) {
+        return withRunLog(this.runLog, () =>
+            withEventSystem(this.eventSystem, () => withRandomSource(this.random, fn)));
+    }
+
+    /**
+     * Take the ID for the next ball of this run
+     * @returns {string} Ball ID ('ball_0', 'ball_1', ...)
+     */
+    createBallId() {
+        return 'ball_' + this.nextBallId++;
+    }
+
+    /**
+     * Advance the simulation by one fixed step (FIXED_TIMESTEP seconds)
+     * @returns {Object} Frame results (ball update counts plus remaining squares)
+     */
+    step() {
+        return this.withSources(() => this.advanceFrame());
+    }
+
+    /**
+     * Frame update proper; step() runs it with this engine's random source and event system
+     * @returns {Object} Frame results
+     */
+    advanceFrame() {
+        try {
+            const state = this.state;
+            state.frameCount++;
+            if (this.durationController) {
+                this.durationController.update();
+            }
+            if (this.runLog) {
+                this.runLog.beginStep(state.frameCount);
+            }
+            this.applyMovementSpeed();
+
+            // Update all balls
+            const results = updateAllBalls(state.balls, this.grid, null, this.parameters);
+
+            // Check and complete islands
+            if (this.islands.length > 0) {
+                updateIslands(this.grid, this.islands);
+            }
+
+            // Unlock the next letter once the current one is carved
+            if (this.revealOrder) {
+                this.revealOrder.update();
+            }
+
+            state.ballsActive = getActiveBalls(state.balls).length;
+            state.carveableSquaresRemaining = countSquaresByState(this.grid, SquareState.BLACK_CARVEABLE);
+            state.isComplete = isAnimationComplete(this.grid, this.islands);
+            if (state.frameCount % CARVE_RATE_WINDOW.interval === 0) {
+                this.carveSamples.push([state.frameCount, state.carveableSquaresRemaining]);
+                if (this.carveSamples.length > CARVE_RATE_WINDOW.samples) {
+                    this.carveSamples.shift();
+                }
+            }
+
+            // Clean up inactive balls
+            state.balls = cleanupInactiveBalls(state.balls);
+
+            // Spawn new balls if needed (not once everything is carved; the island sweeps finish on their own)
+            if (state.carveableSquaresRemaining > 0 && state.ballsActive < this.parameters.ballCount) {
+                const ballsNeeded = Math.min(this.parameters.ballCount - state.ballsActive,
+                    getSpawnAllowance(state.frameCount, this.parameters.spawnRate));
+                for (let i = 0; i < ballsNeeded; i++) {
+                    const newBall = spawnNewBall(this.grid, this.parameters, null, this.createBallId());
+                    if (newBall) {
+                        state.addBall(newBall);
+                    }
+                }
+            }
+
+            if (this.runLog) {
+                this.runLog.endStep(state.isComplete);
+            }
+
+            return {
+                ...results,
+                frameCount: state.frameCount,
+                carveableSquaresRemaining: state.carveableSquaresRemaining
+            };
+
+        } catch (error) {
+            globalErrorHandler.handleError(error, { context: 'SimulationEngine.step' });
+            throw new AnimationError(error.message);
+        }
+    }
+
+    /**
+     * Bring the balls in play to the current movementSpeed when it has changed
+     * since the last step (balls otherwise keep the speed they were spawned with)
+     */
+    applyMovementSpeed() {
+        const speed = this.parameters.movementSpeed;
+        if (speed === this.appliedMovementSpeed) {
+            return;
+        }
+        if (this.appliedMovementSpeed > 0) {
+            const ratio = speed / this.appliedMovementSpeed;
+            for (const ball of this.state.balls) {
+                ball.velocityX *= ratio;
+                ball.velocityY *= ratio;
+            }
+        }
+        this.appliedMovementSpeed = speed;
+    }
+
+    /**
+     * Check whether every carveable square is carved and every island sweep has finished
+     * @returns {boolean} True if the carve is finished
+     */
+    isComplete() {
+        return isAnimationComplete(this.grid, this.islands);
+    }
+
+    /**
+     * How far the carve has got, with an estimate of the time left
+     * @returns {Object} {frameCount, elapsed, totalSquares, carvedSquares, remainingSquares,
+     *     percentCarved, islands, islandsCompleted, sweepsRunning, sweepsRemaining, eta, targetDuration,
+     *     targetReachable, isComplete}; elapsed, eta and targetDuration are in seconds of simulated time (eta is
+     *     null until there is a carve rate to go by; targetDuration and targetReachable are null without a target)
+     */
+    getProgress() {
+        const state = this.state;
+        const total = this.totalCarveableSquares;
+        const remaining = state.carveableSquaresRemaining;
+        const islandsCompleted = this.islands.filter(island => island.completed).length;
+
+        return {
+            frameCount: state.frameCount,
+            elapsed: state.frameCount / SIMULATION_STEP_RATE,
+            totalSquares: total,
+            carvedSquares: total - remaining,
+            remainingSquares: remaining,
+            percentCarved: total > 0 ? (total - remaining) / total * 100 : 100,
+            islands: this.islands.length,
+            islandsCompleted: islandsCompleted,
+            sweepsRunning: this.islands.filter(island => island.animating).length,
+            sweepsRemaining: this.islands.length - islandsCompleted,
+            eta: this.estimateTimeLeft(),
+            targetDuration: this.durationController ? this.durationController.duration : null,
+            targetReachable: this.durationController ? this.durationController.reachable : null,
+            isComplete: this.isComplete()
+        };
+    }
+
+    /**
+     * Seconds of simulated time until the carve completes: the remaining squares
+     * at the carve rate of the last few seconds, then the longest island sweep
+     * still to start (or the longest one under way, if that ends later)
+     * @returns {number|null} Seconds, or null when nothing has been carved to estimate from
+     */
+    estimateTimeLeft() {
+        if (this.isComplete()) {
+            return 0;
+        }
+
+        let runningSweepSteps = 0;
+        let pendingSweepSteps = 0;
+        for (const island of this.islands) {
+            const steps = getIslandSweepSteps(this.grid, island);
+            if (island.animating) {
+                runningSweepSteps = Math.max(runningSweepSteps, steps);
+            } else {
+                pendingSweepSteps = Math.max(pendingSweepSteps, steps);
+            }
+        }
+
+        const state = this.state;
+        const remaining = state.carveableSquaresRemaining;
+        let carveTime = 0;
+        if (remaining > 0) {
+            // Squares per step over the window, or over the whole run when the window carved nothing
+            let [sampleFrame, sampleRemaining] = this.carveSamples[0];
+            if (sampleRemaining <= remaining) {
+                [sampleFrame, sampleRemaining] = [0, this.totalCarveableSquares];
+            }
+            const frames = state.frameCount - sampleFrame;
+            if (sampleRemaining <= remaining || frames <= 0) {
+                return null;
+            }
+            carveTime = remaining * frames / (sampleRemaining - remaining) / SIMULATION_STEP_RATE;
+        }
+
+        return Math.max(runningSweepSteps / SIMULATION_STEP_RATE, carveTime + pendingSweepSteps / SIMULATION_STEP_RATE);
+    }
+
+    /**
+     * Step until the carve is complete or a frame limit is reached
+     * @param {Object} options - Run options
+     * @param {number} options.maxFrames - Frame limit (default: 100000)
+     * @param {number} options.snapshotInterval - Take a snapshot every N frames (0 = final snapshot only)
+     * @param {Function} options.onSnapshot - Called with each snapshot as it is taken
+     * @returns {Array} Snapshots taken during the run, always ending with the final state
+     */
+    run(options = {}) {
+        const maxFrames = options.maxFrames !== undefined ? options.maxFrames : 100000;
+        const snapshotInterval = options.snapshotInterval || 0;
+        const snapshots = [];
+
+        const takeSnapshot = () => {
+            const snapshot = this.getSnapshot();
+            snapshots.push(snapshot);
+            if (typeof options.onSnapshot === 'function') {
+                options.onSnapshot(snapshot);
+            }
+        };
+
+        let frames = 0;
+        while (frames < maxFrames && !this.isComplete()) {
+            this.step();
+            frames++;
+            if (snapshotInterval > 0 && frames % snapshotInterval === 0) {
+                takeSnapshot();
+            }
+        }
+
+        this.state.isComplete = this.isComplete();
+        if (snapshots.length === 0 || snapshots[snapshots.length - 1].frameCount !== this.state.frameCount) {
+            takeSnapshot();
+        }
+
+        return snapshots;
+    }
+
+    /**
+     * Capture the current state as plain, JSON-serializable data
+     * @returns {Object} Snapshot of frame counters, square states, balls and islands
+     *     (enough for restoreSnapshot() to resume the run from it)
+     */
+    getSnapshot() {
+        const grid = this.grid;
+        const flashing = [];
+        const revealed = [];
+        for (const row of grid.squares) {
+            for (const square of row) {
+                if (square.flashColor) {
+                    flashing.push([square.x, square.y]);
+                }
+                if (square.revealed) {
+                    revealed.push([square.x, square.y]);
+                }
+            }
+        }
+
+        return {
+            seed: this.seed,
+            randomState: this.random.getState(),
+            frameCount: this.state.frameCount,
+            isComplete: this.isComplete(),
+            carveableSquaresRemaining: countSquaresByState(grid, SquareState.BLACK_CARVEABLE),
+            ballsActive: this.state.ballsActive,
+            totalBallsSpawned: this.state.totalBallsSpawned,
+            nextBallId: this.nextBallId,
+            parameters: getRunSettings(this.parameters),
+            durationControl: this.durationController ? this.durationController.getState() : null,
+            grid: {
+                width: grid.width,
+                height: grid.height,
+                padding: grid.padding,
+                states: grid.squares.map(row => row.map(square => square.state)),
+                colors: grid.squares.map(row => row.map(square => square.flashColor || square.color || null)),
+                flashing: flashing, // [x, y] of squares whose color is a sweep flash
+                revealed: revealed  // [x, y] of protected squares exposed by carving
+            },
+            balls: this.state.balls.filter(ball => ball.isActive).map(ball => ({
+                id: ball.id,
+                x: ball.x,
+                y: ball.y,
+                velocityX: ball.velocityX,
+                velocityY: ball.velocityY,
+                diameter: ball.diameter,
+                previousX: ball.previousX,
+                previousY: ball.previousY
+            })),
+            islands: this.islands.map(island => ({
+                id: island.id,
+                completed: island.completed,
+                animating: !!island.animating,
+                animationIndex: island.animationIndex || 0,
+                flashFrame: island.flashFrame || 0
+            }))
+        };
+    }
+
+    /**
+     * Put the simulation back into a state taken with getSnapshot() on this engine.
+     * The random sequence is rewound too, so stepping on replays the original run exactly.
+     * Objects are updated in place (grid, islands, state), so held references stay valid.
+     * @param {Object} snapshot - Snapshot from getSnapshot()
+     */
+    restoreSnapshot(snapshot) {
+        const grid = this.grid;
+        if (!snapshot || !snapshot.grid || snapshot.seed !== this.seed ||
+            snapshot.grid.width !== grid.width || snapshot.grid.height !== grid.height) {
+            throw new InvalidParameterError('Snapshot was not taken from this simulation');
+        }
+        if (typeof snapshot.randomState !== 'number') {
+            throw new InvalidParameterError('Snapshot has no random state to resume from');
+        }
+
+        // A flashing square has no color of its own yet; it turns red when the flash ends.
+        // Colour glyph squares keep their source color all run, so it is left as it is.
+        const flashing = new Set((snapshot.grid.flashing || []).map(([x, y]) => `${x},${y}`));
+        const revealed = new Set((snapshot.grid.revealed || []).map(([x, y]) => `${x},${y}`));
+        for (let y = 0; y < grid.height; y++) {
+            for (let x = 0; x < grid.width; x++) {
+                const square = grid.squares[y][x];
+                const color = snapshot.grid.colors[y][x];
+                square.state = snapshot.grid.states[y][x];
+                square.revealed = revealed.has(`${x},${y}`);
+                if (flashing.has(`${x},${y}`)) {
+                    square.flashColor = color;
+                    square.color = square.color === COLORS.RED_COLOR ? null : square.color;
+                } else {
+                    square.flashColor = null;
+                    square.color = color;
+                }
+            }
+        }
+
+        this.state.balls = snapshot.balls.map(data => {
+            const ball = new Ball(data.id, data.x, data.y, data.velocityX, data.velocityY, data.diameter);
+            ball.previousX = data.previousX !== undefined ? data.previousX : data.x;
+            ball.previousY = data.previousY !== undefined ? data.previousY : data.y;
+            return ball;
+        });
+
+        for (const data of snapshot.islands) {
+            const island = this.islands.find(candidate => candidate.id === data.id);
+            if (!island) {
+                continue;
+            }
+            island.completed = data.completed;
+            island.animating = data.animating;
+            island.animationIndex = data.animationIndex;
+            island.flashFrame = data.flashFrame;
+            island.sortedSquares = data.animating ? getIslandSweepOrder(island) : undefined;
+        }
+
+        // Settings may have been changed since (they are live in the page)
+        if (snapshot.parameters) {
+            Object.assign(this.parameters, getRunSettings(snapshot.parameters));
+        }
+        this.appliedMovementSpeed = this.parameters.movementSpeed;
+        if (this.durationController && snapshot.durationControl) {
+            this.durationController.setState(snapshot.durationControl);
+        }
+
+        const state = this.state;
+        state.frameCount = snapshot.frameCount;
+        state.isComplete = snapshot.isComplete;
+        state.carveableSquaresRemaining = snapshot.carveableSquaresRemaining;
+        state.ballsActive = snapshot.ballsActive;
+        state.totalBallsSpawned = snapshot.totalBallsSpawned;
+        this.nextBallId = snapshot.nextBallId;
+        this.carveSamples = [[state.frameCount, state.carveableSquaresRemaining]];
+        if (this.revealOrder) {
+            this.revealOrder.refresh();
+        }
+
+        this.random.setState(snapshot.randomState);
+    }
+}
+
+// Make classes available globally for browser usage
+if (typeof window !== 'undefined') {
+    window.SimulationEngine = SimulationEngine;
+    window.FixedTimestepClock = FixedTimestepClock;
+    window.DurationController = DurationController;
+    window.parseTargetDuration = parseTargetDuration;
+    window.getRunSettings = getRunSettings;
+    window.isSameRunSettings = isSameRunSettings;
+}
+
+// Export for use in other modules (Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SIMULATION_STEP_RATE,
+        FIXED_TIMESTEP,
+        PLAYBACK_SPEED_LIMITS,
+        FixedTimestepClock,
+        TARGET_DURATION_LIMITS,
+        DURATION_CONTROL,
+        DurationController,
+        parseTargetDuration,
+        getRunSettings,
+        getSpawnAllowance,
+        isSameRunSettings,
+        SimulationEngine
+    };
+}
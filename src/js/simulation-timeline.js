@@ -0,0 +1,165 @@
+/**
+ * Simulation Timeline Module
+ * Periodic snapshots of a run so it can be rewound to any earlier step:
+ * seek() restores the nearest snapshot at or before the target and re-simulates
+ * from there, which reproduces the original run exactly (the random sequence is
+ * part of each snapshot, and settings changed mid-run are re-applied on the step
+ * they were changed)
+ */
+
+const TIMELINE_DEFAULTS = {
+    interval: 30,       // Steps between snapshots (half a second of simulated time)
+    maxSnapshots: 200   // Past this, every other snapshot is dropped and the interval doubles
+};
+
+/**
+ * Snapshot history of one SimulationEngine run
+ */
+class SimulationTimeline {
+    /**
+     * @param {SimulationEngine} engine - Engine to record (its current state is the first snapshot)
+     * @param {Object} options - See TIMELINE_DEFAULTS
+     */
+    constructor(engine, options = {}) {
+        if (!engine || typeof engine.getSnapshot !== 'function') {
+            throw new InvalidParameterError('SimulationTimeline needs a SimulationEngine');
+        }
+
+        this.engine = engine;
+        this.options = { ...TIMELINE_DEFAULTS, ...options };
+        this.interval = Math.max(1, Math.round(this.options.interval));
+        this.snapshots = [engine.getSnapshot()];
+        this.settingChanges = [{ frame: engine.state.frameCount, settings: getRunSettings(engine.parameters) }];
+        this.latestFrame = engine.state.frameCount;
+    }
+
+    /**
+     * Note the step just taken; call after every engine.step()
+     */
+    record() {
+        const frame = this.engine.state.frameCount;
+        const settings = getRunSettings(this.engine.parameters);
+
+        if (frame <= this.latestFrame) {
+            // A step played again after a seek is already covered (it is identical),
+            // unless a setting was changed after rewinding: then the recorded future is dropped
+            if (isSameRunSettings(settings, this.getSettingsAt(frame))) {
+                return;
+            }
+            this.truncate(frame - 1);
+        }
+        this.latestFrame = frame;
+
+        if (!isSameRunSettings(settings, this.getSettingsAt(frame - 1))) {
+            this.settingChanges.push({ frame: frame, settings: settings });
+        }
+
+        const lastSnapshot = this.snapshots[this.snapshots.length - 1];
+        if ((frame - this.getStartFrame()) % this.interval !== 0 || frame <= lastSnapshot.frameCount) {
+            return;
+        }
+
+        this.snapshots.push(this.engine.getSnapshot());
+        if (this.snapshots.length > this.options.maxSnapshots) {
+            // Keep memory bounded on long runs; the first snapshot always survives
+            this.interval *= 2;
+            const start = this.getStartFrame();
+            this.snapshots = this.snapshots.filter(snapshot => (snapshot.frameCount - start) % this.interval === 0);
+        }
+    }
+
+    /**
+     * Move the engine to any step between the first snapshot and the furthest step recorded
+     * @param {number} frame - Target step (clamped to the recorded range)
+     * @returns {number} Step the engine is now at
+     */
+    seek(frame) {
+        try {
+            const target = Math.max(this.getStartFrame(), Math.min(this.latestFrame, Math.round(Number(frame) || 0)));
+
+            // Nearest snapshot at or before the target
+            let snapshot = this.snapshots[0];
+            for (const candidate of this.snapshots) {
+                if (candidate.frameCount > target) {
+                    break;
+                }
+                snapshot = candidate;
+            }
+            const engine = this.engine;
+            engine.restoreSnapshot(snapshot);
+
+            // Re-simulated steps happened before; keep their events away from listeners
+            const eventSystem = engine.eventSystem;
+            engine.eventSystem = new EventSystem();
+            try {
+                while (engine.state.frameCount < target && !engine.isComplete()) {
+                    Object.assign(engine.parameters, this.getSettingsAt(engine.state.frameCount + 1));
+                    engine.step();
+                }
+            } finally {
+                engine.eventSystem = eventSystem;
+            }
+
+            return engine.state.frameCount;
+
+        } catch (error) {
+            globalErrorHandler.handleError(error, { context: 'SimulationTimeline.seek', frame: frame });
+            throw new AnimationError(error.message);
+        }
+    }
+
+    /**
+     * Settings in effect at a recorded step
+     * @param {number} frame - Step
+     * @returns {Object} Settings from getRunSettings()
+     */
+    getSettingsAt(frame) {
+        let settings = this.settingChanges[0].settings;
+        for (const change of this.settingChanges) {
+            if (change.frame > frame) {
+                break;
+            }
+            settings = change.settings;
+        }
+        return settings;
+    }
+
+    /**
+     * Forget everything recorded after a step (the run took a different course from there)
+     * @param {number} frame - Last step to keep
+     */
+    truncate(frame) {
+        this.snapshots = this.snapshots.filter(snapshot => snapshot.frameCount <= frame);
+        this.settingChanges = this.settingChanges.filter((change, index) => index === 0 || change.frame <= frame);
+        this.latestFrame = Math.max(this.getStartFrame(), frame);
+    }
+
+    /**
+     * First step the timeline can rewind to
+     * @returns {number} Step of the first snapshot
+     */
+    getStartFrame() {
+        return this.snapshots[0].frameCount;
+    }
+
+    /**
+     * Furthest step the run has reached
+     * @returns {number} Step count
+     */
+    getLatestFrame() {
+        return this.latestFrame;
+    }
+}
+
+// Make the class available globally for browser usage
+if (typeof window !== 'undefined') {
+    window.SimulationTimeline = SimulationTimeline;
+}
+
+// Export for use in other modules (Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TIMELINE_DEFAULTS,
+        SimulationTimeline
+    };
+}
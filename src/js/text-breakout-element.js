@@ -0,0 +1,187 @@
+/**
+ * Text Breakout Element Module
+ * <text-breakout> custom element: a self-contained carving animation with its
+ * own simulation, canvas and loop in Shadow DOM, so several can run on one page
+ * without touching the page-wide grid/animationState/islands
+ *
+ * <text-breakout text="Hello" balls="30" speed="1.5" seed="4"></text-breakout>
+ */
+
+const TEXT_BREAKOUT_ELEMENT_DEFAULTS = {
+    text: 'Hello',
+    balls: 30,
+    deviation: 15,
+    speed: 1.0,
+    fontSize: 20,
+    align: 'left',
+    lineSpacing: 1.2,
+    letterSpacing: 0,
+    wrap: 0,
+    threshold: 128,
+    dither: 'none',
+    thicken: 0
+};
+
+const TEXT_BREAKOUT_ELEMENT_STYLE = `
+    :host {
+        display: block;
+    }
+    :host([hidden]) {
+        display: none;
+    }
+`;
+
+/**
+ * Read a numeric attribute, falling back when it is missing or out of range
+ * @param {HTMLElement} element - Element to read from
+ * @param {string} name - Attribute name
+ * @param {number} fallback - Value to use when the attribute is missing or invalid
+ * @param {number} min - Smallest accepted value
+ * @param {number} max - Largest accepted value
+ * @returns {number} Attribute value
+ */
+function readNumberAttribute(element, name, fallback, min, max) {
+    const value = parseFloat(element.getAttribute(name));
+    if (isNaN(value) || value < min || value > max) {
+        return fallback;
+    }
+    return value;
+}
+
+/**
+ * <text-breakout> custom element; a thin wrapper around a TextBreakoutInstance
+ */
+class TextBreakoutElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['text', 'balls', 'deviation', 'speed', 'seed', 'font-size', 'duration', 'reveal',
+            'align', 'line-spacing', 'letter-spacing', 'wrap', 'emoji', 'threshold', 'dither', 'thicken'];
+    }
+
+    constructor() {
+        super();
+
+        this.attachShadow({ mode: 'open' });
+        const style = document.createElement('style');
+        style.textContent = TEXT_BREAKOUT_ELEMENT_STYLE;
+        this.shadowRoot.appendChild(style);
+
+        this.instance = null;
+        this.restartScheduled = false;
+        this.resizeObserver = null;
+    }
+
+    /**
+     * Simulation engine of the current run
+     */
+    get engine() {
+        return this.instance ? this.instance.engine : null;
+    }
+
+    connectedCallback() {
+        if (!this.instance) {
+            this.instance = new TextBreakoutInstance(this.shadowRoot, { ...this.getSettings(), autoStart: false });
+            // Re-dispatch the lifecycle events from the element for host pages
+            for (const type of ['animationStarted', 'animationCompleted']) {
+                this.instance.on(type, (event) => this.dispatchLifecycleEvent(type, event.detail));
+            }
+        }
+        if (typeof ResizeObserver === 'function' && !this.resizeObserver) {
+            this.resizeObserver = new ResizeObserver(() => this.instance.resize(this.clientWidth));
+            this.resizeObserver.observe(this);
+        }
+        this.restart();
+    }
+
+    disconnectedCallback() {
+        if (this.instance) {
+            this.instance.stop();
+        }
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue === newValue || !this.isConnected) {
+            return;
+        }
+        // Restart once after a batch of attribute changes
+        if (!this.restartScheduled) {
+            this.restartScheduled = true;
+            Promise.resolve().then(() => {
+                this.restartScheduled = false;
+                if (this.isConnected) {
+                    this.restart();
+                }
+            });
+        }
+    }
+
+    /**
+     * Read the animation settings from the attributes
+     * @returns {Object} TextBreakoutInstance options
+     */
+    getSettings() {
+        const defaults = TEXT_BREAKOUT_ELEMENT_DEFAULTS;
+        const text = (this.getAttribute('text') || defaults.text).replace(/\\n/g, '\n').trim() || defaults.text;
+        return {
+            text: text,
+            ballCount: Math.round(readNumberAttribute(this, 'balls', defaults.balls, 1, 50)),
+            deviationAngle: readNumberAttribute(this, 'deviation', defaults.deviation, 1, 45),
+            movementSpeed: readNumberAttribute(this, 'speed', defaults.speed, 0.1, 5.0),
+            seed: parseSeed(this.getAttribute('seed')),
+            targetDuration: parseTargetDuration(this.getAttribute('duration')),
+            revealOrder: normalizeRevealOrder(this.getAttribute('reveal')),
+            fontSize: Math.round(readNumberAttribute(this, 'font-size', defaults.fontSize, 8, 120)),
+            align: this.getAttribute('align') || defaults.align,
+            lineSpacing: readNumberAttribute(this, 'line-spacing', defaults.lineSpacing, 0.8, 3),
+            letterSpacing: Math.round(readNumberAttribute(this, 'letter-spacing', defaults.letterSpacing, -2, 10)),
+            maxChars: Math.round(readNumberAttribute(this, 'wrap', defaults.wrap, 0, 200)),
+            // Boolean attribute: present (and not "false") turns colour emoji on
+            colorGlyphs: this.getAttribute('emoji') !== null && this.getAttribute('emoji') !== 'false',
+            threshold: String(this.getAttribute('threshold')).toLowerCase() === 'auto'
+                ? 'auto'
+                : Math.round(readNumberAttribute(this, 'threshold', defaults.threshold, 1, 255)),
+            dither: this.getAttribute('dither') || defaults.dither,
+            thicken: Math.round(readNumberAttribute(this, 'thicken', defaults.thicken, -2, 3))
+        };
+    }
+
+    /**
+     * Restart the animation with the current attributes
+     */
+    restart() {
+        if (!this.instance) {
+            return;
+        }
+        this.instance.cssWidth = this.clientWidth || null;
+        this.instance.setOptions(this.getSettings());
+    }
+
+    /**
+     * Dispatch a bubbling, composed DOM event from the element
+     * @param {string} type - Event type
+     * @param {Object} detail - Instance event detail
+     */
+    dispatchLifecycleEvent(type, detail) {
+        const { animationState, ...plainDetail } = detail;
+        this.dispatchEvent(new CustomEvent(type, { detail: plainDetail, bubbles: true, composed: true }));
+    }
+}
+
+// Register the element and make it available globally for browser usage
+if (typeof window !== 'undefined') {
+    window.TextBreakoutElement = TextBreakoutElement;
+    if (window.customElements && !window.customElements.get('text-breakout')) {
+        window.customElements.define('text-breakout', TextBreakoutElement);
+    }
+}
+
+// Export for use in other modules (Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TEXT_BREAKOUT_ELEMENT_DEFAULTS,
+        TextBreakoutElement
+    };
+}
@@ -0,0 +1,367 @@
+/**
+ * Text Breakout Instance Module
+ * A self-contained carving animation: its own simulation, event system, canvas
+ * and loop, with no shared page state, so a page can run any number side by side.
+ * Needs no p5 (draws through canvas-renderer.js).
+ */
+
+const TEXT_BREAKOUT_INSTANCE_DEFAULTS = {
+    text: 'Hello',
+    ballCount: 30,
+    deviationAngle: 15,
+    movementSpeed: 1.0,
+    seed: null,         // null = a fresh seed for every run
+    targetDuration: null, // Seconds the carve should take (ball count and speed are adjusted to fit)
+    revealOrder: 'all', // 'all', or carve around one 'letter' or 'word' at a time, in reading order
+    fontSize: 20,
+    align: 'left',      // 'left', 'center', 'right' or 'justify'
+    lineSpacing: 1.2,   // Distance between lines in multiples of the font size (0.8-3)
+    letterSpacing: 0,   // Extra squares between characters (-2 to 10)
+    maxChars: 0,        // Wrap lines at word boundaries to at most this many characters; 0 = no wrapping
+    colorGlyphs: false, // Draw emoji in colour and reveal them in their own colours
+    threshold: 128,     // Gray level (1-255) below which a pixel is solid, or 'auto' (Otsu's method)
+    dither: 'none',     // 'none', 'ordered' or 'floyd-steinberg'
+    thicken: 0,         // Grow (1-3) or thin (-1, -2) solid areas by whole squares
+    padding: 3,
+    width: 600,         // Canvas width in CSS pixels when the container has no layout width
+    playbackSpeed: 1,   // Playback rate, 0.25-8 (the ball speed is movementSpeed)
+    autoStart: true     // Start as soon as the instance is created
+};
+
+/**
+ * One independent animation drawing into a canvas it creates inside a container
+ */
+class TextBreakoutInstance {
+    /**
+     * @param {Node} container - Element (or shadow root) the canvas is appended to
+     * @param {Object} options - See TEXT_BREAKOUT_INSTANCE_DEFAULTS
+     */
+    constructor(container, options = {}) {
+        if (!container || typeof container.appendChild !== 'function') {
+            throw new InvalidParameterError('TextBreakoutInstance needs a container element');
+        }
+
+        this.container = container;
+        this.options = { ...TEXT_BREAKOUT_INSTANCE_DEFAULTS, ...options };
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.setAttribute('part', 'canvas');
+        this.canvas.style.display = 'block';
+        this.canvas.style.width = '100%';
+        this.container.appendChild(this.canvas);
+        this.context = this.canvas.getContext('2d');
+
+        this.eventSystem = new EventSystem(); // This instance's events only
+        this.engine = null;
+        this.clock = new FixedTimestepClock({ timeScale: this.options.playbackSpeed });
+        this.lastFrameTime = null;
+        this.paused = false;
+        this.renderingParams = null;
+        this.cssWidth = null;
+        this.frameRequest = null;
+        this.completionReported = false;
+
+        this.tick = this.tick.bind(this);
+
+        if (this.options.autoStart) {
+            this.start();
+        }
+    }
+
+    /**
+     * Subscribe to this instance's events (same types as TextBreakout.on)
+     * @param {string} type - One of EVENT_TYPES
+     * @param {Function} handler - Called with the event; data is in event.detail
+     * @returns {Function} Call to unsubscribe
+     */
+    on(type, handler) {
+        if (!EVENT_TYPES.includes(type)) {
+            throw new InvalidParameterError(`Unknown event type "${type}". Expected one of: ${EVENT_TYPES.join(', ')}`);
+        }
+        if (typeof handler !== 'function') {
+            throw new InvalidParameterError('Event handler must be a function');
+        }
+
+        this.eventSystem.addEventListener(type, handler);
+        return () => this.eventSystem.removeEventListener(type, handler);
+    }
+
+    /**
+     * Change options and restart with them
+     * @param {Object} options - Options to change (see TEXT_BREAKOUT_INSTANCE_DEFAULTS)
+     */
+    setOptions(options = {}) {
+        this.options = { ...this.options, ...options };
+        this.clock.setTimeScale(this.options.playbackSpeed);
+        this.start();
+    }
+
+    /**
+     * Set the playback speed without restarting
+     * @param {number} speed - Playback rate, clamped to 0.25-8
+     * @returns {number} The rate in effect
+     */
+    setPlaybackSpeed(speed) {
+        this.options.playbackSpeed = this.clock.setTimeScale(speed);
+        return this.options.playbackSpeed;
+    }
+
+    /**
+     * Pause the run, keeping balls and island sweeps where they are
+     */
+    pause() {
+        if (this.paused || this.frameRequest === null) {
+            return;
+        }
+        cancelAnimationFrame(this.frameRequest);
+        this.frameRequest = null;
+        this.lastFrameTime = null;
+        this.paused = true;
+        this.render();
+        this.eventSystem.dispatchEvent(new AnimationEvent('animationPaused', {
+            animationState: this.engine.state,
+            reason: 'paused'
+        }));
+    }
+
+    /**
+     * Resume a paused run
+     */
+    resume() {
+        if (!this.paused) {
+            return;
+        }
+        this.paused = false;
+        this.clock.reset();
+        this.eventSystem.dispatchEvent(new AnimationEvent('animationResumed', {
+            animationState: this.engine.state
+        }));
+        this.frameRequest = requestAnimationFrame(this.tick);
+    }
+
+    /**
+     * Pause (if needed) and advance exactly one simulation step
+     */
+    stepFrame() {
+        if (!this.engine || this.engine.isComplete()) {
+            return;
+        }
+        this.pause();
+        this.engine.step();
+        this.render();
+        if (this.engine.isComplete()) {
+            this.paused = false;
+            this.reportCompletion();
+        }
+    }
+
+    /**
+     * Build a new simulation from the options and start (or restart) it
+     */
+    start() {
+        try {
+            this.stop();
+
+            const options = this.options;
+            const text = String(options.text || '').trim() || TEXT_BREAKOUT_INSTANCE_DEFAULTS.text;
+            const autoThreshold = String(options.threshold).toLowerCase() === 'auto';
+            const blackWhiteImage = convertToBlackWhite(rasterizeText(text, {
+                fontSize: options.fontSize,
+                align: options.align,
+                lineSpacing: options.lineSpacing,
+                letterSpacing: options.letterSpacing,
+                maxChars: options.maxChars,
+                colorGlyphs: options.colorGlyphs
+            }), {
+                threshold: autoThreshold ? BINARIZE_DEFAULTS.threshold : options.threshold,
+                autoThreshold: autoThreshold,
+                dither: options.dither,
+                thicken: options.thicken
+            });
+
+            const parameters = new AnimationParameters();
+            parameters.ballCount = options.ballCount;
+            parameters.deviationAngle = options.deviationAngle;
+            parameters.movementSpeed = options.movementSpeed;
+            parameters.seed = options.seed;
+
+            this.engine = new SimulationEngine(blackWhiteImage, {
+                parameters: parameters,
+                targetDuration: options.targetDuration,
+                revealOrder: options.revealOrder,
+                padding: options.padding,
+                eventSystem: this.eventSystem
+            });
+            this.completionReported = false;
+            this.clock.reset();
+            this.lastFrameTime = null;
+
+            this.resize(this.cssWidth);
+            this.eventSystem.dispatchEvent(new AnimationEvent('animationStarted', {
+                animationState: this.engine.state,
+                seed: this.engine.seed,
+                text: text
+            }));
+
+            this.frameRequest = requestAnimationFrame(this.tick);
+
+        } catch (error) {
+            globalErrorHandler.handleError(error, { context: 'TextBreakoutInstance.start' });
+        }
+    }
+
+    /**
+     * Stop the animation loop (the last frame stays on the canvas)
+     */
+    stop() {
+        const wasActive = this.frameRequest !== null || this.paused;
+        if (this.frameRequest !== null) {
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
+        }
+        this.lastFrameTime = null;
+        this.paused = false;
+
+        if (wasActive && this.engine && !this.engine.isComplete()) {
+            this.eventSystem.dispatchEvent(new AnimationEvent('animationPaused', {
+                animationState: this.engine.state,
+                reason: 'stopped'
+            }));
+        }
+    }
+
+    /**
+     * Stop and remove the canvas
+     */
+    destroy() {
+        this.stop();
+        if (this.canvas.parentNode) {
+            this.canvas.parentNode.removeChild(this.canvas);
+        }
+        this.engine = null;
+    }
+
+    /**
+     * Size the canvas, keeping the grid aspect ratio
+     * @param {number} cssWidth - Width in CSS pixels (default: the container width)
+     */
+    resize(cssWidth) {
+        if (typeof cssWidth === 'number' && cssWidth > 0) {
+            this.cssWidth = cssWidth;
+        }
+        if (!this.engine) {
+            return;
+        }
+
+        const grid = this.engine.grid;
+        const width = this.cssWidth || this.container.clientWidth || this.options.width;
+        const height = width * grid.height / grid.width;
+        const pixelRatio = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+
+        this.canvas.style.height = `${height}px`;
+        this.canvas.width = Math.round(width * pixelRatio);
+        this.canvas.height = Math.round(height * pixelRatio);
+        this.renderingParams = getGridRenderingParams(grid, this.canvas.width, this.canvas.height);
+
+        this.render();
+    }
+
+    /**
+     * Draw the current frame, with balls interpolated between the last two steps
+     */
+    render() {
+        if (!this.engine || !this.renderingParams) {
+            return;
+        }
+        this.context.fillStyle = toCssColor(COLORS.WHITE);
+        this.context.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        drawGridToContext(this.context, this.engine.grid, this.renderingParams);
+        drawBallsToContext(this.context, this.engine.state.balls, this.renderingParams, this.paused ? 1 : this.clock.getAlpha());
+    }
+
+    /**
+     * Animation loop: runs the fixed simulation steps due since the last frame
+     * @param {number} timestamp - requestAnimationFrame time in milliseconds
+     */
+    tick(timestamp) {
+        this.frameRequest = null;
+        try {
+            const elapsedSeconds = this.lastFrameTime === null ? 0 : (timestamp - this.lastFrameTime) / 1000;
+            this.lastFrameTime = timestamp;
+
+            const steps = this.clock.advance(elapsedSeconds);
+            for (let i = 0; i < steps && !this.engine.isComplete(); i++) {
+                this.engine.step();
+            }
+
+            if (this.engine.isComplete()) {
+                this.clock.reset();
+                this.render();
+                this.reportCompletion();
+                return;
+            }
+            this.render();
+
+            this.frameRequest = requestAnimationFrame(this.tick);
+
+        } catch (error) {
+            globalErrorHandler.handleError(error, { context: 'TextBreakoutInstance.tick' });
+        }
+    }
+
+    /**
+     * Dispatch animationCompleted (once per run)
+     */
+    reportCompletion() {
+        if (this.completionReported) {
+            return;
+        }
+        this.completionReported = true;
+
+        const state = this.engine.state;
+        state.isRunning = false;
+        this.eventSystem.dispatchEvent(new AnimationEvent('animationCompleted', {
+            animationState: state,
+            seed: this.engine.seed,
+            frameCount: state.frameCount,
+            totalBallsSpawned: state.totalBallsSpawned
+        }));
+    }
+
+    /**
+     * How far the current run has got (see SimulationEngine.getProgress()), with
+     * the ETA in real seconds at this instance's playback speed
+     * @returns {Object|null} Progress, or null before the first start
+     */
+    getProgress() {
+        if (!this.engine) {
+            return null;
+        }
+        const progress = this.engine.getProgress();
+        if (progress.eta !== null) {
+            progress.eta /= this.clock.timeScale;
+        }
+        return progress;
+    }
+
+    /**
+     * Whether the current run has finished
+     * @returns {boolean} True once everything is carved and the island sweeps are done
+     */
+    isComplete() {
+        return !!this.engine && this.engine.isComplete();
+    }
+}
+
+// Make the class available globally for browser usage
+if (typeof window !== 'undefined') {
+    window.TextBreakoutInstance = TextBreakoutInstance;
+}
+
+// Export for use in other modules (Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TEXT_BREAKOUT_INSTANCE_DEFAULTS,
+        TextBreakoutInstance
+    };
+}
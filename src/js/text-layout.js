@@ -0,0 +1,391 @@
+/**
+ * Text Layout Module
+ * Places the lines of a (multi-line) message before it is rasterized: word
+ * wrapping to a maximum number of characters per line, left, center, right or
+ * justified alignment, and line spacing (letter spacing is applied when drawing)
+ */
+
+const TEXT_LAYOUT_DEFAULTS = {
+    align: 'left',          // 'left', 'center', 'right' or 'justify'
+    lineSpacing: 1.2,       // Distance between baselines, in multiples of the font size
+    letterSpacing: 0,       // Extra squares of tracking after each character; negative tightens
+    maxChars: 0             // Wrap lines at word boundaries to at most this many characters; 0 = no wrapping
+};
+
+const TEXT_LAYOUT_LIMITS = {
+    lineSpacing: { min: 0.8, max: 3 },
+    letterSpacing: { min: -2, max: 10 },
+    maxChars: { min: 0, max: 200 }
+};
+
+const TEXT_ALIGNMENTS = ['left', 'center', 'right', 'justify'];
+
+/**
+ * Fill in and clamp layout options; anything invalid falls back to TEXT_LAYOUT_DEFAULTS
+ * @param {Object} options - See TEXT_LAYOUT_DEFAULTS
+ * @returns {Object} Complete options
+ */
+function normalizeTextLayout(options = {}) {
+    const merged = { ...TEXT_LAYOUT_DEFAULTS, ...options };
+
+    const clamp = (name, value) => {
+        const limits = TEXT_LAYOUT_LIMITS[name];
+        return isNaN(value) ? TEXT_LAYOUT_DEFAULTS[name] : Math.max(limits.min, Math.min(limits.max, value));
+    };
+
+    const align = String(merged.align || '').toLowerCase();
+
+    return {
+        align: TEXT_ALIGNMENTS.includes(align) ? align : TEXT_LAYOUT_DEFAULTS.align,
+        lineSpacing: clamp('lineSpacing', Math.round(parseFloat(merged.lineSpacing) * 100) / 100),
+        letterSpacing: clamp('letterSpacing', Math.round(parseFloat(merged.letterSpacing))),
+        maxChars: clamp('maxChars', Math.round(parseFloat(merged.maxChars)))
+    };
+}
+
+// Scripts written right to left; a line takes its direction from its first letter
+const RTL_SCRIPT = /[\p{Script=Hebrew}\p{Script=Arabic}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}]/u;
+
+/**
+ * Split text into user-perceived characters (grapheme clusters), so a base
+ * letter stays together with its combining marks
+ * @param {string} text - Text
+ * @returns {string[]} Characters
+ */
+function splitGraphemes(text) {
+    if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+        return Array.from(new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(text), part => part.segment);
+    }
+    // Without Intl.Segmenter: code points with any combining marks that follow them
+    return text.match(/\P{M}\p{M}*|\p{M}+/gu) || [];
+}
+
+/**
+ * Writing direction of a line of text
+ * @param {string} text - Text
+ * @returns {string} 'rtl' if its first letter is Hebrew, Arabic or another right-to-left script, else 'ltr'
+ */
+function getTextDirection(text) {
+    const firstLetter = text.match(/\p{L}/u);
+    return firstLetter && RTL_SCRIPT.test(firstLetter[0]) ? 'rtl' : 'ltr';
+}
+
+/**
+ * Split text into lines: at every '\n', and at word boundaries wherever a line
+ * would be longer than maxChars (a word longer than that is cut). Characters are
+ * counted as grapheme clusters, so accents and other combining marks are free
+ * and never cut off their letter.
+ * @param {string} text - Text; '\n' starts a new paragraph
+ * @param {number} maxChars - Maximum characters per line; 0 keeps each paragraph on one line
+ * @returns {Object[]} { text, start, paragraphEnd } per line: start is its offset in text, and
+ *   paragraphEnd marks the last line of a paragraph
+ */
+function wrapText(text, maxChars = 0) {
+    const lines = [];
+    const length = value => splitGraphemes(value).length;
+    let paragraphStart = 0;
+
+    for (const paragraph of text.split('\n')) {
+        const start = paragraphStart;
+        paragraphStart += paragraph.length + 1;
+        if (!(maxChars > 0) || length(paragraph) <= maxChars) {
+            lines.push({ text: paragraph, start: start, paragraphEnd: true });
+            continue;
+        }
+
+        const wrapped = [];
+        let line = '';
+        let lineStart = start;
+        let wordStart = start;
+        // Splitting on single spaces keeps runs of spaces as empty words
+        for (const word of paragraph.split(' ')) {
+            const candidate = line === '' ? word : `${line} ${word}`;
+            if (line === '') {
+                lineStart = wordStart;
+            }
+            if (length(candidate) > maxChars && line.trim() !== '') {
+                wrapped.push({ text: line.replace(/ +$/, ''), start: lineStart });
+                line = word;
+                lineStart = wordStart;
+            } else {
+                line = candidate;
+            }
+            wordStart += word.length + 1;
+
+            let characters = splitGraphemes(line);
+            while (characters.length > maxChars) {
+                const piece = characters.slice(0, maxChars).join('');
+                wrapped.push({ text: piece, start: lineStart });
+                lineStart += piece.length;
+                characters = characters.slice(maxChars);
+            }
+            line = characters.join('');
+        }
+        wrapped.push({ text: line, start: lineStart });
+
+        wrapped.forEach((wrappedLine, index) => {
+            lines.push({ ...wrappedLine, paragraphEnd: index === wrapped.length - 1 });
+        });
+    }
+
+    return lines;
+}
+
+/**
+ * Place the lines of a text as runs: each line is drawn whole, so the font's
+ * kerning, ligatures and shaping (Arabic joining, Devanagari conjuncts,
+ * combining marks) apply; justified lines are drawn a word at a time, and a
+ * line with styled spans (see text-markup.js) a span at a time.
+ * Lines sit at multiples of the line spacing, the first baseline at y = 0; a line
+ * with larger spans takes more room.
+ * @param {string} text - Text; '\n' starts a new line
+ * @param {Function} measure - (run, span) => the TextMetrics of a run as it is drawn (with any
+ *   letter spacing) in the style of span (null for plain text), or just its advance width in pixels
+ * @param {Object} options - fontSize, spans (as parseTextMarkup() returns them) plus the
+ *   options of TEXT_LAYOUT_DEFAULTS
+ * @returns {Object} { lines, left, top, width, height }: each line is { runs: [{ text, x, start, span }], y, ascent,
+ *   descent, direction } with y its baseline and ascent/descent its ink above and below it, start the
+ *   offset of a run in text and span its span or null;
+ *   left/top/width/height bound the ink vertically and the ink or the line advances
+ *   (so leading and trailing spaces keep their room) horizontally
+ */
+function layoutText(text, measure, options = {}) {
+    const fontSize = options.fontSize || 20;
+    const spans = options.spans || [];
+    const { align, lineSpacing, maxChars } = normalizeTextLayout(options);
+    const LINE_HEIGHT = fontSize * lineSpacing;
+
+    const measured = new Map();
+    const measureSegment = segment => {
+        const key = `${segment.span ? segment.span.index : ''}:${segment.text}`;
+        if (!measured.has(key)) {
+            measured.set(key, getRunMetrics(measure(segment.text, segment.span), fontSize * getSpanSize(segment.span)));
+        }
+        return measured.get(key);
+    };
+    // A run is measured one span at a time, so it is as wide as its spans drawn side by side
+    const measureRun = (run, start) => combineRunMetrics(splitRunBySpans(run, start, spans).map(measureSegment));
+
+    let y = 0;
+    const lines = wrapText(text, maxChars).map((line, index) => {
+        const sizes = splitRunBySpans(line.text, line.start, spans)
+            .filter(segment => segment.text.trim() !== '')
+            .map(segment => getSpanSize(segment.span));
+        if (index > 0) {
+            y += LINE_HEIGHT * Math.max(1, ...sizes);
+        }
+        return {
+            ...line,
+            direction: getTextDirection(line.text),
+            width: measureRun(line.text, line.start).width,
+            y: y
+        };
+    });
+    const width = Math.max(0, ...lines.map(line => line.width));
+
+    // Align each line within the widest one and track the ink bounds
+    const bounds = { left: 0, right: width, top: Infinity, bottom: -Infinity };
+    const placed = lines.map(line => {
+        // The last line of a paragraph stays left-aligned, as in print
+        let runs = align === 'justify' && !line.paragraphEnd
+            ? justifyRuns(line, measureRun, width)
+            : null;
+        if (!runs) {
+            const room = width - line.width;
+            const offset = align === 'center' ? room / 2 : align === 'right' ? room : 0;
+            runs = [{ text: line.text, x: offset, start: line.start }];
+        }
+
+        let ascent = 0;
+        let descent = 0;
+        for (const run of runs) {
+            if (run.text.trim() === '') {
+                continue;
+            }
+            const metrics = measureRun(run.text, run.start);
+            bounds.left = Math.min(bounds.left, run.x - metrics.left);
+            bounds.right = Math.max(bounds.right, run.x + metrics.right);
+            ascent = Math.max(ascent, metrics.ascent);
+            descent = Math.max(descent, metrics.descent);
+        }
+        if (ascent + descent > 0) {
+            bounds.top = Math.min(bounds.top, line.y - ascent);
+            bounds.bottom = Math.max(bounds.bottom, line.y + descent);
+        }
+
+        // Runs with several spans are drawn a span at a time, from the right in right-to-left lines
+        const segments = [];
+        for (const run of runs) {
+            const parts = splitRunBySpans(run.text, run.start, spans);
+            const partWidths = parts.map(part => measureSegment(part).width);
+            const runWidth = partWidths.reduce((sum, partWidth) => sum + partWidth, 0);
+            let x = 0;
+            parts.forEach((part, index) => {
+                const partX = line.direction === 'rtl' ? runWidth - x - partWidths[index] : x;
+                segments.push({ text: part.text, x: run.x + partX, start: part.start, span: part.span });
+                x += partWidths[index];
+            });
+        }
+
+        return { runs: segments, y: line.y, ascent: ascent, descent: descent, direction: line.direction };
+    });
+
+    // Nothing but spaces: a single empty line box
+    if (bounds.top > bounds.bottom) {
+        bounds.top = -fontSize;
+        bounds.bottom = 0;
+    }
+
+    return {
+        lines: placed,
+        left: bounds.left,
+        top: bounds.top,
+        width: bounds.right - bounds.left,
+        height: bounds.bottom - bounds.top
+    };
+}
+
+/**
+ * Place the words of a justified line so the spaces between them stretch to fill the width
+ * @param {Object} line - { text, start, direction }; 'rtl' lines place their words from the right
+ * @param {Function} measureRun - (run, start) => run metrics (see getRunMetrics)
+ * @param {number} width - Width to fill
+ * @returns {Object[]|null} { text, x, start } for each word, or null for a line with a single word
+ */
+function justifyRuns(line, measureRun, width) {
+    // Words alternating with runs of spaces; only spaces between two words stretch
+    const parts = line.text.split(/( +)/);
+    const starts = [];
+    parts.reduce((start, part) => {
+        starts.push(start);
+        return start + part.length;
+    }, line.start);
+    const isGap = index => parts[index][0] === ' ' && !!parts[index - 1] && !!parts[index + 1];
+    const gapCount = parts.filter((part, index) => isGap(index)).length;
+    if (gapCount === 0) {
+        return null;
+    }
+
+    const natural = parts.reduce((sum, part, index) => sum + (part ? measureRun(part, starts[index]).width : 0), 0);
+    const stretch = (width - natural) / gapCount;
+
+    const runs = [];
+    let x = 0;
+    const order = parts.map((part, index) => index);
+    if (line.direction === 'rtl') {
+        order.reverse();
+    }
+    for (const index of order) {
+        const part = parts[index];
+        if (!part) {
+            continue;
+        }
+        if (part[0] !== ' ') {
+            runs.push({ text: part, x: x, start: starts[index] });
+        }
+        x += measureRun(part, starts[index]).width + (isGap(index) ? stretch : 0);
+    }
+    return runs;
+}
+
+/**
+ * Split a run where styled spans begin and end
+ * @param {string} run - Run text
+ * @param {number} start - Offset of the run in the text
+ * @param {Object[]} spans - Spans { start, end } in order
+ * @returns {Object[]} { text, start, span } pieces, span null for plain text
+ */
+function splitRunBySpans(run, start, spans) {
+    const end = start + run.length;
+    const pieces = [];
+    let position = start;
+    for (const span of spans) {
+        if (span.end <= position || span.start >= end) {
+            continue;
+        }
+        if (span.start > position) {
+            pieces.push({ text: run.slice(position - start, span.start - start), start: position, span: null });
+            position = span.start;
+        }
+        const pieceEnd = Math.min(end, span.end);
+        pieces.push({ text: run.slice(position - start, pieceEnd - start), start: position, span: span });
+        position = pieceEnd;
+    }
+    if (position < end || pieces.length === 0) {
+        pieces.push({ text: run.slice(position - start), start: position, span: null });
+    }
+    return pieces;
+}
+
+/**
+ * Size of a span relative to the font size
+ * @param {Object|null} span - Span, or null for plain text
+ * @returns {number} Scale (1 for plain text)
+ */
+function getSpanSize(span) {
+    return span && span.size ? span.size : 1;
+}
+
+/**
+ * Metrics of pieces drawn one after the other
+ * @param {Object[]} pieces - Run metrics (see getRunMetrics) in drawing order
+ * @returns {Object} Run metrics of the whole
+ */
+function combineRunMetrics(pieces) {
+    if (pieces.length === 1) {
+        return pieces[0];
+    }
+    const combined = { width: 0, left: -Infinity, right: -Infinity, ascent: 0, descent: 0 };
+    for (const piece of pieces) {
+        combined.left = Math.max(combined.left, piece.left - combined.width);
+        combined.right = Math.max(combined.right, combined.width + piece.right);
+        combined.ascent = Math.max(combined.ascent, piece.ascent);
+        combined.descent = Math.max(combined.descent, piece.descent);
+        combined.width += piece.width;
+    }
+    return combined;
+}
+
+/**
+ * Fill in the measurements layoutText() needs; a bare width gets an ink box
+ * of the usual ascent and descent of a font
+ * @param {TextMetrics|number} metrics - Metrics from measureText(), or an advance width
+ * @param {number} fontSize - Font size in pixels
+ * @returns {Object} { width, left, right, ascent, descent } with left/right the ink extent
+ *   from the start of the run
+ */
+function getRunMetrics(metrics, fontSize) {
+    const width = typeof metrics === 'number' ? metrics : metrics.width;
+    const read = (name, fallback) => metrics && typeof metrics[name] === 'number' ? metrics[name] : fallback;
+    return {
+        width: width,
+        left: read('actualBoundingBoxLeft', 0),
+        right: read('actualBoundingBoxRight', width),
+        ascent: read('actualBoundingBoxAscent', fontSize * 0.8),
+        descent: read('actualBoundingBoxDescent', fontSize * 0.2)
+    };
+}
+
+// Make functions available globally for browser usage
+if (typeof window !== 'undefined') {
+    window.TEXT_LAYOUT_DEFAULTS = TEXT_LAYOUT_DEFAULTS;
+    window.normalizeTextLayout = normalizeTextLayout;
+    window.splitGraphemes = splitGraphemes;
+    window.getTextDirection = getTextDirection;
+    window.wrapText = wrapText;
+    window.layoutText = layoutText;
+}
+
+// Export for use in other modules (Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TEXT_LAYOUT_DEFAULTS,
+        TEXT_LAYOUT_LIMITS,
+        TEXT_ALIGNMENTS,
+        normalizeTextLayout,
+        splitGraphemes,
+        getTextDirection,
+        wrapText,
+        layoutText
+    };
+}
@@ -0,0 +1,223 @@
+/**
+ * Text Markup Module
+ * Lightweight markup for styled spans of a message: *Birthday* is drawn bolder,
+ * {red:Sam} is revealed in red, {1.5x:big} is drawn larger, and attributes
+ * combine, e.g. {italic,light,#0a0:go}. A backslash keeps the next *, {, } or \
+ * as it is; markers without a partner are ordinary text.
+ */
+
+const SPAN_SIZE_LIMITS = { min: 0.25, max: 4 };
+
+// Weight names the markup takes (the weights of FONT_WEIGHTS, plus thin)
+const SPAN_WEIGHTS = { thin: '100', light: '300', regular: 'normal', normal: 'normal', bold: 'bold', black: '900' };
+
+// Words that parse as CSS colors but give a span no color of its own
+const SPAN_COLOR_KEYWORDS = ['transparent', 'currentcolor', 'inherit', 'initial', 'unset', 'revert'];
+
+// Color names taken where CSS.supports() cannot check them (e.g. headless under Node)
+const SPAN_COLOR_NAMES = [
+    'black', 'white', 'gray', 'grey', 'silver', 'red', 'maroon', 'orange', 'gold', 'yellow', 'olive', 'lime',
+    'green', 'teal', 'cyan', 'aqua', 'blue', 'navy', 'indigo', 'purple', 'violet', 'magenta', 'fuchsia', 'pink', 'brown'
+];
+
+// An opening brace: attributes, then a colon
+const SPAN_OPEN_PATTERN = /^\{([^{}:\\\n]+):/;
+
+/**
+ * Parse the markup of a message
+ * @param {string} source - Message with markup
+ * @returns {Object} { text, spans }: text without the markup, and one span per stretch of it
+ *   with its own style, in order: { index, start, end, text, weight, style, size, color } with
+ *   start/end offsets into text and only the attributes the markup sets ('bolder' for *...*)
+ */
+function parseTextMarkup(source) {
+    const tokens = tokenizeTextMarkup(String(source));
+
+    // Pair the markers: * closes the nearest open *, } the nearest open brace
+    const open = [];
+    tokens.forEach((token, index) => {
+        if (token.type === 'star') {
+            if (open.length > 0 && tokens[open[open.length - 1]].type === 'star') {
+                token.partner = open.pop();
+                tokens[token.partner].partner = index;
+            } else {
+                open.push(index);
+            }
+        } else if (token.type === 'open') {
+            open.push(index);
+        } else if (token.type === 'close') {
+            const brace = open.map(entry => tokens[entry].type).lastIndexOf('open');
+            if (brace >= 0) {
+                token.partner = open[brace];
+                tokens[token.partner].partner = index;
+                open.length = brace;
+            }
+        }
+    });
+
+    // Text with the style of the markers around it; unpaired markers are text
+    let text = '';
+    const spans = [];
+    const active = [];
+    const append = value => {
+        const style = getMarkupStyle(active);
+        const last = spans[spans.length - 1];
+        if (style && last && last.end === text.length && last.key === style.key) {
+            last.end += value.length;
+        } else if (style) {
+            spans.push({ ...style, start: text.length, end: text.length + value.length });
+        }
+        text += value;
+    };
+
+    tokens.forEach((token, index) => {
+        if (token.type === 'text' || token.partner === undefined) {
+            append(token.value);
+        } else if (token.partner > index) {
+            active.push(token);
+        } else {
+            active.splice(active.indexOf(tokens[token.partner]), 1);
+        }
+    });
+
+    return {
+        text: text,
+        spans: spans.map((span, index) => {
+            const { key, ...style } = span;
+            return { ...style, index: index, text: text.slice(span.start, span.end) };
+        })
+    };
+}
+
+/**
+ * Split a message into text and markers
+ * @param {string} source - Message with markup
+ * @returns {Object[]} { type, value } with type 'text', 'star', 'open' or 'close'; markers that
+ *   open a span also have an id and their style
+ */
+function tokenizeTextMarkup(source) {
+    const tokens = [];
+    let index = 0;
+    while (index < source.length) {
+        const character = source[index];
+        const id = tokens.length;
+        if (character === '\\' && '*{}\\'.includes(source[index + 1] || '')) {
+            tokens.push({ type: 'text', value: source[index + 1] });
+            index += 2;
+            continue;
+        }
+        if (character === '*') {
+            tokens.push({ type: 'star', id: id, value: character, style: { weight: 'bolder' } });
+        } else if (character === '}') {
+            tokens.push({ type: 'close', value: character });
+        } else if (character === '{') {
+            const match = SPAN_OPEN_PATTERN.exec(source.slice(index));
+            const style = match ? parseSpanAttributes(match[1]) : null;
+            if (style) {
+                tokens.push({ type: 'open', id: id, value: match[0], style: style });
+                index += match[0].length;
+                continue;
+            }
+            tokens.push({ type: 'text', value: character });
+        } else {
+            tokens.push({ type: 'text', value: character });
+        }
+        index++;
+    }
+    return tokens;
+}
+
+/**
+ * Parse the attributes of a brace span, e.g. 'red, 1.5x, italic'
+ * @param {string} attributes - Comma or space separated attributes
+ * @returns {Object|null} { weight, style, size, color } as given, or null if any attribute is
+ *   not a weight, italic/upright, a size (0.25x-4x) or a color
+ */
+function parseSpanAttributes(attributes) {
+    const style = {};
+    const words = attributes.trim().split(/[\s,]+/);
+    for (const word of words) {
+        const lower = word.toLowerCase();
+        const size = /^(\d*\.?\d+)x$/.exec(lower);
+        if (size) {
+            style.size = Math.max(SPAN_SIZE_LIMITS.min, Math.min(SPAN_SIZE_LIMITS.max, parseFloat(size[1])));
+        } else if (SPAN_WEIGHTS[lower] || /^[1-9]00$/.test(lower)) {
+            style.weight = SPAN_WEIGHTS[lower] || lower;
+        } else if (lower === 'italic' || lower === 'upright') {
+            style.style = lower === 'italic' ? 'italic' : 'normal';
+        } else if (isSpanColor(lower)) {
+            style.color = lower;
+        } else {
+            return null;
+        }
+    }
+    return words[0] === '' ? null : style;
+}
+
+/**
+ * Whether a word names a color: #rgb or #rrggbb, or a CSS color name (only the
+ * names of SPAN_COLOR_NAMES where CSS.supports() is not available)
+ * @param {string} word - Lower case word
+ * @returns {boolean} True for a color
+ */
+function isSpanColor(word) {
+    if (/^#([0-9a-f]{3}|[0-9a-f]{6})$/.test(word)) {
+        return true;
+    }
+    if (!/^[a-z]+$/.test(word) || SPAN_COLOR_KEYWORDS.includes(word)) {
+        return false;
+    }
+    if (typeof CSS === 'undefined' || typeof CSS.supports !== 'function') {
+        return SPAN_COLOR_NAMES.includes(word);
+    }
+    return CSS.supports('color', word);
+}
+
+/**
+ * Combined style of the open markers, inner ones overriding outer ones
+ * @param {Object[]} active - Open marker tokens, outermost first
+ * @returns {Object|null} Style plus a key identifying it, or null outside any marker
+ */
+function getMarkupStyle(active) {
+    if (active.length === 0) {
+        return null;
+    }
+    const style = {};
+    for (const token of active) {
+        const { weight, ...rest } = token.style;
+        Object.assign(style, rest);
+        if (weight) {
+            style.weight = weight === 'bolder' && style.weight ? getBolderWeight(style.weight) : weight;
+        }
+    }
+    return { ...style, key: active.map(token => token.id).join(' ') };
+}
+
+/**
+ * The next heavier of the weights fonts are offered in (see FONT_WEIGHTS), as CSS 'bolder' picks it
+ * @param {string} weight - Weight: '100'-'900', 'normal' or 'bold'
+ * @returns {string} Heavier weight
+ */
+function getBolderWeight(weight) {
+    const numeric = weight === 'normal' ? 400 : weight === 'bold' ? 700 : parseInt(weight, 10) || 400;
+    if (numeric < 350) {
+        return 'normal';
+    }
+    return numeric < 550 ? 'bold' : '900';
+}
+
+// Make functions available globally for browser usage
+if (typeof window !== 'undefined') {
+    window.parseTextMarkup = parseTextMarkup;
+    window.getBolderWeight = getBolderWeight;
+}
+
+// Export for use in other modules (Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SPAN_SIZE_LIMITS,
+        SPAN_WEIGHTS,
+        parseTextMarkup,
+        getBolderWeight
+    };
+}
@@ -67,29 +67,36 @@ function convertTextToImage(text) {
 /**
  * Convert grayscale image to binary black/white image
  * @param {GrayscaleImage} grayscaleImage - Source grayscale image
+ * @param {Object} options - Threshold, dithering and thickening (see BINARIZE_DEFAULTS; default: a plain threshold at 128)
  * @returns {BlackWhiteImage} BlackWhiteImage object with binary pixel data
  */
-function convertToBlackWhite(grayscaleImage) {
+function convertToBlackWhite(grayscaleImage, options = {}) {
     try {
         if (!(grayscaleImage instanceof GrayscaleImage)) {
             throw new Error('Input must be a GrayscaleImage object');
         }
         
-        const binaryPixels = [];
+        // Black text (0) = true (protected), white background (255) = false (carveable)
+        const binarized = binarizeImage(grayscaleImage, options);
+        const binaryPixels = Array.from(binarized.pixels, value => value === 0);
         
-        // Convert grayscale pixels to binary
-        for (let i = 0; i < grayscaleImage.pixels.length; i++) {
-            const grayValue = grayscaleImage.pixels[i];
-            // Threshold at 128: below = black (true), above = white (false)
-            // Black text (0) = true (protected), white background (255) = false (carveable)
-            binaryPixels.push(grayValue < 128);
-        }
-        
-        return new BlackWhiteImage(
+        const blackWhiteImage = new BlackWhiteImage(
             grayscaleImage.width,
             grayscaleImage.height,
             binaryPixels
         );
+        if (binarized.colors) {
+            blackWhiteImage.colors = binarized.colors;
+        }
+        if (binarized.spanMap) {
+            blackWhiteImage.spans = binarized.spans;
+            blackWhiteImage.spanMap = binarized.spanMap;
+        }
+        if (binarized.charMap) {
+            blackWhiteImage.characters = binarized.characters;
+            blackWhiteImage.charMap = binarized.charMap;
+        }
+        return blackWhiteImage;
         
     } catch (error) {
         const handledError = globalErrorHandler.handleError(error, { 
@@ -280,6 +287,363 @@ function optimizeTextRendering(text) {
     }
 }
 
+const TEXT_RASTER_DEFAULTS = {
+    fontSize: 20,                       // Font size in pixels (= grid squares per line, roughly)
+    fontWeight: 'bold',
+    fontStyle: 'normal',                // 'normal' or 'italic'
+    fontFamily: 'Arial, sans-serif',
+    colorGlyphs: false,                 // Keep the colors of emoji and other colour glyphs (image.colors)
+    ...TEXT_LAYOUT_DEFAULTS             // Alignment, spacing and wrapping (see text-layout.js)
+};
+
+// Largest channel difference between the black and white drawings for a pixel
+// to count as part of a colour glyph (edges of translucent pixels round differently)
+const COLOR_GLYPH_TOLERANCE = 24;
+
+/**
+ * Rasterize text onto a plain 2D canvas (no p5). Each line is drawn as a whole
+ * run, so the font's kerning, ligatures and shaping apply, and the image is
+ * cropped to the ink measured by measureText(). Markup (see text-markup.js)
+ * gives spans their own weight, style, size and reveal color.
+ * @param {string} text - Text to draw, with any markup; '\n' starts a new line
+ * @param {Object} options - See TEXT_RASTER_DEFAULTS
+ * @returns {GrayscaleImage} Grayscale image (0 = black text, 255 = white background); with
+ *   colorGlyphs or span colors, also colors: the CSS color of each pixel drawn by a colour glyph,
+ *   else of its span, else null; with markup, also spans (see parseTextMarkup()) and spanMap:
+ *   the index of the span each pixel was drawn by, -1 for plain text and background; and
+ *   characters and charMap, labelling each pixel with a character (see addCharacterPixels())
+ */
+function rasterizeText(text, options = {}) {
+    try {
+        const settings = { ...TEXT_RASTER_DEFAULTS, ...options };
+        const { fontSize, fontWeight, fontStyle, fontFamily } = settings;
+        const tracking = normalizeTextLayout(settings).letterSpacing;
+        const padding = 1;
+        const { text: plainText, spans } = parseTextMarkup(text);
+        
+        // The CSS font of plain text (span null) and of each span
+        const fonts = new Map();
+        const getFont = span => {
+            if (!fonts.has(span)) {
+                const weight = !span || !span.weight ? fontWeight
+                    : span.weight === 'bolder' ? getBolderWeight(fontWeight) : span.weight;
+                const size = fontSize * (span && span.size ? span.size : 1);
+                const style = span && span.style ? span.style : fontStyle;
+                fonts.set(span, [style, weight, `${size}px`, fontFamily].filter(Boolean).join(' '));
+            }
+            return fonts.get(span);
+        };
+        
+        // Lay out the lines: position of every run
+        const measureCanvas = document.createElement('canvas');
+        const measureCtx = measureCanvas.getContext('2d');
+        spans.forEach(span => {
+            if (span.color) {
+                span.color = toHexColor(measureCtx, span.color);
+            }
+        });
+        const measure = (run, span) => {
+            setTextStyle(measureCtx, getFont(span), tracking);
+            return measureTextRun(measureCtx, run, tracking);
+        };
+        const layout = layoutText(plainText, measure, { ...settings, spans: spans });
+        
+        // Draw the text (or only the runs of one span) with minimal padding around the ink
+        const width = Math.ceil(layout.width) + padding * 2;
+        const height = Math.ceil(layout.height) + padding * 2;
+        const draw = (textColor, backgroundColor, onlySpan) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            
+            if (backgroundColor) {
+                ctx.fillStyle = backgroundColor;
+                ctx.fillRect(0, 0, width, height);
+            }
+            ctx.fillStyle = textColor;
+            
+            layout.lines.forEach(line => {
+                ctx.direction = line.direction;
+                for (const run of line.runs) {
+                    if (onlySpan === undefined || run.span === onlySpan) {
+                        setTextStyle(ctx, getFont(run.span), tracking);
+                        drawTextRun(ctx, run.text, padding - layout.left + run.x, padding - layout.top + line.y, tracking);
+                    }
+                }
+            });
+            return ctx.getImageData(0, 0, width, height).data;
+        };
+        
+        let image;
+        if (settings.colorGlyphs) {
+            image = rasterizeColorGlyphs(draw, width, height, text);
+        } else {
+            // Black text on white: use the red channel as the grayscale value
+            const data = draw(COLORS.TEXT_BLACK, COLORS.TEXT_WHITE);
+            const pixels = new Uint8Array(width * height);
+            for (let i = 0; i < data.length; i += 4) {
+                pixels[i / 4] = data[i];
+            }
+            image = new GrayscaleImage(width, height, pixels, text);
+        }
+        
+        if (spans.length > 0) {
+            addSpanPixels(image, draw, spans);
+        }
+        addCharacterPixels(image, layout, plainText, (run, span) => measure(run, span).width, padding);
+        return image;
+        
+    } catch (error) {
+        const handledError = globalErrorHandler.handleError(error, { text: text, options: options });
+        throw new InvalidTextError(handledError);
+    }
+}
+
+/**
+ * Record which span drew each pixel (the one covering most of it) in image.spans
+ * and image.spanMap, and give pixels of spans with a color that color
+ * @param {GrayscaleImage} image - Rasterized text
+ * @param {Function} draw - (textColor, backgroundColor, onlySpan) => RGBA pixel data of the text,
+ *   or of the runs of one span (null: plain text)
+ * @param {Object[]} spans - Spans of the text, with any color as '#rrggbb'
+ */
+function addSpanPixels(image, draw, spans) {
+    const spanMap = new Int16Array(image.width * image.height).fill(-1);
+    const coverage = draw(COLORS.TEXT_BLACK, null, null).filter((value, index) => index % 4 === 3);
+    
+    spans.forEach((span, index) => {
+        const data = draw(COLORS.TEXT_BLACK, null, span);
+        for (let i = 0; i < spanMap.length; i++) {
+            if (data[i * 4 + 3] > coverage[i]) {
+                coverage[i] = data[i * 4 + 3];
+                spanMap[i] = index;
+            }
+        }
+    });
+    
+    image.spans = spans;
+    image.spanMap = spanMap;
+    
+    if (spans.some(span => span.color)) {
+        const colors = image.colors || new Array(spanMap.length).fill(null);
+        for (let i = 0; i < spanMap.length; i++) {
+            if (spanMap[i] >= 0 && !colors[i]) {
+                colors[i] = spans[spanMap[i]].color;
+            }
+        }
+        image.colors = colors;
+    }
+}
+
+/**
+ * Label the pixels with the characters of the text: image.characters lists every
+ * character (grapheme cluster) but line breaks as { char, word, line, text }, with
+ * char its index in that list, word the index of its word (-1 for spaces) and line
+ * the index of the laid-out line it is on; image.charMap holds for each pixel the
+ * index of the character nearest it on the nearest line, -1 in an image without any
+ * @param {GrayscaleImage} image - Rasterized text
+ * @param {Object} layout - Layout the text was drawn with (see layoutText())
+ * @param {string} text - Text without markup
+ * @param {Function} measureWidth - (run, span) => advance width of a run
+ * @param {number} padding - Space around the ink in the image
+ */
+function addCharacterPixels(image, layout, text, measureWidth, padding) {
+    // Word of each offset in the text
+    const wordAt = new Int32Array(text.length).fill(-1);
+    let wordCount = 0;
+    for (const match of text.matchAll(/\S+/g)) {
+        wordAt.fill(wordCount++, match.index, match.index + match[0].length);
+    }
+
+    // Lines by the offset they start at; spaces dropped by wrapping stay on the line before
+    const lineStarts = layout.lines.map(line => Math.min(Infinity, ...line.runs.map(run => run.start)));
+    const characters = [];
+    const charAt = new Map();
+    let offset = 0;
+    for (const character of splitGraphemes(text)) {
+        if (character !== '\n') {
+            const line = lineStarts.reduce((found, start, index) => start <= offset ? index : found, 0);
+            charAt.set(offset, characters.length);
+            characters.push({ char: characters.length, word: wordAt[offset], line: line, text: character });
+        }
+        offset += character.length;
+    }
+
+    // Horizontal extent of every drawn character but spaces, line by line
+    const boxes = layout.lines.map(line => {
+        const lineBoxes = [];
+        for (const run of line.runs) {
+            const runWidth = measureWidth(run.text, run.span);
+            let end = 0;
+            for (const character of splitGraphemes(run.text)) {
+                const left = measureWidth(run.text.slice(0, end), run.span);
+                end += character.length;
+                const right = measureWidth(run.text.slice(0, end), run.span);
+                if (character.trim() !== '' && charAt.has(run.start + end - character.length)) {
+                    lineBoxes.push({
+                        index: charAt.get(run.start + end - character.length),
+                        left: run.x + (line.direction === 'rtl' ? runWidth - right : left),
+                        right: run.x + (line.direction === 'rtl' ? runWidth - left : right)
+                    });
+                }
+            }
+        }
+        return lineBoxes;
+    });
+
+    const distance = (value, low, high) => value < low ? low - value : value > high ? value - high : 0;
+    const charMap = new Int16Array(image.width * image.height).fill(-1);
+    const lines = layout.lines.map((line, index) => ({ ...line, boxes: boxes[index] })).filter(line => line.boxes.length > 0);
+    for (let y = 0; y < image.height && lines.length > 0; y++) {
+        // Coordinates of the layout (first baseline at 0)
+        const layoutY = y + 0.5 - padding + layout.top;
+        const line = lines.reduce((best, candidate) =>
+            distance(layoutY, candidate.y - candidate.ascent, candidate.y + candidate.descent) <
+            distance(layoutY, best.y - best.ascent, best.y + best.descent) ? candidate : best);
+        for (let x = 0; x < image.width; x++) {
+            const layoutX = x + 0.5 - padding + layout.left;
+            const box = line.boxes.reduce((best, candidate) =>
+                distance(layoutX, candidate.left, candidate.right) < distance(layoutX, best.left, best.right) ? candidate : best);
+            charMap[y * image.width + x] = box.index;
+        }
+    }
+
+    image.characters = characters;
+    image.charMap = charMap;
+}
+
+/**
+ * Normalize a CSS color to '#rrggbb' with a canvas context
+ * @param {CanvasRenderingContext2D} ctx - Context to parse the color with
+ * @param {string} color - CSS color
+ * @returns {string|null} Hex color, or null for a missing or invalid color
+ */
+function toHexColor(ctx, color) {
+    if (!color) {
+        return null;
+    }
+    // An invalid color leaves fillStyle unchanged, so it reads back differently after black and white
+    ctx.fillStyle = COLORS.TEXT_BLACK;
+    ctx.fillStyle = color;
+    const parsed = String(ctx.fillStyle);
+    ctx.fillStyle = COLORS.TEXT_WHITE;
+    ctx.fillStyle = color;
+    return String(ctx.fillStyle) === parsed && /^#[0-9a-f]{6}$/i.test(parsed) ? parsed.toLowerCase() : null;
+}
+
+/**
+ * Colour glyph rasterization: coverage becomes the grayscale value, so a yellow
+ * emoji is as solid as black text, and the pixels of colour glyphs keep their color.
+ * The text is drawn twice on transparent canvases, in black and in white; colour
+ * glyphs ignore the fill color, so pixels that match in both drawings are theirs.
+ * @param {Function} draw - (textColor, backgroundColor) => RGBA pixel data of the drawn text
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {string} text - Text that was drawn
+ * @returns {GrayscaleImage} Grayscale image with colors ('#rrggbb' or null per pixel)
+ */
+function rasterizeColorGlyphs(draw, width, height, text) {
+    const dark = draw(COLORS.TEXT_BLACK, null);
+    const light = draw(COLORS.TEXT_WHITE, null);
+    const pixels = new Uint8Array(width * height);
+    const colors = new Array(width * height).fill(null);
+    
+    for (let i = 0; i < pixels.length; i++) {
+        const offset = i * 4;
+        const alpha = dark[offset + 3];
+        pixels[i] = 255 - alpha;
+        
+        const isGlyphColor = alpha > 0 &&
+            Math.abs(dark[offset] - light[offset]) <= COLOR_GLYPH_TOLERANCE &&
+            Math.abs(dark[offset + 1] - light[offset + 1]) <= COLOR_GLYPH_TOLERANCE &&
+            Math.abs(dark[offset + 2] - light[offset + 2]) <= COLOR_GLYPH_TOLERANCE;
+        if (isGlyphColor) {
+            colors[i] = '#' + [dark[offset], dark[offset + 1], dark[offset + 2]]
+                .map(value => value.toString(16).padStart(2, '0')).join('');
+        }
+    }
+    
+    const image = new GrayscaleImage(width, height, pixels, text);
+    image.colors = colors;
+    return image;
+}
+
+/**
+ * Set the font, kerning and letter spacing a run is measured and drawn with
+ * @param {CanvasRenderingContext2D} ctx - Context
+ * @param {string} font - CSS font
+ * @param {number} tracking - Letter spacing in pixels
+ */
+function setTextStyle(ctx, font, tracking) {
+    ctx.font = font;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'alphabetic';
+    ctx.fontKerning = 'normal';
+    if ('letterSpacing' in ctx) {
+        ctx.letterSpacing = `${tracking}px`;
+    }
+}
+
+/**
+ * Whether letter spacing has to be added by hand, one character at a time
+ * (browsers without CanvasRenderingContext2D.letterSpacing)
+ * @param {CanvasRenderingContext2D} ctx - Context
+ * @param {number} tracking - Letter spacing in pixels
+ * @returns {boolean} True if the run cannot be drawn whole
+ */
+function needsManualTracking(ctx, tracking) {
+    return tracking !== 0 && !('letterSpacing' in ctx);
+}
+
+/**
+ * Measure a run as drawTextRun() draws it
+ * @param {CanvasRenderingContext2D} ctx - Context with the text style set
+ * @param {string} run - Text
+ * @param {number} tracking - Letter spacing in pixels
+ * @returns {TextMetrics|Object} Metrics (width and actual bounding box)
+ */
+function measureTextRun(ctx, run, tracking) {
+    if (!needsManualTracking(ctx, tracking)) {
+        return ctx.measureText(run);
+    }
+    
+    // Character by character, keeping combining marks on their letter
+    const metrics = ctx.measureText(run);
+    const width = splitGraphemes(run).reduce((sum, character) => sum + ctx.measureText(character).width + tracking, 0);
+    return {
+        width: width,
+        actualBoundingBoxLeft: metrics.actualBoundingBoxLeft,
+        actualBoundingBoxRight: metrics.actualBoundingBoxRight + (width - metrics.width),
+        actualBoundingBoxAscent: metrics.actualBoundingBoxAscent,
+        actualBoundingBoxDescent: metrics.actualBoundingBoxDescent
+    };
+}
+
+/**
+ * Draw a run at its baseline
+ * @param {CanvasRenderingContext2D} ctx - Context with the text style set
+ * @param {string} run - Text
+ * @param {number} x - Left edge
+ * @param {number} y - Baseline
+ * @param {number} tracking - Letter spacing in pixels
+ */
+function drawTextRun(ctx, run, x, y, tracking) {
+    if (!needsManualTracking(ctx, tracking)) {
+        ctx.fillText(run, x, y);
+        return;
+    }
+    
+    const characters = splitGraphemes(run);
+    if (ctx.direction === 'rtl') {
+        characters.reverse();
+    }
+    for (const character of characters) {
+        ctx.fillText(character, x, y);
+        x += ctx.measureText(character).width + tracking;
+    }
+}
+
 /**
  * Enhanced text to image conversion with optimization
  * @param {string} text - Input text
@@ -332,6 +696,7 @@ if (typeof window !== 'undefined') {
     window.getTextMetrics = getTextMetrics;
     window.optimizeTextRendering = optimizeTextRendering;
     window.convertTextToImageOptimized = convertTextToImageOptimized;
+    window.rasterizeText = rasterizeText;
 }
 
 // Export for use in other modules (Node.js)
@@ -343,6 +708,7 @@ if (typeof module !== 'undefined' && module.exports) {
         drawBinaryPreview,
         getTextMetrics,
         optimizeTextRendering,
-        convertTextToImageOptimized
+        convertTextToImageOptimized,
+        rasterizeText
     };
 }
@@ -121,7 +121,21 @@ function loadConfigFromURL() {
             deviationAngle: urlParams.get('deviationAngle') || urlParams.get('deviation') || urlParams.get('angle'),
             movementSpeed: urlParams.get('movementSpeed') || urlParams.get('speed'),
             fontSize: urlParams.get('fontSize') || urlParams.get('textResolution') || urlParams.get('resolution'),
-            text: urlParams.get('text')
+            font: urlParams.get('font'),
+            fontWeight: urlParams.get('weight') || urlParams.get('fontWeight'),
+            fontStyle: urlParams.get('style') || urlParams.get('fontStyle'),
+            align: urlParams.get('align'),
+            lineSpacing: urlParams.get('lineSpacing'),
+            letterSpacing: urlParams.get('letterSpacing'),
+            maxChars: urlParams.get('wrap') || urlParams.get('maxChars'),
+            colorGlyphs: urlParams.get('emoji') || urlParams.get('colorGlyphs'),
+            threshold: urlParams.get('threshold'),
+            dither: urlParams.get('dither'),
+            thicken: urlParams.get('thicken'),
+            text: urlParams.get('text'),
+            seed: urlParams.get('seed'),
+            duration: urlParams.get('duration') || urlParams.get('targetDuration'),
+            revealOrder: urlParams.get('reveal') || urlParams.get('revealOrder')
         };
         
         // Check if we should enter viewer mode
@@ -187,6 +201,91 @@ function loadConfigFromURL() {
             }
         }
         
+        // Font, weight and style (unknown values keep the default)
+        if (config.font || config.fontWeight || config.fontStyle) {
+            const fontSettings = normalizeFontSettings({
+                font: config.font,
+                weight: config.fontWeight,
+                style: config.fontStyle
+            });
+            setFontControls(fontSettings);
+            paramsApplied = true;
+        }
+        
+        // Alignment, spacing and wrapping (invalid values keep the default)
+        if (config.align || config.lineSpacing || config.letterSpacing || config.maxChars) {
+            setTextLayoutControls(normalizeTextLayout({
+                align: config.align,
+                lineSpacing: config.lineSpacing,
+                letterSpacing: config.letterSpacing,
+                maxChars: config.maxChars
+            }));
+            paramsApplied = true;
+        }
+        
+        // Colour emoji
+        if (config.colorGlyphs) {
+            const colorGlyphsCheckbox = document.getElementById('color-glyphs');
+            if (colorGlyphsCheckbox) {
+                colorGlyphsCheckbox.checked = config.colorGlyphs === 'true' || config.colorGlyphs === '1';
+                paramsApplied = true;
+            }
+        }
+        
+        // Threshold ('auto' for Otsu), dithering and stroke thickening
+        if (config.threshold || config.dither || config.thicken) {
+            const auto = String(config.threshold || '').toLowerCase() === 'auto';
+            setBinarizeControls(normalizeBinarizeOptions({
+                threshold: config.threshold && !auto ? config.threshold : BINARIZE_DEFAULTS.threshold,
+                autoThreshold: auto,
+                dither: config.dither,
+                thicken: config.thicken
+            }));
+            paramsApplied = true;
+        }
+        
+        // Seed
+        if (config.seed) {
+            const seed = parseSeed(config.seed);
+            if (seed !== null) {
+                const seedInput = document.getElementById('seed');
+                if (seedInput) {
+                    seedInput.value = seed;
+                    if (animationParameters) {
+                        animationParameters.seed = seed;
+                    }
+                    paramsApplied = true;
+                }
+            }
+        }
+        
+        // Target duration
+        if (config.duration) {
+            const duration = parseTargetDuration(config.duration);
+            if (duration !== null) {
+                const durationInput = document.getElementById('target-duration');
+                if (durationInput) {
+                    durationInput.value = duration;
+                    if (animationParameters) {
+                        animationParameters.targetDuration = duration;
+                    }
+                    paramsApplied = true;
+                }
+            }
+        }
+        
+        // Reveal order
+        if (config.revealOrder) {
+            const revealOrderSelect = document.getElementById('reveal-order');
+            if (revealOrderSelect) {
+                revealOrderSelect.value = normalizeRevealOrder(config.revealOrder);
+                if (animationParameters) {
+                    animationParameters.revealOrder = revealOrderSelect.value;
+                }
+                paramsApplied = true;
+            }
+        }
+        
         // Text input
         if (config.text) {
             const textInput = document.getElementById('text-input');
@@ -227,6 +326,156 @@ function loadConfigFromURL() {
     }
 }
 
+/**
+ * Threshold, dithering and stroke settings from the controls
+ * @returns {Object} Options for binarizeImage() (see BINARIZE_DEFAULTS)
+ */
+function getBinarizeOptionsFromUI() {
+    const thresholdSlider = document.getElementById('threshold');
+    const autoCheckbox = document.getElementById('threshold-auto');
+    const ditherSelect = document.getElementById('dither');
+    const thickenSlider = document.getElementById('thicken');
+    
+    return normalizeBinarizeOptions({
+        threshold: thresholdSlider ? thresholdSlider.value : BINARIZE_DEFAULTS.threshold,
+        autoThreshold: autoCheckbox ? autoCheckbox.checked : BINARIZE_DEFAULTS.autoThreshold,
+        dither: ditherSelect ? ditherSelect.value : BINARIZE_DEFAULTS.dither,
+        thicken: thickenSlider ? thickenSlider.value : BINARIZE_DEFAULTS.thicken
+    });
+}
+
+/**
+ * Show threshold, dithering and stroke settings in their controls
+ * @param {Object} options - Options from normalizeBinarizeOptions()
+ */
+function setBinarizeControls(options) {
+    const thresholdSlider = document.getElementById('threshold');
+    if (thresholdSlider) {
+        thresholdSlider.value = options.threshold;
+    }
+    const autoCheckbox = document.getElementById('threshold-auto');
+    if (autoCheckbox) {
+        autoCheckbox.checked = options.autoThreshold;
+    }
+    const ditherSelect = document.getElementById('dither');
+    if (ditherSelect) {
+        ditherSelect.value = options.dither;
+    }
+    const thickenSlider = document.getElementById('thicken');
+    if (thickenSlider) {
+        thickenSlider.value = options.thicken;
+    }
+    updateBinarizeDisplays();
+}
+
+/**
+ * Update the threshold and stroke value labels (the threshold slider is off while Auto is on)
+ */
+function updateBinarizeDisplays() {
+    const thresholdSlider = document.getElementById('threshold');
+    const thresholdValue = document.getElementById('threshold-value');
+    const autoCheckbox = document.getElementById('threshold-auto');
+    const auto = !!(autoCheckbox && autoCheckbox.checked);
+    if (thresholdSlider) {
+        thresholdSlider.disabled = auto;
+    }
+    if (thresholdSlider && thresholdValue) {
+        thresholdValue.textContent = auto ? 'auto' : thresholdSlider.value;
+    }
+    
+    const thickenSlider = document.getElementById('thicken');
+    const thickenValue = document.getElementById('thicken-value');
+    if (thickenSlider && thickenValue) {
+        const thicken = parseInt(thickenSlider.value, 10);
+        thickenValue.textContent = thicken > 0 ? `+${thicken}` : String(thicken);
+    }
+}
+
+/**
+ * Alignment, spacing and wrapping settings from the controls
+ * @returns {Object} Layout options for rasterizeText() (see TEXT_LAYOUT_DEFAULTS)
+ */
+function getTextLayoutFromUI() {
+    const alignSelect = document.getElementById('text-align');
+    const lineSpacingSlider = document.getElementById('line-spacing');
+    const letterSpacingSlider = document.getElementById('letter-spacing');
+    const wrapInput = document.getElementById('wrap-chars');
+    
+    return normalizeTextLayout({
+        align: alignSelect ? alignSelect.value : TEXT_LAYOUT_DEFAULTS.align,
+        lineSpacing: lineSpacingSlider ? lineSpacingSlider.value : TEXT_LAYOUT_DEFAULTS.lineSpacing,
+        letterSpacing: letterSpacingSlider ? letterSpacingSlider.value : TEXT_LAYOUT_DEFAULTS.letterSpacing,
+        maxChars: wrapInput ? wrapInput.value : TEXT_LAYOUT_DEFAULTS.maxChars
+    });
+}
+
+/**
+ * Show alignment, spacing and wrapping settings in their controls
+ * @param {Object} layout - Options from normalizeTextLayout()
+ */
+function setTextLayoutControls(layout) {
+    const alignSelect = document.getElementById('text-align');
+    if (alignSelect) {
+        alignSelect.value = layout.align;
+    }
+    const lineSpacingSlider = document.getElementById('line-spacing');
+    if (lineSpacingSlider) {
+        lineSpacingSlider.value = layout.lineSpacing;
+    }
+    const letterSpacingSlider = document.getElementById('letter-spacing');
+    if (letterSpacingSlider) {
+        letterSpacingSlider.value = layout.letterSpacing;
+    }
+    const wrapInput = document.getElementById('wrap-chars');
+    if (wrapInput) {
+        // An empty field reads as "off"
+        wrapInput.value = layout.maxChars > 0 ? layout.maxChars : '';
+    }
+    updateTextLayoutDisplays();
+}
+
+/**
+ * Update the line and letter spacing value labels
+ */
+function updateTextLayoutDisplays() {
+    const lineSpacingSlider = document.getElementById('line-spacing');
+    const lineSpacingValue = document.getElementById('line-spacing-value');
+    if (lineSpacingSlider && lineSpacingValue) {
+        lineSpacingValue.textContent = `${parseFloat(lineSpacingSlider.value).toFixed(1)}x`;
+    }
+    
+    const letterSpacingSlider = document.getElementById('letter-spacing');
+    const letterSpacingValue = document.getElementById('letter-spacing-value');
+    if (letterSpacingSlider && letterSpacingValue) {
+        const letterSpacing = parseInt(letterSpacingSlider.value, 10);
+        letterSpacingValue.textContent = letterSpacing > 0 ? `+${letterSpacing}` : String(letterSpacing);
+    }
+}
+
+/**
+ * Show font settings in the font pickers
+ * @param {Object} fontSettings - { font, weight, style } from normalizeFontSettings()
+ */
+function setFontControls(fontSettings) {
+    // An uploaded font named by a shared link may not be on this device (yet)
+    if (!getFontChoice(fontSettings.font)) {
+        addFontOption(getCustomFontChoice(fontSettings.font), false);
+    }
+    
+    const values = {
+        'font-family': fontSettings.font,
+        'font-weight': fontSettings.weight,
+        'font-style': fontSettings.style
+    };
+    
+    Object.keys(values).forEach(id => {
+        const select = document.getElementById(id);
+        if (select) {
+            select.value = values[id];
+        }
+    });
+}
+
 /**
  * Generate URL with current configuration
  */
@@ -259,6 +508,77 @@ function generateConfigURL() {
             params.set('fontSize', fontSizeSlider.value);
         }
         
+        const fontFamilySelect = document.getElementById('font-family');
+        if (fontFamilySelect) {
+            params.set('font', fontFamilySelect.value);
+        }
+        
+        const fontWeightSelect = document.getElementById('font-weight');
+        if (fontWeightSelect) {
+            params.set('weight', fontWeightSelect.value);
+        }
+        
+        const fontStyleSelect = document.getElementById('font-style');
+        if (fontStyleSelect) {
+            params.set('style', fontStyleSelect.value);
+        }
+        
+        // Layout only when it differs from plain left-aligned text
+        const layout = getTextLayoutFromUI();
+        if (layout.align !== TEXT_LAYOUT_DEFAULTS.align) {
+            params.set('align', layout.align);
+        }
+        if (layout.lineSpacing !== TEXT_LAYOUT_DEFAULTS.lineSpacing) {
+            params.set('lineSpacing', layout.lineSpacing);
+        }
+        if (layout.letterSpacing !== TEXT_LAYOUT_DEFAULTS.letterSpacing) {
+            params.set('letterSpacing', layout.letterSpacing);
+        }
+        if (layout.maxChars !== TEXT_LAYOUT_DEFAULTS.maxChars) {
+            params.set('wrap', layout.maxChars);
+        }
+        
+        const colorGlyphsCheckbox = document.getElementById('color-glyphs');
+        if (colorGlyphsCheckbox && colorGlyphsCheckbox.checked) {
+            params.set('emoji', 'true');
+        }
+        
+        // Binarization only when it differs from the plain threshold at 128
+        const binarize = getBinarizeOptionsFromUI();
+        if (binarize.autoThreshold) {
+            params.set('threshold', 'auto');
+        } else if (binarize.threshold !== BINARIZE_DEFAULTS.threshold) {
+            params.set('threshold', binarize.threshold);
+        }
+        if (binarize.dither !== BINARIZE_DEFAULTS.dither) {
+            params.set('dither', binarize.dither);
+        }
+        if (binarize.thicken !== BINARIZE_DEFAULTS.thicken) {
+            params.set('thicken', binarize.thicken);
+        }
+        
+        // Share the seed so the recipient sees exactly this animation:
+        // the one typed in, otherwise the seed the current run was given
+        const seedInput = document.getElementById('seed');
+        let seed = seedInput ? parseSeed(seedInput.value) : null;
+        if (seed === null && simulationEngine) {
+            seed = simulationEngine.seed;
+        }
+        if (seed !== null) {
+            params.set('seed', seed);
+        }
+        
+        const durationInput = document.getElementById('target-duration');
+        const duration = durationInput ? parseTargetDuration(durationInput.value) : null;
+        if (duration !== null) {
+            params.set('duration', duration);
+        }
+        
+        const revealOrderSelect = document.getElementById('reveal-order');
+        if (revealOrderSelect && revealOrderSelect.value !== 'all') {
+            params.set('reveal', revealOrderSelect.value);
+        }
+        
         const textInput = document.getElementById('text-input');
         if (textInput && textInput.value.trim()) {
             params.set('text', encodeURIComponent(textInput.value.trim()));
@@ -283,7 +603,9 @@ function copyConfigURL() {
             navigator.clipboard.writeText(url).then(() => {
                 console.log('Sharable URL copied to clipboard');
                 // Optionally show a notification to the user
-                showNotification('Sharable URL copied to clipboard!');
+                showNotification(hasLogoInput()
+                    ? 'Sharable URL copied - it carries the settings and text, not the uploaded image'
+                    : 'Sharable URL copied to clipboard!', hasLogoInput() ? 5000 : 3000);
             }).catch(err => {
                 console.error('Failed to copy URL:', err);
                 fallbackCopyURL(url);
@@ -414,6 +736,9 @@ function initializeUIControls() {
         // Load configuration from URL parameters
         loadConfigFromURL();
         
+        // Bring back fonts uploaded on earlier visits
+        restoreUploadedFonts();
+        
         // Initialize parameter displays
         updateParameterDisplays();
         
@@ -471,6 +796,39 @@ function setupParameterControls() {
             });
         }
         
+        // Seed input (blank = new random seed each run)
+        const seedInput = document.getElementById('seed');
+        
+        if (seedInput) {
+            seedInput.addEventListener('input', function() {
+                if (animationParameters) {
+                    animationParameters.seed = parseSeed(this.value);
+                }
+            });
+        }
+        
+        // Target duration input (blank = off); applies from the next run
+        const durationInput = document.getElementById('target-duration');
+        
+        if (durationInput) {
+            durationInput.addEventListener('input', function() {
+                if (animationParameters) {
+                    animationParameters.targetDuration = parseTargetDuration(this.value);
+                }
+            });
+        }
+        
+        // Reveal order select; applies from the next run
+        const revealOrderSelect = document.getElementById('reveal-order');
+        
+        if (revealOrderSelect) {
+            revealOrderSelect.addEventListener('change', function() {
+                if (animationParameters) {
+                    animationParameters.revealOrder = normalizeRevealOrder(this.value);
+                }
+            });
+        }
+        
     } catch (error) {
         globalErrorHandler.handleError(error, { context: 'setupParameterControls' });
     }
@@ -507,6 +865,136 @@ function setupButtonControls() {
             shareConfigBtn.addEventListener('click', copyConfigURL);
         }
         
+        // Play (Breakout game mode) button
+        const playBtn = document.getElementById('play-btn');
+        if (playBtn) {
+            playBtn.addEventListener('click', function() {
+                startBreakoutGame();
+            });
+        }
+        
+        // Pause/resume and single-step buttons
+        const pauseBtn = document.getElementById('pause-btn');
+        if (pauseBtn) {
+            pauseBtn.addEventListener('click', togglePause);
+        }
+        
+        const stepBtn = document.getElementById('step-btn');
+        if (stepBtn) {
+            stepBtn.addEventListener('click', stepAnimationFrame);
+        }
+        
+        // Timeline scrub bar (dragging pauses and rewinds to the chosen step)
+        const timelineScrub = document.getElementById('timeline-scrub');
+        if (timelineScrub) {
+            timelineScrub.addEventListener('input', function() {
+                seekAnimation(parseInt(timelineScrub.value, 10));
+            });
+        }
+        
+        // Playback speed (how fast time passes; movementSpeed is the ball speed)
+        const playbackSpeedSelect = document.getElementById('playback-speed');
+        if (playbackSpeedSelect) {
+            playbackSpeedSelect.addEventListener('change', function() {
+                setPlaybackSpeed(playbackSpeedSelect.value);
+            });
+        }
+        
+        // Export video button
+        const exportVideoBtn = document.getElementById('export-video-btn');
+        if (exportVideoBtn) {
+            exportVideoBtn.addEventListener('click', function() {
+                exportAnimationVideo();
+            });
+        }
+        
+        // Export GIF button
+        const exportGifBtn = document.getElementById('export-gif-btn');
+        if (exportGifBtn) {
+            exportGifBtn.addEventListener('click', function() {
+                exportAnimationGif();
+            });
+        }
+        
+        // Font upload (font files can also be dropped anywhere on the page)
+        const uploadFontBtn = document.getElementById('upload-font-btn');
+        const fontFileInput = document.getElementById('font-file');
+        if (uploadFontBtn && fontFileInput) {
+            uploadFontBtn.addEventListener('click', function() {
+                fontFileInput.click();
+            });
+            fontFileInput.addEventListener('change', function() {
+                loadFontFile(fontFileInput.files[0]);
+                // Allow uploading the same file again
+                fontFileInput.value = '';
+            });
+        }
+        setupFontDrop();
+        
+        // Image upload (replaces the text until "Use text")
+        const uploadImageBtn = document.getElementById('upload-image-btn');
+        const imageFileInput = document.getElementById('image-file');
+        if (uploadImageBtn && imageFileInput) {
+            uploadImageBtn.addEventListener('click', function() {
+                imageFileInput.click();
+            });
+            imageFileInput.addEventListener('change', function() {
+                loadLogoFile(imageFileInput.files[0]);
+                // Allow uploading the same file again
+                imageFileInput.value = '';
+            });
+        }
+        
+        const clearImageBtn = document.getElementById('clear-image-btn');
+        if (clearImageBtn) {
+            clearImageBtn.addEventListener('click', clearLogo);
+        }
+        
+        // Image settings show their value while dragging and restart the carve when let go
+        ['image-resolution', 'image-invert'].forEach(controlId => {
+            const control = document.getElementById(controlId);
+            if (control) {
+                control.addEventListener('input', updateImageControls);
+                control.addEventListener('change', restartWithLogo);
+            }
+        });
+        
+        // Spacing sliders show their value while dragging; layout applies to the next run
+        ['line-spacing', 'letter-spacing'].forEach(controlId => {
+            const control = document.getElementById(controlId);
+            if (control) {
+                control.addEventListener('input', updateTextLayoutDisplays);
+            }
+        });
+        
+        // Threshold, dithering and stroke apply to the next run (straight away for an image)
+        ['threshold', 'threshold-auto', 'dither', 'thicken'].forEach(controlId => {
+            const control = document.getElementById(controlId);
+            if (control) {
+                control.addEventListener('input', updateBinarizeDisplays);
+                control.addEventListener('change', restartWithLogo);
+            }
+        });
+        
+        // Replay download and upload
+        const downloadReplayBtn = document.getElementById('download-replay-btn');
+        if (downloadReplayBtn) {
+            downloadReplayBtn.addEventListener('click', downloadReplay);
+        }
+        
+        const loadReplayBtn = document.getElementById('load-replay-btn');
+        const replayFileInput = document.getElementById('replay-file');
+        if (loadReplayBtn && replayFileInput) {
+            loadReplayBtn.addEventListener('click', function() {
+                replayFileInput.click();
+            });
+            replayFileInput.addEventListener('change', function() {
+                loadReplayFile(replayFileInput.files[0]);
+                // Allow loading the same file again
+                replayFileInput.value = '';
+            });
+        }
+        
     } catch (error) {
         globalErrorHandler.handleError(error, { context: 'setupButtonControls' });
     }
@@ -662,6 +1150,21 @@ function updateParameterDisplays() {
             movementSpeedSlider.value = animationParameters.movementSpeed;
         }
         
+        const seedInput = document.getElementById('seed');
+        if (seedInput) {
+            seedInput.value = animationParameters.seed !== null && animationParameters.seed !== undefined ? animationParameters.seed : '';
+        }
+        
+        const durationInput = document.getElementById('target-duration');
+        if (durationInput) {
+            durationInput.value = animationParameters.targetDuration > 0 ? animationParameters.targetDuration : '';
+        }
+        
+        const revealOrderSelect = document.getElementById('reveal-order');
+        if (revealOrderSelect) {
+            revealOrderSelect.value = normalizeRevealOrder(animationParameters.revealOrder);
+        }
+        
     } catch (error) {
         globalErrorHandler.handleError(error, { context: 'updateParameterDisplays' });
     }
@@ -676,6 +1179,9 @@ function updateParametersFromUI() {
         const ballCountSlider = document.getElementById('ball-count');
         const deviationAngleSlider = document.getElementById('deviation-angle');
         const movementSpeedSlider = document.getElementById('movement-speed');
+        const seedInput = document.getElementById('seed');
+        const durationInput = document.getElementById('target-duration');
+        const revealOrderSelect = document.getElementById('reveal-order');
         
         if (!animationParameters) {
             animationParameters = new AnimationParameters();
@@ -693,6 +1199,18 @@ function updateParametersFromUI() {
             animationParameters.movementSpeed = parseFloat(movementSpeedSlider.value);
         }
         
+        if (seedInput) {
+            animationParameters.seed = parseSeed(seedInput.value);
+        }
+        
+        if (durationInput) {
+            animationParameters.targetDuration = parseTargetDuration(durationInput.value);
+        }
+        
+        if (revealOrderSelect) {
+            animationParameters.revealOrder = normalizeRevealOrder(revealOrderSelect.value);
+        }
+        
         // Validate parameters
         animationParameters.validate();
         
@@ -725,7 +1243,10 @@ function setParameterControlsEnabled(enabled) {
         const controls = [
             'ball-count',
             'deviation-angle', 
-            'movement-speed'
+            'movement-speed',
+            'seed',
+            'target-duration',
+            'reveal-order'
         ];
         
         controls.forEach(controlId => {
@@ -902,6 +1423,13 @@ if (typeof module !== 'undefined' && module.exports) {
         setParameters,
         showParameterTooltips,
         loadConfigFromURL,
+        getBinarizeOptionsFromUI,
+        setBinarizeControls,
+        updateBinarizeDisplays,
+        getTextLayoutFromUI,
+        setTextLayoutControls,
+        updateTextLayoutDisplays,
+        setFontControls,
         generateConfigURL,
         copyConfigURL,
         showNotification,
@@ -0,0 +1,332 @@
+/**
+ * Video Export Module
+ * Records the carving animation from the p5 canvas to a downloadable WebM file
+ */
+
+const VIDEO_MIME_TYPES = [
+    'video/webm;codecs=vp9',
+    'video/webm;codecs=vp8',
+    'video/webm'
+];
+
+const VIDEO_EXPORT_DEFAULTS = {
+    height: 0,          // Output height in pixels (0 = same as the canvas)
+    frameRate: 30,      // Frames per second of the recording
+    holdSeconds: 2,     // Keep recording the final frame for this long after completion
+    maxSeconds: 300     // Safety limit in case the animation never completes
+};
+
+let pendingVideoExport = null; // Options for the export armed by exportAnimationVideo()
+let activeVideoRecorder = null; // Recorder attached to the running animation
+
+/**
+ * Check whether this browser can record canvas video
+ * @returns {boolean} True if MediaRecorder and canvas.captureStream are available
+ */
+function isVideoExportSupported() {
+    return typeof window !== 'undefined' &&
+        typeof window.MediaRecorder === 'function' &&
+        typeof HTMLCanvasElement !== 'undefined' &&
+        typeof HTMLCanvasElement.prototype.captureStream === 'function';
+}
+
+/**
+ * Pick the best WebM MIME type the browser can record
+ * @returns {string} MIME type
+ */
+function getSupportedVideoMimeType() {
+    for (const mimeType of VIDEO_MIME_TYPES) {
+        if (MediaRecorder.isTypeSupported(mimeType)) {
+            return mimeType;
+        }
+    }
+    return 'video/webm';
+}
+
+/**
+ * Records frames copied from a source canvas into a scaled recording canvas
+ */
+class VideoRecorder {
+    /**
+     * @param {HTMLCanvasElement} sourceCanvas - Canvas to record (the p5 canvas)
+     * @param {Object} options - See VIDEO_EXPORT_DEFAULTS
+     */
+    constructor(sourceCanvas, options = {}) {
+        this.sourceCanvas = sourceCanvas;
+        this.options = { ...VIDEO_EXPORT_DEFAULTS, ...options };
+
+        // Record through a separate canvas so the output resolution is independent of the page layout
+        const aspectRatio = sourceCanvas.width / sourceCanvas.height;
+        const height = this.options.height > 0 ? this.options.height : sourceCanvas.height;
+        this.canvas = document.createElement('canvas');
+        this.canvas.height = Math.round(height / 2) * 2; // Even dimensions for the encoder
+        this.canvas.width = Math.round(height * aspectRatio / 2) * 2;
+        this.context = this.canvas.getContext('2d');
+
+        this.mimeType = getSupportedVideoMimeType();
+        this.chunks = [];
+        this.startTime = 0;
+        this.completedTime = null;
+        this.isRecording = false;
+        this.truncated = false; // Set when maxSeconds stopped the recording before the animation completed
+    }
+
+    /**
+     * Start recording
+     */
+    start() {
+        const stream = this.canvas.captureStream(this.options.frameRate);
+        this.mediaRecorder = new MediaRecorder(stream, {
+            mimeType: this.mimeType,
+            videoBitsPerSecond: 8000000
+        });
+        this.mediaRecorder.addEventListener('dataavailable', (event) => {
+            if (event.data && event.data.size > 0) {
+                this.chunks.push(event.data);
+            }
+        });
+        this.copySourceFrame();
+        this.mediaRecorder.start(1000);
+        this.startTime = performance.now();
+        this.isRecording = true;
+    }
+
+    /**
+     * Copy the current source canvas frame into the recording canvas
+     */
+    copySourceFrame() {
+        this.context.drawImage(this.sourceCanvas, 0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    /**
+     * Capture one frame; call after each draw()
+     * @param {boolean} isComplete - Whether the animation has completed
+     * @returns {boolean} True once the recording is finished (hold time elapsed or limit reached)
+     */
+    captureFrame(isComplete) {
+        if (!this.isRecording) {
+            return false;
+        }
+
+        const now = performance.now();
+
+        if (this.completedTime === null) {
+            this.copySourceFrame();
+            if (isComplete) {
+                this.completedTime = now;
+            }
+        } else {
+            // Hold the final frame: repaint it so the stream keeps emitting frames
+            this.context.drawImage(this.canvas, 0, 0);
+        }
+
+        const heldFor = this.completedTime === null ? 0 : now - this.completedTime;
+        if (heldFor >= this.options.holdSeconds * 1000) {
+            return true;
+        }
+        if (now - this.startTime >= this.options.maxSeconds * 1000) {
+            this.truncated = this.completedTime === null;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Stop recording
+     * @returns {Promise<Blob>} The recorded WebM video
+     */
+    stop() {
+        return new Promise((resolve, reject) => {
+            if (!this.mediaRecorder || this.mediaRecorder.state === 'inactive') {
+                reject(new AnimationError('Video recorder is not running'));
+                return;
+            }
+            this.mediaRecorder.addEventListener('stop', () => {
+                resolve(new Blob(this.chunks, { type: 'video/webm' }));
+            }, { once: true });
+            this.isRecording = false;
+            this.mediaRecorder.stop();
+        });
+    }
+
+    /**
+     * Stop recording and discard the result
+     */
+    cancel() {
+        this.isRecording = false;
+        if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+            this.mediaRecorder.stop();
+        }
+        this.chunks = [];
+    }
+}
+
+/**
+ * Save a blob as a file download
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Download file name
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Read video export options from the export controls
+ * @returns {Object} Video export options
+ */
+function getVideoExportOptionsFromUI() {
+    const options = {};
+
+    const resolutionSelect = document.getElementById('video-resolution');
+    if (resolutionSelect) {
+        options.height = parseInt(resolutionSelect.value, 10) || 0;
+    }
+
+    const frameRateSelect = document.getElementById('video-frame-rate');
+    if (frameRateSelect) {
+        options.frameRate = parseInt(frameRateSelect.value, 10) || VIDEO_EXPORT_DEFAULTS.frameRate;
+    }
+
+    const holdInput = document.getElementById('export-hold');
+    if (holdInput) {
+        const holdSeconds = parseFloat(holdInput.value);
+        if (!isNaN(holdSeconds) && holdSeconds >= 0) {
+            options.holdSeconds = Math.min(holdSeconds, 30);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Restart the animation and record it to WebM until it completes
+ * @param {Object} options - Video export options (defaults to the export controls)
+ */
+function exportAnimationVideo(options) {
+    try {
+        if (!isVideoExportSupported()) {
+            showNotification('Video export is not supported in this browser');
+            return;
+        }
+
+        if (activeVideoRecorder) {
+            activeVideoRecorder.cancel();
+            activeVideoRecorder = null;
+        }
+
+        // Arm the export; startAnimation() attaches the recorder to the new run
+        pendingVideoExport = options || getVideoExportOptionsFromUI();
+
+        const starting = typeof window.startNewAnimation === 'function' ? window.startNewAnimation() : null;
+
+        // The animation starts once its font is loaded
+        Promise.resolve(starting).then(() => {
+            if (pendingVideoExport) {
+                // The animation did not start (e.g. no text entered)
+                pendingVideoExport = null;
+            }
+        });
+
+    } catch (error) {
+        pendingVideoExport = null;
+        globalErrorHandler.handleError(error, { context: 'exportAnimationVideo' });
+        showNotification('Video export failed');
+    }
+}
+
+/**
+ * Attach the armed video export (if any) to the animation that just started
+ * @param {HTMLCanvasElement} sourceCanvas - Canvas to record
+ */
+function beginPendingVideoExport(sourceCanvas) {
+    try {
+        // A new run replaces whatever was being recorded
+        if (activeVideoRecorder) {
+            activeVideoRecorder.cancel();
+            activeVideoRecorder = null;
+        }
+
+        if (!pendingVideoExport || !sourceCanvas) {
+            return;
+        }
+
+        const options = pendingVideoExport;
+        pendingVideoExport = null;
+
+        activeVideoRecorder = new VideoRecorder(sourceCanvas, options);
+        activeVideoRecorder.start();
+        document.body.classList.add('recording');
+        showNotification('Recording video...');
+
+    } catch (error) {
+        activeVideoRecorder = null;
+        globalErrorHandler.handleError(error, { context: 'beginPendingVideoExport' });
+        showNotification('Video export failed');
+    }
+}
+
+/**
+ * Feed the current frame to the active recorder; call at the end of draw()
+ * @param {boolean} isComplete - Whether the animation has completed
+ */
+function captureVideoExportFrame(isComplete) {
+    try {
+        if (!activeVideoRecorder) {
+            return;
+        }
+
+        if (activeVideoRecorder.captureFrame(isComplete)) {
+            const recorder = activeVideoRecorder;
+            activeVideoRecorder = null;
+            document.body.classList.remove('recording');
+
+            recorder.stop().then(blob => {
+                const seed = simulationEngine ? simulationEngine.seed : Date.now();
+                downloadBlob(blob, `text-breakout-${seed}.webm`);
+                if (recorder.truncated) {
+                    showNotification(`Video exported, but cut short: recording stops after ${recorder.options.maxSeconds} s ` +
+                        'and the carve had not finished', 6000);
+                } else {
+                    showNotification('Video exported!');
+                }
+            }).catch(error => {
+                globalErrorHandler.handleError(error, { context: 'captureVideoExportFrame' });
+                showNotification('Video export failed');
+            });
+        }
+
+    } catch (error) {
+        activeVideoRecorder = null;
+        document.body.classList.remove('recording');
+        globalErrorHandler.handleError(error, { context: 'captureVideoExportFrame' });
+    }
+}
+
+// Make classes and functions available globally for browser usage
+if (typeof window !== 'undefined') {
+    window.VideoRecorder = VideoRecorder;
+    window.isVideoExportSupported = isVideoExportSupported;
+    window.downloadBlob = downloadBlob;
+    window.exportAnimationVideo = exportAnimationVideo;
+    window.beginPendingVideoExport = beginPendingVideoExport;
+    window.captureVideoExportFrame = captureVideoExportFrame;
+}
+
+// Export for use in other modules (Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        VideoRecorder,
+        isVideoExportSupported,
+        downloadBlob,
+        exportAnimationVideo,
+        beginPendingVideoExport,
+        captureVideoExportFrame
+    };
+}